@@ -0,0 +1,118 @@
+// backend/src/auth.js
+// Admin/host authentication: the global ADMIN_TOKEN secret for REST routes, per-room host PINs and
+// signed host tokens that let a socket claim admin rights for one room.
+import crypto from 'crypto';
+
+// Signing key for host tokens. Without HOST_TOKEN_SECRET/ADMIN_TOKEN a random key is used,
+// so issued host tokens stop working after a restart.
+const SIGNING_KEY = process.env.HOST_TOKEN_SECRET || process.env.ADMIN_TOKEN || crypto.randomBytes(32).toString('hex');
+if (!process.env.HOST_TOKEN_SECRET && !process.env.ADMIN_TOKEN) {
+  console.warn('[auth] neither HOST_TOKEN_SECRET nor ADMIN_TOKEN set — host tokens are only valid until restart');
+}
+
+const HOST_TOKEN_TTL_MS = (Number(process.env.HOST_TOKEN_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+export function checkAdminSecret(given) {
+  const secret = process.env.ADMIN_TOKEN || '';
+  return !!secret && safeEqual(given, secret);
+}
+
+// When true, the first player in an empty room no longer becomes host automatically;
+// admin rights then require the room PIN, a host token or the ADMIN_TOKEN.
+export const hostAuthRequired = () => String(process.env.REQUIRE_HOST_AUTH || '').toLowerCase() === 'true';
+
+// Debug routes expose hands and answers: off in production unless DEBUG_ROUTES=on
+export function debugRoutesEnabled() {
+  const flag = String(process.env.DEBUG_ROUTES || '').toLowerCase();
+  if (flag) return flag === 'on' || flag === 'true' || flag === '1';
+  return process.env.NODE_ENV !== 'production';
+}
+
+function tokenFromRequest(req) {
+  const header = String(req.get('authorization') || '');
+  return header.startsWith('Bearer ') ? header.slice(7) : String(req.get('x-admin-token') || '');
+}
+
+// Express middleware: `Authorization: Bearer <ADMIN_TOKEN>` or `x-admin-token`.
+// Without ADMIN_TOKEN configured the protected routes are disabled.
+export function requireAdminToken(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) return res.status(503).json({ ok: false, error: 'ADMIN_DISABLED', message: 'ADMIN_TOKEN is not configured' });
+  if (!checkAdminSecret(tokenFromRequest(req))) return res.status(401).json({ ok: false, error: 'UNAUTHORIZED' });
+  next();
+}
+
+// Express middleware for /debug/*: hidden when disabled, admin-token protected once ADMIN_TOKEN is set
+export function guardDebugRoute(req, res, next) {
+  if (!debugRoutesEnabled()) return res.status(404).json({ ok: false, error: 'NOT_FOUND' });
+  if (!process.env.ADMIN_TOKEN) return next();
+  return requireAdminToken(req, res, next);
+}
+
+export function generateHostPin() {
+  return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+export const checkHostPin = (room, pin) => !!room.hostPin && safeEqual(String(pin || '').trim(), room.hostPin);
+
+// Failed PIN logins, counted per room and client address (a 6-digit PIN must not be guessable by
+// reconnecting). There is no room-wide limit: other clients' failures never lock the real host out.
+// A key over its limit is locked until the window since its first failure ends.
+const PIN_MAX_FAILURES = Number(process.env.HOST_PIN_MAX_FAILURES) || 5;
+const PIN_LOCKOUT_MS = (Number(process.env.HOST_PIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const pinFailures = new Map(); // `ROOM|address` -> { count, since }
+
+const pinKey = (roomCode, address) => `${String(roomCode || '').toUpperCase()}|${address || '?'}`;
+
+function failureEntry(key, now = Date.now()) {
+  const e = pinFailures.get(key);
+  if (e && now - e.since >= PIN_LOCKOUT_MS) { pinFailures.delete(key); return null; }
+  return e || null;
+}
+
+// ms until another PIN attempt is allowed, 0 if not locked
+export function pinLockout(roomCode, address, now = Date.now()) {
+  const e = failureEntry(pinKey(roomCode, address), now);
+  return e && e.count >= PIN_MAX_FAILURES ? e.since + PIN_LOCKOUT_MS - now : 0;
+}
+
+export function recordPinFailure(roomCode, address, now = Date.now()) {
+  const key = pinKey(roomCode, address);
+  const e = failureEntry(key, now) || { count: 0, since: now };
+  e.count++;
+  pinFailures.set(key, e);
+}
+
+// Drop failure entries whose window has ended (keys of rooms/addresses that never retry would pile up
+// otherwise); returns the number of entries left
+export function sweepPinFailures(now = Date.now()) {
+  for (const key of [...pinFailures.keys()]) failureEntry(key, now);
+  return pinFailures.size;
+}
+setInterval(sweepPinFailures, Math.min(PIN_LOCKOUT_MS, 60 * 1000)).unref();
+
+const b64 = (s) => Buffer.from(s).toString('base64url');
+const sign = (data) => crypto.createHmac('sha256', SIGNING_KEY).update(data).digest('base64url');
+
+// Host token: base64url(JSON claims) + '.' + HMAC. Claims: { room, pid, exp }
+export function signHostToken(roomCode, playerId = null, ttlMs = HOST_TOKEN_TTL_MS) {
+  const body = b64(JSON.stringify({ room: String(roomCode), pid: playerId, exp: Date.now() + ttlMs }));
+  return `${body}.${sign(body)}`;
+}
+
+// Returns the claims if the token is valid for roomCode, otherwise null
+export function verifyHostToken(token, roomCode) {
+  try {
+    const [body, sig] = String(token || '').split('.');
+    if (!body || !sig || !safeEqual(sig, sign(body))) return null;
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    // room codes arrive normalized (upper case); a token is only valid for the exact room it was issued for
+    if (!claims || String(claims.room) !== String(roomCode) || !(claims.exp > Date.now())) return null;
+    return claims;
+  } catch (e) { return null; }
+}
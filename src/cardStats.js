@@ -0,0 +1,150 @@
+// backend/src/cardStats.js
+// Per-card play statistics for content review: how often a card was the reference or played from a hand,
+// the log errors of the guesses and how often a played card won the round. Persisted like the room store
+// (CARD_STATS_STORE=json|memory, default ROOM_STORE; CARD_STATS_FILE, default data/runtime/card-stats.json).
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_RUNTIME_DIR } from './roomStore.js';
+
+// kept per card and list; older samples are dropped
+const MAX_SAMPLES = 500;
+
+// log10 distance between guess and target (0 = exact, 1 = off by a factor of 10)
+export function logError(guess, target) {
+  if (!isFinite(guess) || !isFinite(target) || guess <= 0 || target <= 0) return null;
+  return Math.abs(Math.log10(guess / target));
+}
+
+export function median(values = []) {
+  const v = values.filter(x => x != null && isFinite(x)).sort((a, b) => a - b);
+  if (!v.length) return null;
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+const emptyEntry = (card, category) => ({
+  id: String(card.id),
+  category: category || null,
+  prompt: card.prompt || card.Prompt || '',
+  asReference: 0,
+  refLogErrors: [],     // every guess made against this card as the reference
+  played: 0,
+  playWins: 0,
+  playLogErrors: [],    // guesses made with this card from a hand
+  lastSeen: null,
+});
+
+const pushSample = (list, v) => {
+  if (v == null) return;
+  list.push(Math.round(v * 1e4) / 1e4);
+  if (list.length > MAX_SAMPLES) list.splice(0, list.length - MAX_SAMPLES);
+};
+
+export function createCardStats(kind = process.env.CARD_STATS_STORE || process.env.ROOM_STORE || 'json') {
+  const k = String(kind || '').toLowerCase();
+  const file = (k === 'memory' || k === 'none' || k === 'off') ? null : (process.env.CARD_STATS_FILE || path.join(DEFAULT_RUNTIME_DIR, 'card-stats.json'));
+  let cards = {};
+  let timer = null;
+
+  if (file) {
+    try {
+      if (fs.existsSync(file)) cards = JSON.parse(fs.readFileSync(file, 'utf8')).cards || {};
+    } catch (e) {
+      console.warn('[cardStats] could not read stats file, starting empty:', e && e.message);
+    }
+  }
+
+  const writeNow = () => {
+    if (timer) { clearTimeout(timer); timer = null; }
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ cards }), 'utf8');
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.error('[cardStats] write failed:', e && e.message);
+    }
+  };
+  const scheduleWrite = () => {
+    if (!file || timer) return;
+    timer = setTimeout(writeNow, 1000);
+  };
+
+  const entry = (card, category) => {
+    const id = String(card.id);
+    if (!cards[id]) cards[id] = emptyEntry(card, category);
+    return cards[id];
+  };
+
+  return {
+    kind: file ? 'json' : 'memory',
+    // round: { category, reference, target, guesses: [{ card, siGuess, rank }] } (rank 1 = round winner)
+    recordRound({ category, reference, target, guesses = [] }) {
+      const now = Date.now();
+      if (reference && reference.id != null) {
+        const ref = entry(reference, category);
+        ref.asReference++;
+        ref.lastSeen = now;
+        for (const g of guesses) pushSample(ref.refLogErrors, logError(g.siGuess, target));
+      }
+      for (const g of guesses) {
+        if (!g.card || g.card.id == null) continue;
+        const e = entry(g.card, category);
+        e.played++;
+        if (g.rank === 1) e.playWins++;
+        e.lastSeen = now;
+        pushSample(e.playLogErrors, logError(g.siGuess, target));
+      }
+      scheduleWrite();
+    },
+    get: (id) => cards[String(id)] || null,
+    all: () => Object.values(cards),
+    reset(id) {
+      if (!cards[String(id)]) return false;
+      delete cards[String(id)];
+      scheduleWrite();
+      return true;
+    },
+    flush: writeNow,
+  };
+}
+
+// Thresholds (log10 error) for flags: a reference whose guesses are typically off by 10x is too hard,
+// by 30x+ it more likely has a wrong value_si
+const TOO_EASY = 0.05;
+const TOO_HARD = 1;
+const SUSPECT_VALUE = 1.5;
+
+// Summaries with medians, win rate and flags; cards with at least minSamples observations are
+// ranked by how far their median reference error is from the median over all cards
+export function rankOutliers(entries = [], { minSamples = 5, category = null, limit = 50 } = {}) {
+  const list = entries.filter(e => !category || e.category === category).map(e => ({
+    id: e.id,
+    category: e.category,
+    prompt: e.prompt,
+    asReference: e.asReference,
+    refMedianLogError: median(e.refLogErrors),
+    refSamples: e.refLogErrors.length,
+    played: e.played,
+    playWins: e.playWins,
+    winRate: e.played ? e.playWins / e.played : null,
+    playMedianLogError: median(e.playLogErrors),
+    lastSeen: e.lastSeen,
+  }));
+  const overall = median(list.filter(s => s.refSamples >= minSamples).map(s => s.refMedianLogError));
+  for (const s of list) {
+    const flags = [];
+    if (s.refSamples >= minSamples) {
+      if (s.refMedianLogError <= TOO_EASY) flags.push('too_easy');
+      if (s.refMedianLogError >= SUSPECT_VALUE) flags.push('suspect_value');
+      else if (s.refMedianLogError >= TOO_HARD) flags.push('too_hard');
+    }
+    if (s.played >= minSamples && s.winRate >= 0.8) flags.push('dominant');
+    if (s.played >= minSamples && s.winRate === 0) flags.push('never_wins');
+    s.flags = flags;
+    s.outlierScore = s.refSamples >= minSamples && overall != null ? Math.abs(s.refMedianLogError - overall) : 0;
+  }
+  list.sort((a, b) => b.flags.length - a.flags.length || b.outlierScore - a.outlierScore || b.played - a.played);
+  return { overallRefMedianLogError: overall, cards: list.slice(0, Math.max(1, Number(limit) || 50)) };
+}
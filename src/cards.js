@@ -1,17 +1,32 @@
 // backend/src/cards.js
 import fs from 'fs';
 import path from 'path';
-import url from 'url';
+import crypto from 'crypto';
 import Papa from 'papaparse';
+import { shuffle } from './scheduler.js';
+import { lookupUnit, convertToSI, formatSI } from './units.js';
+import { mapCategory, categoryDef, categoryKeys, loadCategoryDefs, setCategories } from './categories.js';
+import { loadManifest, resolveDeckPath } from './deckManifest.js';
 
-const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+// Question phrasing stripped from prompts ("Wie schwer ist der Blauwal?" -> "Blauwal"), per deck language.
+// Every language's rules run on every prompt: they don't overlap, and an untranslated card keeps its
+// German prompt in any room language.
+const PROMPT_PHRASES = {
+  de: [
+    /^wie\s+(hoch|schwer|groß|lang|weit|alt|breit)\s+(ist\s+(der|die|das)\s+)?/i,
+    /^was\s+ist\s+(der|die|das)\s+/i,
+  ],
+  en: [
+    /^how\s+(high|heavy|big|large|tall|long|far|old|wide|fast|deep)\s+(is|are)\s+((the|an?)\s+)?/i,
+    /^what\s+is\s+(the|an?)\s+/i,
+  ],
+};
 
 export function normalizePromptText(raw = '') {
   try {
     let s = String(raw || '').trim();
     s = s.replace(/^[\s\u2756]+/, '');
-    s = s.replace(/^wie\s+(hoch|schwer|groß|lang|weit|alt|breit)\s+(ist\s+(der|die|das)\s+)?/i, '');
-    s = s.replace(/^was\s+ist\s+(der|die|das)\s+/i, '');
+    for (const rules of Object.values(PROMPT_PHRASES)) for (const re of rules) s = s.replace(re, '');
     s = s.replace(/[\?\!]+$/g, '');
     s = s.replace(/[-–—]{2,}/g, '—');
     s = s.replace(/\s{2,}/g, ' ');
@@ -19,57 +34,85 @@ export function normalizePromptText(raw = '') {
   } catch (e) { return raw; }
 }
 
-export function loadItemsFromCSV() {
-  try {
-  // Prefer the latest safe emojified filled CSV if present (generated by tools/safe_fill_from_review.js)
-  const improvedFun = path.join(__dirname, '..', 'data', 'Schaetzchen_CONSOLIDATED_for_App_valid_emojified_filled_with_improved_funfacts.csv');
-  const preferred = path.join(__dirname, '..', 'data', 'Schaetzchen_CONSOLIDATED_for_App_valid_emojified_filled_safe.csv');
-  const fallbackValid = path.join(__dirname, '..', 'data', 'Schaetzchen_CONSOLIDATED_for_App_valid.csv');
-  // Prefer improved funfacts (if present), then safe emojified, then valid, then raw
-  const csvPath = fs.existsSync(improvedFun) ? improvedFun : (fs.existsSync(preferred) ? preferred : (fs.existsSync(fallbackValid) ? fallbackValid : path.join(__dirname, '..', 'data', 'Schaetzchen_CONSOLIDATED_for_App.csv')));
-    const text = fs.readFileSync(csvPath, 'utf8');
-    // BOM entfernen
-    const rawText = (text && text.charCodeAt(0) === 0xFEFF) ? text.slice(1) : text;
-    const firstLine = rawText.split(/\r?\n/)[0] || '';
-    const detectDelimiter = (line) => {
-      const semi = (line.match(/;/g) || []).length;
-      const comm = (line.match(/,/g) || []).length;
-      return semi > comm ? ';' : ',';
-    };
-    const delimiter = detectDelimiter(firstLine);
+// Column aliases: consolidated CSV headers (German) and lowercase export headers -> internal keys
+export const COLMAP = {
+  Kategorie: 'category', ID: 'id', Kurzname: 'short_name', Prompt: 'prompt', Typ: 'kind', display_unit: 'display_unit',
+  Zielwert: 'display_value', value_si: 'value_si', Emoji: 'emoji', FunFact: 'fun_fact', Difficulty: 'difficulty', Notiz: 'note',
+  Disabled: 'disabled',
+  category: 'category', id: 'id', short_name: 'short_name', prompt: 'prompt', kind: 'kind', display_value: 'display_value',
+  value_si: 'value_si', emoji: 'emoji', fun_fact: 'fun_fact', difficulty: 'difficulty', note: 'note', disabled: 'disabled'
+};
 
-    const COLMAP = {
-      Kategorie: 'category', ID: 'id', Kurzname: 'short_name', Prompt: 'prompt', Typ: 'kind', display_unit: 'display_unit',
-      Zielwert: 'display_value', value_si: 'value_si', Emoji: 'emoji', FunFact: 'fun_fact', Difficulty: 'difficulty', Notiz: 'note',
-      category: 'category', id: 'id', short_name: 'short_name', prompt: 'prompt', kind: 'kind', display_value: 'display_value',
-      value_si: 'value_si', emoji: 'emoji', fun_fact: 'fun_fact', difficulty: 'difficulty', note: 'note'
-    };
+// Translated card texts sit next to the German original as "<column>_<lang>": Prompt_en, FunFact_en,
+// Kurzname_en (the lowercase export headers prompt_en, fun_fact_en, short_name_en work too)
+const TRANSLATED_FIELDS = { prompt: 'prompt', funfact: 'FunFact', fun_fact: 'FunFact', kurzname: 'kurzname', short_name: 'kurzname' };
+const TRANSLATED_HEADERS = { prompt: 'Prompt', FunFact: 'FunFact', kurzname: 'Kurzname' };
 
-    const parsed = Papa.parse(rawText, { header: true, skipEmptyLines: true, delimiter });
-    if (parsed.errors && parsed.errors.length) console.warn('[cards] CSV parse warnings:', parsed.errors.slice(0,3));
-    const rows = (parsed.data || []).map(r => {
-      const out = {};
-      for (const k of Object.keys(r)) {
-        const key = COLMAP[k] || k;
-        out[key] = r[k];
-      }
-      return out;
-    });
+// 'Prompt_en' -> { field: 'prompt', lang: 'en', header: 'Prompt_en' }; null for any other column
+export function translationColumn(name) {
+  const m = String(name || '').match(/^([a-z_]+?)_([a-z]{2})$/i);
+  const field = m && TRANSLATED_FIELDS[m[1].toLowerCase()];
+  if (!field) return null;
+  const lang = m[2].toLowerCase();
+  return { field, lang, header: `${TRANSLATED_HEADERS[field]}_${lang}` };
+}
+
+// Card texts in the room language where the deck has a translation, the German original otherwise.
+// Returns the item itself when there is nothing to translate.
+export function localizeCard(item, lang) {
+  const tr = item && lang && item.i18n && item.i18n[lang];
+  if (!tr) return item;
+  return {
+    ...item,
+    prompt: tr.prompt || item.prompt,
+    // without a translated short name the translated prompt is used (dealHand: kurzname || prompt)
+    kurzname: tr.kurzname || (tr.prompt ? '' : item.kurzname),
+    FunFact: tr.FunFact || item.FunFact,
+  };
+}
 
-    const out = { speed: [], distance: [], weight: [], size: [] };
-    const mapCategory = (k) => {
-      if (!k) return null; const s = String(k).toLowerCase();
-      if (s.includes('geschwindigkeit') || s.includes('speed')) return 'speed';
-      if (s.includes('entfernung') || s.includes('distance')) return 'distance';
-      if (s.includes('größe') || s.includes('gro') || s.includes('size')) return 'size';
-      if (s.includes('gewicht') || s.includes('weight')) return 'weight';
-      return null;
-    };
+// languages the deck has translations for
+export function deckLanguages(items = {}) {
+  const langs = new Set();
+  for (const list of Object.values(items)) for (const i of list) for (const l of Object.keys(i.i18n || {})) langs.add(l);
+  return [...langs].sort();
+}
+
+// CSV category name -> key, from the deck's category declarations
+export { mapCategory };
+
+// Deck file selection (manifest, priorities, strict mode) lives in deckManifest.js
+export { resolveDeckPath };
+
+// Parse deck CSV text. Returns the raw records (original headers), the rows mapped through COLMAP,
+// the header list and the detected delimiter.
+export function parseDeckText(text) {
+  // BOM entfernen
+  const rawText = (text && text.charCodeAt(0) === 0xFEFF) ? text.slice(1) : String(text || '');
+  const firstLine = rawText.split(/\r?\n/)[0] || '';
+  const detectDelimiter = (line) => {
+    const semi = (line.match(/;/g) || []).length;
+    const comm = (line.match(/,/g) || []).length;
+    return semi > comm ? ';' : ',';
+  };
+  const delimiter = detectDelimiter(firstLine);
+  const parsed = Papa.parse(rawText, { header: true, skipEmptyLines: true, delimiter });
+  const records = parsed.data || [];
+  const rows = records.map(r => {
+    const out = {};
+    for (const k of Object.keys(r)) {
+      const key = COLMAP[k] || k;
+      out[key] = r[k];
+    }
+    return out;
+  });
+  return { records, rows, fields: (parsed.meta && parsed.meta.fields) || [], delimiter, errors: parsed.errors || [] };
+}
 
-    for (let i = 0; i < rows.length; i++) {
-      const row = rows[i] || {};
-      const catRaw = row.category || row.Kategorie || '';
-      const cat = mapCategory(catRaw);
+// Validate one mapped row and build the in-memory item. Returns { ok, cat, item } or { ok: false, reason }.
+export function normalizeDeckRow(row = {}, i = 0) {
+  const catRaw = row.category || row.Kategorie || '';
+  const cat = mapCategory(catRaw);
   // robust parse of numeric values from CSV
   // - if CSV provides `value_si`, treat that as already in SI (do NOT convert)
   // - otherwise, parse the display value and convert to SI using display_unit when available
@@ -90,209 +133,198 @@ export function loadItemsFromCSV() {
       valueSI = parsedDisplay;
     }
   }
-  if (!cat || !isFinite(valueSI)) continue;
+  if (!cat) return { ok: false, reason: `unknown category "${catRaw}"` };
+  if (!isFinite(valueSI)) return { ok: false, reason: 'value_si is not a finite number' };
 
-      const id = row.id || (`r${i}`);
-      const prompt = row.prompt || row.short_name || '';
+  const id = row.id || (`r${i}`);
+  const prompt = row.prompt || row.short_name || '';
   const displayUnit = row.display_unit || '';
-      const funFact = row.fun_fact || row.FunFact || '';
-      const emoji = row.emoji || row.Emoji || '';
-      const difficultyRaw = row.difficulty || row.Difficulty || 'medium';
-      const difficulty = String(difficultyRaw).toLowerCase();
-      if (difficulty.startsWith('hard')) continue;
-      const typ = row.kind || row.Typ || '';
-      const kurzname = row.short_name || '';
-      const notiz = row.note || row.Notiz || '';
-
-      out[cat].push({
-        id: String(id),
-        prompt: String(prompt),
-        kurzname: String(kurzname),
-        typ: String(typ),
-  display_unit: String(displayUnit),
-        zielwert: String(row.display_value || ''),
-  value_si: valueSI,
-        Emoji: emoji,
-        FunFact: funFact,
-        Difficulty: difficulty || 'medium',
-        Notiz: notiz,
-        unit: String(displayUnit || ''),
-        trueValue: valueSI,
-      });
-    }
-    // If parsed rows are unexpectedly few, try a fallback to the older normalized CSV
-    const totalRows = rows.length || 0;
-    if (totalRows < 10) {
-      try {
-        const fallbackPath = path.join(__dirname, '..', 'data', 'items_full_normalized.csv');
-        if (fs.existsSync(fallbackPath)) {
-          const rawFallback = fs.readFileSync(fallbackPath, 'utf8');
-          const linesFB = rawFallback.split(/\r?\n/).filter(Boolean);
-          if (linesFB.length > 1) {
-            const safeSplit = (row) => row.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/).map(s => s.trim().replace(/^"|"$/g, ''));
-            const headerFB = safeSplit(linesFB[0]).map(h => h.trim().toLowerCase());
-            const idx = (name) => headerFB.findIndex(h => h === name.toLowerCase());
-            const iCat = idx('category');
-            const iId = idx('id');
-            const iPrompt = idx('prompt');
-            const iUnit = idx('unit');
-            const iTrue = idx('truevalue') >= 0 ? idx('truevalue') : idx('truevalue');
-            const iFun = idx('funfact');
-            for (let j = 1; j < linesFB.length; j++) {
-              const cols = safeSplit(linesFB[j]);
-              const cat = (cols[iCat] || '').toLowerCase();
-              if (!cat) continue;
-              const id = cols[iId] || `fb${j}`;
-              const prompt = cols[iPrompt] || '';
-              const unit = cols[iUnit] || '';
-              const trueVal = parseFloat(String(cols[iTrue] || '').replace(/[,\s]/g, '.'));
-              const fun = cols[iFun] || '';
-              if (!isFinite(trueVal)) continue;
-              // map category names to our keys
-              const mapCat = (c) => {
-                if (!c) return null; const s = String(c).toLowerCase();
-                if (s.includes('speed')) return 'speed';
-                if (s.includes('distance') || s.includes('entfernung')) return 'distance';
-                if (s.includes('size') || s.includes('größe') || s.includes('gro')) return 'size';
-                if (s.includes('weight') || s.includes('gewicht')) return 'weight';
-                return null;
-              };
-              const catKey = mapCat(cat);
-              if (!catKey) continue;
-              out[catKey].push({ id: String(id), prompt: String(prompt), display_unit: String(unit), value_si: trueVal, Emoji: '', FunFact: fun, Difficulty: 'medium', unit: String(unit), trueValue: trueVal });
-            }
-            console.log('[cards] fallback loaded from items_full_normalized.csv, totals:', Object.keys(out).reduce((acc,k)=> (acc[k]=out[k].length,acc),{}));
-          }
-        }
-      } catch (e) {
-        console.warn('[cards] fallback load failed:', e && e.message);
-      }
-    }
-
-    // quick counts log
-    const counts = {};
-    for (const k of Object.keys(out)) counts[k] = out[k].length;
-    console.log('[cards] rows loaded:', rows.length, 'delimiter:', delimiter);
-    console.log('[cards] by category:', counts);
-    return out;
-  } catch (e) {
-    console.error('loadItemsFromCSV failed:', e && e.message);
-    return {
-      speed: [{ id: 's1', prompt: 'Gepard', unit: 'km/h', trueValue: 110 / 3.6, display_unit: 'km/h', value_si: 110 / 3.6, FunFact: 'Schnellstes Landtier' }],
-      distance: [{ id: 'd1', prompt: 'Marathon', unit: 'm', trueValue: 42195, display_unit: 'm', value_si: 42195, FunFact: 'Olympische Distanz' }],
-      weight: [{ id: 'w1', prompt: 'Kasten Bier', unit: 'kg', trueValue: 18, display_unit: 'kg', value_si: 18, FunFact: '24×0,5l' }],
-      size: [{ id: 'z1', prompt: 'Giraffe', unit: 'm', trueValue: 5.5, display_unit: 'm', value_si: 5.5, FunFact: 'Höchstes Landtier' }],
-    };
+  const funFact = row.fun_fact || row.FunFact || '';
+  const emoji = row.emoji || row.Emoji || '';
+  const difficultyRaw = row.difficulty || row.Difficulty || 'medium';
+  const difficulty = String(difficultyRaw).toLowerCase();
+  const typ = row.kind || row.Typ || '';
+  const kurzname = row.short_name || '';
+  const notiz = row.note || row.Notiz || '';
+  const i18n = {};
+  for (const k of Object.keys(row)) {
+    const col = translationColumn(k);
+    const text = col && String(row[k] ?? '').trim();
+    if (text) (i18n[col.lang] = i18n[col.lang] || {})[col.field] = text;
   }
+
+  return {
+    ok: true,
+    cat,
+    item: {
+      id: String(id),
+      category: cat,
+      prompt: String(prompt),
+      kurzname: String(kurzname),
+      typ: String(typ),
+      display_unit: String(displayUnit),
+      zielwert: String(row.display_value || ''),
+      value_si: valueSI,
+      Emoji: emoji,
+      FunFact: funFact,
+      Difficulty: difficulty || 'medium',
+      Notiz: notiz,
+      unit: String(displayUnit || ''),
+      trueValue: valueSI,
+      i18n,
+    },
+  };
 }
 
-export function toSI(card, value, unit) {
-  try {
-    const display = unit || card?.display_unit || card?.unit || '';
-    const v = Number(value);
-    if (!isFinite(v)) return NaN;
-    const d = String(display || '').toLowerCase();
-    // Geschwindigkeit: SI = m/s
-    if (d === 'km/h' || d === 'kmh') return v / 3.6;
-    if (d === 'm/s' || d === 'ms') return v;
-    // Entfernung: SI = m
-    if (d === 'km') return v * 1000;
-    if (d === 'm') return v;
-    // Größe: SI = m
-    if (d === 'mm') return v / 1000;
-    if (d === 'cm') return v / 100;
-    if (d === 'm') return v;
-    // Gewicht: SI = kg
-    if (d === 'g') return v / 1000;
-    if (d === 't') return v * 1000;
-    if (d === 'kg') return v;
-    return v;
-  } catch (e) { return NaN; }
+// Difficulty buckets of the `Difficulty` column; anything unknown counts as medium
+export const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+export function difficultyOf(item = {}) {
+  const d = String(item.Difficulty || item.difficulty || '').toLowerCase().trim();
+  return DIFFICULTY_LEVELS.find(l => d.startsWith(l)) || 'medium';
 }
 
-function roundForUI(x) {
-  const abs = Math.abs(x);
-  const isIntish = Math.abs(x - Math.round(x)) < 1e-6;
-  if (abs < 10 && !isIntish) return x.toFixed(1);
-  return String(Math.round(x));
+// Restrict a category -> items map to the given difficulty levels. Categories with fewer than
+// minPerCategory matching cards are left out; null if no category qualifies.
+export function filterByDifficulty(items = {}, levels = DIFFICULTY_LEVELS, minPerCategory = 5) {
+  const out = {};
+  for (const [cat, list] of Object.entries(items)) {
+    const picked = (Array.isArray(list) ? list : []).filter(i => levels.includes(difficultyOf(i)));
+    if (picked.length >= minPerCategory) out[cat] = picked;
+  }
+  return Object.keys(out).length ? out : null;
 }
 
-// Auto-switch units for readability: meters >= 1000 -> km, grams >=1000 -> kg, m/s -> km/h optional
-export function formatFromSI(card, si, forcedUnit) {
-  const u = forcedUnit || card?.display_unit || card?.unit || '';
-  const c = String((card && (card.Kategorie || card.category)) || '').toLowerCase();
-  const uLower = String(u).toLowerCase();
-  try {
-    // If a specific unit was requested (forcedUnit or card.display_unit), prefer it.
-    // SPEED explicit units
-    if (uLower === 'km/h' || uLower === 'kmh') return { value: roundForUI(si * 3.6), unit: 'km/h' };
-    if (uLower === 'm/s' || uLower === 'ms') return { value: (Math.abs(si) < 10 && !Number.isInteger(si)) ? si.toFixed(1) : String(Math.round(si)), unit: 'm/s' };
+export const isDisabledRow = (row = {}) => /^(1|true|yes|ja|x)$/i.test(String(row.disabled || '').trim());
 
-    // DISTANCE explicit units
-    if (uLower === 'm') return { value: (Math.abs(si) < 10 && !Number.isInteger(si)) ? si.toFixed(1) : String(Math.round(si)), unit: 'm' };
-    if (uLower === 'km') {
-      const km = si / 1000;
-      return { value: (Math.abs(km) < 10 && !Number.isInteger(km)) ? km.toFixed(1) : String(Math.round(km)), unit: 'km' };
-    }
+// Build the category -> items map from mapped rows. Every dropped row is reported with its CSV line
+// (header = line 1) and the reason, so uploads and deck reports can show what was skipped.
+export function buildDeck(rows = []) {
+  const items = Object.fromEntries(categoryKeys().map(k => [k, []]));
+  const skipped = [];
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i] || {};
+    const line = i + 2;
+    if (isDisabledRow(row)) { skipped.push({ line, id: row.id || null, reason: 'disabled' }); continue; }
+    const res = normalizeDeckRow(row, i);
+    if (!res.ok) { skipped.push({ line, id: row.id || null, reason: res.reason }); continue; }
+    items[res.cat].push(res.item);
+  }
+  return { items, skipped };
+}
 
-    // SIZE explicit units
-    if (uLower.includes('mm')) return { value: roundForUI(si * 1000), unit: 'mm' };
-    if (uLower.includes('cm')) return { value: roundForUI(si * 100), unit: 'cm' };
-    if (uLower === 'm') return { value: (Math.abs(si) < 10 && !Number.isInteger(si)) ? si.toFixed(1) : String(Math.round(si)), unit: 'm' };
+// Parse an uploaded deck: CSV text in the consolidated column format (COLMAP headers) or a JSON array of cards
+// using the same column names. Returns { items, skipped, total } like buildDeck.
+export function parseDeckInput(input) {
+  let rows = [];
+  if (typeof input === 'string') {
+    rows = parseDeckText(input).rows;
+  } else if (Array.isArray(input)) {
+    rows = input.map(r => {
+      const out = {};
+      for (const k of Object.keys(r || {})) out[COLMAP[k] || k] = r[k] == null ? '' : String(r[k]);
+      return out;
+    });
+  }
+  return { ...buildDeck(rows), total: rows.length };
+}
 
-    // WEIGHT explicit units
-    if (uLower === 'kg') return { value: (Math.abs(si) < 10 && !Number.isInteger(si)) ? si.toFixed(1) : String(Math.round(si)), unit: 'kg' };
-    if (uLower.includes('g') && !uLower.includes('kg')) return { value: roundForUI(si * 1000), unit: 'g' };
-    if (uLower.includes('t')) {
-      const t = si / 1000;
-      return { value: (Math.abs(t) < 10 && !Number.isInteger(t)) ? t.toFixed(1) : String(Math.round(t)), unit: 't' };
-    }
+// built-in cards for a server without any deck file (development only; strict mode never uses them)
+const demoItems = () => ({
+  speed: [{ id: 's1', prompt: 'Gepard', unit: 'km/h', trueValue: 110 / 3.6, display_unit: 'km/h', value_si: 110 / 3.6, FunFact: 'Schnellstes Landtier' }],
+  distance: [{ id: 'd1', prompt: 'Marathon', unit: 'm', trueValue: 42195, display_unit: 'm', value_si: 42195, FunFact: 'Olympische Distanz' }],
+  weight: [{ id: 'w1', prompt: 'Kasten Bier', unit: 'kg', trueValue: 18, display_unit: 'kg', value_si: 18, FunFact: '24×0,5l' }],
+  size: [{ id: 'z1', prompt: 'Giraffe', unit: 'm', trueValue: 5.5, display_unit: 'm', value_si: 5.5, FunFact: 'Höchstes Landtier' }],
+});
 
-    // If no explicit unit preference, fall back to category/magnitude based auto-switching
-    // speed: either category mentions speed or unit explicitly km/h or m/s
-    if (c.includes('geschwindigkeit') || String(u).toLowerCase().includes('km/h') || String(u).toLowerCase().includes('m/s')) {
-      // if display wants km/h show km/h (convert), else m/s
-      if (String(u).toLowerCase() === 'km/h' || String(u).toLowerCase() === 'kmh') return { value: roundForUI(si * 3.6), unit: 'km/h' };
-      return { value: (Math.abs(si) < 10 && !Number.isInteger(si)) ? si.toFixed(1) : String(Math.round(si)), unit: 'm/s' };
-    }
+const countItems = (items) => Object.fromEntries(Object.entries(items).map(([k, v]) => [k, v.length]));
 
-    // distance: category or explicit m/km unit
-    if (c.includes('entfernung') || c === 'distance' || String(u).toLowerCase() === 'm' || String(u).toLowerCase() === 'km') {
-      // auto switch: meters >= 1000 -> km
-      if (si >= 1000) {
-        const km = si / 1000;
-        return { value: (Math.abs(km) < 10 && !Number.isInteger(km)) ? km.toFixed(1) : String(Math.round(km)), unit: 'km' };
-      }
-      return { value: (Math.abs(si) < 10 && !Number.isInteger(si)) ? si.toFixed(1) : String(Math.round(si)), unit: 'm' };
-    }
+// Load the deck chosen by the manifest: sources in priority order, the first one that parses with at
+// least one card wins. Returns { items, info } where info describes the loaded file for /decks.
+// In strict mode a missing deck, CSV parse errors or invalid rows throw instead of falling back.
+// `strict` overrides the manifest setting (hot reloads always validate strictly).
+export function loadDeck({ manifest = loadManifest(), strict = manifest.strict } = {}) {
+  // the deck's category declarations decide which rows are kept
+  const cats = loadCategoryDefs(process.env.DECK_CATEGORIES_FILE || manifest.categories || undefined);
+  setCategories(cats.categories);
+  console.log('[cards] categories:', cats.categories.map(c => c.key).join(', '), cats.source ? `(${path.basename(cats.source)})` : '(built-in)');
 
-    // size: category match or unit indicates length/size (mm/cm/m/km)
-    if (c.includes('gr\u00f6\u00dfe') || c === 'size' || uLower.includes('mm') || uLower.includes('cm') || uLower === 'm' || uLower === 'km') {
-      // auto switch mm/cm/m based on magnitude
-      if (si < 0.01) return { value: roundForUI(si * 1000), unit: 'mm' };
-      if (si < 1) return { value: roundForUI(si * 100), unit: 'cm' };
-      if (si >= 1000) {
-        const km = si / 1000;
-        return { value: (Math.abs(km) < 10 && !Number.isInteger(km)) ? km.toFixed(1) : String(Math.round(km)), unit: 'km' };
+  const attempts = [];
+  const base = {
+    manifest: manifest.file,
+    strict: manifest.strict,
+    categoriesFile: cats.source,
+    categories: cats.categories.map(c => c.key),
+    sources: manifest.sources.map(({ name, file, priority, exists }) => ({ name, file, priority, exists })),
+  };
+  for (const src of manifest.sources) {
+    if (!src.exists) { attempts.push({ name: src.name, file: src.file, error: 'not found' }); continue; }
+    try {
+      const text = fs.readFileSync(src.file, 'utf8');
+      const parsed = parseDeckText(text);
+      const { items, skipped } = buildDeck(parsed.rows);
+      const invalid = skipped.filter(s => s.reason !== 'disabled');
+      const byCategory = countItems(items);
+      const loaded = Object.values(byCategory).reduce((a, b) => a + b, 0);
+      const parseErrors = parsed.errors.map(e => ({ line: (e.row ?? 0) + 2, message: e.message }));
+      if (strict && (parseErrors.length || invalid.length || !loaded)) {
+        const first = parseErrors[0] ? `line ${parseErrors[0].line}: ${parseErrors[0].message}` : (invalid[0] ? `line ${invalid[0].line}: ${invalid[0].reason}` : 'no cards');
+        throw new Error(`${src.file}: ${parseErrors.length} parse errors, ${invalid.length} invalid rows (${first})`);
       }
-      return { value: (Math.abs(si) < 10 && !Number.isInteger(si)) ? si.toFixed(1) : String(Math.round(si)), unit: 'm' };
+      if (!loaded) throw new Error('no valid cards');
+      if (parseErrors.length) console.warn('[cards] CSV parse warnings:', parseErrors.slice(0, 3));
+      if (invalid.length) console.warn(`[cards] ${invalid.length} rows skipped, e.g. line ${invalid[0].line}: ${invalid[0].reason}`);
+      console.log(`[cards] deck ${src.name} (${path.basename(src.file)}): ${parsed.rows.length} rows, delimiter "${parsed.delimiter}"`);
+      console.log('[cards] by category:', byCategory);
+      return {
+        items,
+        info: {
+          ...base,
+          name: src.name,
+          file: src.file,
+          checksum: crypto.createHash('sha256').update(text).digest('hex'),
+          loadedAt: Date.now(),
+          rows: parsed.rows.length,
+          loaded,
+          byCategory,
+          languages: deckLanguages(items),
+          skipped,
+          parseErrors,
+          attempts,
+        },
+      };
+    } catch (e) {
+      if (strict) throw e;
+      console.error(`[cards] deck ${src.name} (${src.file}) not usable: ${e && e.message}`);
+      attempts.push({ name: src.name, file: src.file, error: e && e.message });
     }
+  }
+  if (strict) throw new Error(`no deck could be loaded (${attempts.map(a => `${a.file}: ${a.error}`).join('; ')})`);
+  console.error('[cards] no deck could be loaded, serving the built-in demo cards');
+  const items = demoItems();
+  return { items, info: { ...base, name: 'demo', file: null, checksum: null, loadedAt: Date.now(), rows: 0, loaded: 4, byCategory: countItems(items), languages: [], skipped: [], parseErrors: [], attempts } };
+}
 
-    // weight: category match or unit indicates weight (g/kg/t)
-    if (c.includes('gewicht') || c === 'weight') {
-      // auto switch g/kg/t
-      if (si >= 1000) {
-        const t = si / 1000;
-        // if very large prefer t
-        if (t >= 1) return { value: (Math.abs(t) < 10 && !Number.isInteger(t)) ? t.toFixed(1) : String(Math.round(t)), unit: 't' };
-        // else kg
-        return { value: (Math.abs(si) < 10 && !Number.isInteger(si)) ? si.toFixed(1) : String(Math.round(si)), unit: 'kg' };
-      }
-      if (si < 1) return { value: roundForUI(si * 1000), unit: 'g' };
-      return { value: (Math.abs(si) < 10 && !Number.isInteger(si)) ? si.toFixed(1) : String(Math.round(si)), unit: 'kg' };
-    }
+// unit dimension of a round category (see categories.js / units.js)
+export const dimensionForCategory = (category) => categoryDef(category)?.dimension || null;
 
-    return { value: String(si), unit: u || '' };
+// value in `unit` (default: the card's display unit) -> SI; unknown units leave the value as is
+export function toSI(card, value, unit) {
+  try {
+    const display = unit || card?.display_unit || card?.unit || '';
+    const v = Number(value);
+    if (!isFinite(v)) return NaN;
+    return lookupUnit(display) ? convertToSI(v, display) : v;
+  } catch (e) { return NaN; }
+}
+
+// SI -> { value, unit } in the requested or card display unit; without a known unit the category's
+// dimension auto-scales (meters >= 1000 -> km, kg >= 1000 -> t, ...)
+export function formatFromSI(card, si, forcedUnit) {
+  const u = forcedUnit || card?.display_unit || card?.unit || '';
+  try {
+    const cat = categoryDef(mapCategory(card && (card.Kategorie || card.category)));
+    return formatSI(si, { unit: u, dimension: cat?.dimension, units: cat?.display });
   } catch (e) { return { value: String(si), unit: u || '' }; }
 }
 
@@ -304,10 +336,10 @@ export function scoreGuess(card, guessValue, guessUnit) {
   return { siTrue, siGuess, diffAbs, diffPct };
 }
 
-export function dealHand(itemsPool, category, excludeIds = []) {
+// `draw(pool, count)` picks the cards; defaults to a plain shuffle (rooms pass their scheduler)
+export function dealHand(itemsPool, category, excludeIds = [], draw = (pool, count) => shuffle(pool).slice(0, count)) {
   const pool = (itemsPool[category] || []).filter(i => !excludeIds.includes(i.id));
-  const shuffled = [...pool].sort(() => Math.random() - 0.5);
-  return shuffled.slice(0, 4).map((i) => ({
+  return draw(pool, 4).map((i) => ({
     id: i.id,
     Kategorie: category,
     Kurzname: i.kurzname || i.prompt || '',
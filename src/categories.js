@@ -0,0 +1,110 @@
+// backend/src/categories.js
+// Estimation categories declared by the deck: key, label (plus translated `labels`), the names the CSV
+// `Kategorie` column uses, the unit dimension (see units.js), the symbol emoji and which units the display
+// may auto-scale to.
+// Read from DECK_CATEGORIES_FILE, else the deck manifest's "categories" entry (data/categories.json);
+// without a file the four classic categories are used.
+//
+//   [{ "key": "time", "label": "Dauer", "labels": { "en": "Duration" }, "aliases": ["dauer", "zeit"],
+//      "dimension": "time", "emoji": "⏱️", "display": ["s", "min", "h"] }]
+import fs from 'fs';
+import path from 'path';
+import url from 'url';
+import { DIMENSIONS } from './units.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+export const DEFAULT_CATEGORIES_FILE = path.join(__dirname, '..', 'data', 'categories.json');
+
+export const CLASSIC_CATEGORIES = [
+  { key: 'speed', label: 'Geschwindigkeit', labels: { en: 'Speed' }, aliases: ['geschwindigkeit', 'speed'], dimension: 'speed', emoji: '⚡' },
+  { key: 'distance', label: 'Entfernung', labels: { en: 'Distance' }, aliases: ['entfernung', 'distance'], dimension: 'length', emoji: '📏', display: ['m', 'km'] },
+  { key: 'size', label: 'Größe', labels: { en: 'Size' }, aliases: ['größe', 'gro', 'size'], dimension: 'length', emoji: '📐' },
+  { key: 'weight', label: 'Gewicht', labels: { en: 'Weight' }, aliases: ['gewicht', 'weight'], dimension: 'mass', emoji: '🏋️' },
+];
+
+// Win rule "N symbols of one category or N different categories": N_SAME stays fixed, the distinct
+// rule needs every active category up to N_DISTINCT and is off below MIN_DISTINCT_CATEGORIES.
+const N_SAME = 4;
+const N_DISTINCT = 4;
+const MIN_DISTINCT_CATEGORIES = 3;
+
+// Validate category definitions. Returns { ok, value } or { ok: false, message }.
+export function normalizeCategoryDefs(list) {
+  if (!Array.isArray(list) || !list.length) return { ok: false, message: 'categories must be a non-empty array' };
+  const value = [];
+  for (const c of list) {
+    const key = String(c?.key || '').trim();
+    if (!/^[a-z][a-z0-9_]*$/.test(key)) return { ok: false, message: `invalid category key "${key}"` };
+    if (value.some(v => v.key === key)) return { ok: false, message: `duplicate category "${key}"` };
+    const dim = DIMENSIONS[c.dimension];
+    if (!dim) return { ok: false, message: `category "${key}": unknown dimension "${c.dimension}"` };
+    const display = c.display == null ? null : c.display;
+    if (display && (!Array.isArray(display) || display.some(u => !dim.units[u]))) {
+      return { ok: false, message: `category "${key}": display must list units of ${c.dimension}` };
+    }
+    // translated labels: { "en": "Duration" }
+    const labels = c.labels == null ? {} : c.labels;
+    if (typeof labels !== 'object' || Array.isArray(labels)
+      || Object.entries(labels).some(([lang, l]) => !/^[a-z]{2}$/.test(lang) || typeof l !== 'string' || !l.trim())) {
+      return { ok: false, message: `category "${key}": labels must map two-letter language codes to names` };
+    }
+    value.push({
+      key,
+      label: String(c.label || key),
+      labels: Object.fromEntries(Object.entries(labels).map(([lang, l]) => [lang, l.trim()])),
+      aliases: [...new Set([key, ...(Array.isArray(c.aliases) ? c.aliases : [])].map(a => String(a).toLowerCase()))],
+      dimension: c.dimension,
+      emoji: String(c.emoji || '⭐'),
+      display,
+    });
+  }
+  return { ok: true, value };
+}
+
+// { categories, source } from a JSON file (array or { categories: [...] }); falls back to the classic set
+export function loadCategoryDefs(file = process.env.DECK_CATEGORIES_FILE || DEFAULT_CATEGORIES_FILE) {
+  try {
+    if (file && fs.existsSync(file)) {
+      const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const res = normalizeCategoryDefs(Array.isArray(raw) ? raw : raw.categories);
+      if (res.ok) return { categories: res.value, source: file };
+      console.warn(`[categories] ${file}: ${res.message}, using the classic categories`);
+    }
+  } catch (e) {
+    console.warn('[categories] could not read categories file:', e && e.message);
+  }
+  return { categories: normalizeCategoryDefs(CLASSIC_CATEGORIES).value, source: null };
+}
+
+let ACTIVE = normalizeCategoryDefs(CLASSIC_CATEGORIES).value;
+
+export function setCategories(defs) {
+  ACTIVE = defs;
+  return ACTIVE;
+}
+
+export const getCategories = () => ACTIVE;
+export const categoryKeys = () => ACTIVE.map(c => c.key);
+export const categoryDef = (key) => ACTIVE.find(c => c.key === key) || null;
+
+// CSV category name -> key: exact key/alias first, then the first alias contained in the name
+export function mapCategory(raw) {
+  if (!raw) return null;
+  const s = String(raw).toLowerCase().trim();
+  const exact = ACTIVE.find(c => c.aliases.includes(s));
+  if (exact) return exact.key;
+  const partial = ACTIVE.find(c => c.aliases.some(a => s.includes(a)));
+  return partial ? partial.key : null;
+}
+
+// what clients get to render a category, labelled in `lang` (falls back to the German label)
+export const publicCategory = (key, lang) => {
+  const c = categoryDef(key);
+  return c ? { key: c.key, label: c.labels?.[lang] || c.label, emoji: c.emoji, dimension: c.dimension } : { key, label: key, emoji: '⭐', dimension: null };
+};
+
+export function winThresholds(activeCategories) {
+  const n = Math.max(0, Number(activeCategories) || 0);
+  return { same: N_SAME, distinct: n >= MIN_DISTINCT_CATEGORIES ? Math.min(N_DISTINCT, n) : null };
+}
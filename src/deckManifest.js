@@ -0,0 +1,56 @@
+// backend/src/deckManifest.js
+// Which deck file the server loads. A manifest (DECK_MANIFEST, default data/decks.json) lists the deck
+// sources with an explicit priority; the highest-priority file that exists is used. DECK_FILE overrides
+// the list with a single CSV. Relative paths resolve against the manifest's directory.
+//
+//   { "decks": [{ "name": "main", "file": "deck.csv", "priority": 10 }], "categories": "categories.json", "strict": false }
+//
+// Strict mode (manifest "strict": true or DECK_STRICT=1) refuses to boot when the chosen deck has CSV
+// parse errors or invalid rows instead of falling back to the next source.
+import fs from 'fs';
+import path from 'path';
+import url from 'url';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+export const DEFAULT_MANIFEST_FILE = path.join(DATA_DIR, 'decks.json');
+
+// used when there is no manifest file
+const DEFAULT_SOURCES = [{ name: 'main', file: 'Schaetzchen_CONSOLIDATED_for_App_valid.csv', priority: 10 }];
+
+const truthy = (v) => /^(1|true|yes|on)$/i.test(String(v ?? '').trim());
+
+// { file, dir, sources: [{ name, file, priority, exists }] (highest priority first), categories, strict }
+export function loadManifest(file = process.env.DECK_MANIFEST || DEFAULT_MANIFEST_FILE) {
+  let raw = null;
+  let dir = DATA_DIR;
+  if (file && fs.existsSync(file)) {
+    // a broken manifest is a configuration error, not something to fall back from
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    dir = path.dirname(path.resolve(file));
+  } else if (process.env.DECK_MANIFEST) {
+    throw new Error(`DECK_MANIFEST ${file} not found`);
+  }
+  const resolve = (p) => (p ? path.resolve(dir, p) : null);
+  let sources = (raw && Array.isArray(raw.decks) ? raw.decks : DEFAULT_SOURCES).map((d, i) => {
+    if (!d || !d.file) throw new Error(`deck manifest entry ${i + 1} has no file`);
+    return { name: String(d.name || path.basename(d.file, path.extname(d.file))), file: resolve(d.file), priority: Number(d.priority) || 0 };
+  });
+  if (process.env.DECK_FILE) sources = [{ name: 'DECK_FILE', file: path.resolve(process.env.DECK_FILE), priority: Infinity }];
+  sources.sort((a, b) => b.priority - a.priority);
+  for (const s of sources) s.exists = fs.existsSync(s.file);
+  return {
+    file: raw ? path.resolve(file) : null,
+    dir,
+    sources,
+    categories: raw && raw.categories ? resolve(raw.categories) : null,
+    strict: process.env.DECK_STRICT !== undefined ? truthy(process.env.DECK_STRICT) : !!(raw && raw.strict),
+  };
+}
+
+// Deck file the server reads (and admin edits write back to): the highest-priority existing source
+export function resolveDeckPath(manifest = loadManifest()) {
+  const hit = manifest.sources.find(s => s.exists);
+  return hit ? hit.file : (manifest.sources[0] ? manifest.sources[0].file : null);
+}
@@ -0,0 +1,148 @@
+// backend/src/deckStore.js
+// Read/modify/write access to the deck CSV for the admin card API. Every edit is validated with the
+// same rules as the deck loader (see normalizeDeckRow in ./cards.js) before it is written back.
+import fs from 'fs';
+import Papa from 'papaparse';
+import { COLMAP, parseDeckText, normalizeDeckRow, isDisabledRow, mapCategory, translationColumn, toSI } from './cards.js';
+
+// column order of the consolidated CSV, used when a deck file has no header yet
+export const CONSOLIDATED_FIELDS = ['Kategorie', 'ID', 'Kurzname', 'Prompt', 'Typ', 'display_unit', 'Zielwert', 'value_si', 'Emoji', 'FunFact', 'Difficulty', 'Notiz'];
+
+export function readDeck(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const { records, fields, delimiter } = parseDeckText(text);
+  return { records, fields: fields.length ? fields : [...CONSOLIDATED_FIELDS], delimiter };
+}
+
+export function writeDeck(file, { records, fields, delimiter = ',' }) {
+  const csv = Papa.unparse({ fields, data: records.map(r => fields.map(f => r[f] ?? '')) }, { quotes: true, delimiter, newline: '\n' });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, '\uFEFF' + csv + '\n', 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+// header in `fields` that holds the given internal key (e.g. 'id' -> 'ID')
+function fieldFor(fields, key) {
+  return fields.find(f => (COLMAP[f] || f) === key) || null;
+}
+
+const mapRecord = (record) => {
+  const out = {};
+  for (const k of Object.keys(record)) out[COLMAP[k] || k] = record[k];
+  return out;
+};
+
+// Card as returned by the API: internal keys plus the parsed item (or the validation error)
+function describe(record) {
+  const row = mapRecord(record);
+  const res = normalizeDeckRow(row);
+  return { ...row, disabled: isDisabledRow(row), valid: res.ok, category_key: res.ok ? res.cat : null, value_si_parsed: res.ok ? res.item.value_si : null, error: res.ok ? undefined : res.reason };
+}
+
+// Apply a partial update (keys may be CSV headers or internal names) onto a record of the deck's columns.
+// Adds missing columns (e.g. Disabled) to `fields`.
+function applyPatch(fields, record, patch = {}) {
+  const next = { ...record };
+  const touched = new Set();
+  for (const [k, v] of Object.entries(patch)) {
+    // translated texts (Prompt_en, ...) are written under their canonical header
+    const tr = translationColumn(k);
+    const key = tr ? tr.header : (COLMAP[k] || k);
+    if (!tr && !Object.values(COLMAP).includes(key)) continue;
+    let field = tr ? fields.find(f => translationColumn(f)?.header === key) : fieldFor(fields, key);
+    if (!field) {
+      field = tr ? key : (Object.keys(COLMAP).find(h => COLMAP[h] === key && /^[A-Z]/.test(h)) || key);
+      fields.push(field);
+    }
+    next[field] = v == null ? '' : String(v);
+    touched.add(key);
+  }
+  // display value/unit changed without an explicit SI value: recompute value_si like the loader would
+  const siField = fieldFor(fields, 'value_si');
+  if (siField && !touched.has('value_si') && (touched.has('display_value') || touched.has('display_unit'))) {
+    const row = mapRecord(next);
+    const display = parseFloat(String(row.display_value || '').replace(/[\s\u00A0]/g, '').replace(',', '.'));
+    next[siField] = isFinite(display) ? String(toSI({ display_unit: row.display_unit }, display, row.display_unit)) : '';
+  }
+  return next;
+}
+
+function validate(record) {
+  const res = normalizeDeckRow(mapRecord(record));
+  return res.ok ? null : res.reason;
+}
+
+// next free id for a category, following the existing prefix scheme (S-001, D-042, ...)
+function nextId(deck, category) {
+  const idField = fieldFor(deck.fields, 'id');
+  const cat = mapCategory(category);
+  const sameCat = deck.records.filter(r => mapCategory(mapRecord(r).category) === cat);
+  const sample = sameCat.map(r => String(r[idField] || '')).find(id => /^[A-Z]+-\d+$/.test(id));
+  const prefix = sample ? sample.split('-')[0] : (cat || 'X').charAt(0).toUpperCase();
+  let max = 0;
+  for (const r of deck.records) {
+    const m = String(r[idField] || '').match(new RegExp(`^${prefix}-(\\d+)$`));
+    if (m) max = Math.max(max, Number(m[1]));
+  }
+  return `${prefix}-${String(max + 1).padStart(3, '0')}`;
+}
+
+export function listCards(file, { category, q, includeDisabled = true } = {}) {
+  const deck = readDeck(file);
+  const cat = category ? mapCategory(category) : null;
+  const needle = String(q || '').toLowerCase();
+  return deck.records.map(describe).filter(c =>
+    (!cat || mapCategory(c.category) === cat) &&
+    (includeDisabled || !c.disabled) &&
+    (!needle || `${c.id} ${c.prompt} ${c.short_name}`.toLowerCase().includes(needle)));
+}
+
+export function createCard(file, input = {}) {
+  const deck = readDeck(file);
+  const idField = fieldFor(deck.fields, 'id');
+  const patch = { ...input };
+  const idKey = Object.keys(patch).find(k => (COLMAP[k] || k) === 'id');
+  let id = idKey ? String(patch[idKey] || '').trim() : '';
+  if (!id) {
+    const catKey = Object.keys(patch).find(k => (COLMAP[k] || k) === 'category');
+    id = nextId(deck, catKey ? patch[catKey] : '');
+    patch.id = id;
+  }
+  if (deck.records.some(r => String(r[idField]) === id)) return { ok: false, error: 'DUPLICATE_ID', message: `card ${id} already exists` };
+  const blank = Object.fromEntries(deck.fields.map(f => [f, '']));
+  const record = applyPatch(deck.fields, blank, patch);
+  const reason = validate(record);
+  if (reason) return { ok: false, error: 'INVALID_CARD', message: reason };
+  deck.records.push(record);
+  writeDeck(file, deck);
+  return { ok: true, card: describe(record) };
+}
+
+export function updateCard(file, id, patch = {}) {
+  const deck = readDeck(file);
+  const idField = fieldFor(deck.fields, 'id');
+  const idx = deck.records.findIndex(r => String(r[idField]) === String(id));
+  if (idx === -1) return { ok: false, error: 'NO_CARD' };
+  // the id is the key of the card; renaming goes through delete + create
+  const safePatch = Object.fromEntries(Object.entries(patch).filter(([k]) => (COLMAP[k] || k) !== 'id'));
+  const record = applyPatch(deck.fields, deck.records[idx], safePatch);
+  const reason = validate(record);
+  if (reason) return { ok: false, error: 'INVALID_CARD', message: reason };
+  deck.records[idx] = record;
+  writeDeck(file, deck);
+  return { ok: true, card: describe(record) };
+}
+
+export function setCardDisabled(file, id, disabled = true) {
+  return updateCard(file, id, { disabled: disabled ? 'true' : '' });
+}
+
+export function deleteCard(file, id) {
+  const deck = readDeck(file);
+  const idField = fieldFor(deck.fields, 'id');
+  const idx = deck.records.findIndex(r => String(r[idField]) === String(id));
+  if (idx === -1) return { ok: false, error: 'NO_CARD' };
+  const [removed] = deck.records.splice(idx, 1);
+  writeDeck(file, deck);
+  return { ok: true, card: describe(removed) };
+}
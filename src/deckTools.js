@@ -0,0 +1,138 @@
+// backend/src/deckTools.js
+// Deck checks and transforms behind tools/deck.mjs: validation, prompt normalization, per-category split
+// and version diff. Everything works on the raw CSV records (original headers) and reuses the loader's
+// parsing (parseDeckText / normalizeDeckRow), so the CLI reports exactly what the server would load.
+import { COLMAP, normalizeDeckRow, isDisabledRow, normalizePromptText, translationColumn, toSI } from './cards.js';
+import { categoryDef } from './categories.js';
+import { lookupUnit } from './units.js';
+
+// relative difference between display_value (converted) and value_si that still counts as equal
+export const VALUE_TOLERANCE = 0.02;
+
+const mapRecord = (record) => {
+  const out = {};
+  for (const k of Object.keys(record || {})) out[COLMAP[k] || k] = record[k];
+  return out;
+};
+
+// header in `fields` that holds the given internal key (e.g. 'prompt' -> 'Prompt')
+const fieldFor = (fields, key) => fields.find(f => (COLMAP[f] || f) === key) || null;
+
+const parseNumber = (v) => parseFloat(String(v ?? '').replace(/[\s\u00A0]/g, '').replace(',', '.'));
+
+// Validate every record. Returns { issues: [{ line, id, level: 'error'|'warning', code, message }], counts }.
+// Line numbers are CSV lines (header = 1).
+export function validateDeck(records = [], { tolerance = VALUE_TOLERANCE } = {}) {
+  const issues = [];
+  const seen = new Map();
+  let valid = 0, disabled = 0;
+  records.forEach((record, i) => {
+    const row = mapRecord(record);
+    const line = i + 2;
+    const id = row.id || null;
+    const first = issues.length;
+    const add = (level, code, message) => issues.push({ line, id, level, code, message });
+
+    if (id) {
+      if (seen.has(id)) add('error', 'DUPLICATE_ID', `ID ${id} already used on line ${seen.get(id)}`);
+      else seen.set(id, line);
+    } else {
+      add('error', 'MISSING_ID', 'row has no ID');
+    }
+    if (isDisabledRow(row)) { disabled++; return; }
+
+    const res = normalizeDeckRow(row, i);
+    if (!res.ok) { add('error', 'INVALID_ROW', res.reason); return; }
+
+    const unitText = String(row.display_unit || '').trim();
+    const unit = lookupUnit(unitText);
+    const cat = categoryDef(res.cat);
+    if (unitText && !unit) add('error', 'UNKNOWN_UNIT', `unknown display_unit "${unitText}"`);
+    if (unit && cat && unit.dimension !== cat.dimension) {
+      add('error', 'CATEGORY_MISMATCH', `"${unitText}" is ${unit.dimension}, category ${res.cat} expects ${cat.dimension}`);
+    }
+    const display = parseNumber(row.display_value);
+    const si = parseNumber(row.value_si);
+    if (unit && isFinite(display) && isFinite(si) && String(row.value_si || '').trim() !== '') {
+      const expected = toSI({ display_unit: unitText }, display, unitText);
+      const rel = expected ? Math.abs(si - expected) / Math.abs(expected) : Math.abs(si);
+      if (rel > tolerance) add('error', 'VALUE_MISMATCH', `value_si ${row.value_si} but ${row.display_value} ${unitText} = ${Number(expected.toPrecision(6))}`);
+    }
+    if (!String(row.emoji || '').trim()) add('warning', 'MISSING_EMOJI', 'no emoji');
+    if (!String(row.fun_fact || '').trim()) add('warning', 'MISSING_FUN_FACT', 'no fun fact');
+    // valid = loads and has no errors (warnings are fine)
+    if (!issues.slice(first).some(x => x.level === 'error')) valid++;
+  });
+  const errors = issues.filter(x => x.level === 'error').length;
+  return { issues, counts: { rows: records.length, valid, disabled, errors, warnings: issues.length - errors } };
+}
+
+// Run normalizePromptText over the Prompt column and its translations (Prompt_en, ...). Returns the new
+// records and the changed prompts.
+export function normalizeDeckPrompts(records = [], fields = []) {
+  const promptFields = [fieldFor(fields, 'prompt'), ...fields.filter(f => translationColumn(f)?.field === 'prompt')].filter(Boolean);
+  const idField = fieldFor(fields, 'id');
+  const changes = [];
+  if (!promptFields.length) return { records, changes };
+  const next = records.map((r, i) => {
+    let out = r;
+    for (const field of promptFields) {
+      const before = String(r[field] ?? '');
+      const after = normalizePromptText(before);
+      if (after === before) continue;
+      changes.push({ line: i + 2, id: idField ? r[idField] : null, field, before, after });
+      out = { ...out, [field]: after };
+    }
+    return out;
+  });
+  return { records: next, changes };
+}
+
+// Group the valid, enabled records by category. Returns { [label]: records } with the category's
+// declared label as the key (the file names in data/valid_by_category).
+export function splitByCategory(records = []) {
+  const groups = {};
+  records.forEach((r, i) => {
+    const row = mapRecord(r);
+    if (isDisabledRow(row)) return;
+    const res = normalizeDeckRow(row, i);
+    if (!res.ok) return;
+    const label = categoryDef(res.cat)?.label || res.cat;
+    (groups[label] = groups[label] || []).push(r);
+  });
+  return groups;
+}
+
+// Compare two decks by ID. Fields are compared under their internal names, so a renamed header
+// (e.g. "Kategorie" vs "category") doesn't show up as a change; columns only one deck has are listed
+// once under `columns` instead of as a change on every card.
+export function diffDecks(oldRecords = [], newRecords = []) {
+  const columnsOf = (records) => new Set(Object.keys(mapRecord(records[0] || {})));
+  const colsA = columnsOf(oldRecords);
+  const colsB = columnsOf(newRecords);
+  const index = (records) => {
+    const m = new Map();
+    for (const r of records) {
+      const row = mapRecord(r);
+      if (row.id) m.set(String(row.id), row);
+    }
+    return m;
+  };
+  const a = index(oldRecords);
+  const b = index(newRecords);
+  const added = [], removed = [], changed = [];
+  for (const [id, row] of b) if (!a.has(id)) added.push({ id, prompt: row.prompt || '' });
+  for (const [id, row] of a) {
+    if (!b.has(id)) { removed.push({ id, prompt: row.prompt || '' }); continue; }
+    const other = b.get(id);
+    const fields = {};
+    for (const k of [...colsA].filter(c => colsB.has(c))) {
+      const before = String(row[k] ?? '');
+      const after = String(other[k] ?? '');
+      if (before !== after) fields[k] = { before, after };
+    }
+    if (Object.keys(fields).length) changed.push({ id, fields });
+  }
+  const columns = { added: [...colsB].filter(c => !colsA.has(c)), removed: [...colsA].filter(c => !colsB.has(c)) };
+  return { columns, added, removed, changed };
+}
@@ -0,0 +1,136 @@
+// backend/src/gameStore.js
+// Archive of finished games (settings, rounds with every submission, standings) for /games and
+// /rooms/:code/history. Every backend implements: saveGame(record), getGame(id), listGames({ roomCode, limit }).
+// Select with GAME_STORE=json|memory (default: ROOM_STORE, then json).
+import fs from 'fs';
+import path from 'path';
+import Papa from 'papaparse';
+import { DEFAULT_RUNTIME_DIR } from './roomStore.js';
+import { publicIdFor } from './profileStore.js';
+
+export function createGameStore(kind = process.env.GAME_STORE || process.env.ROOM_STORE || 'json') {
+  const k = String(kind || '').toLowerCase();
+  if (k === 'memory' || k === 'none' || k === 'off') return createMemoryStore();
+  return createJsonlStore(process.env.GAME_STORE_FILE || path.join(DEFAULT_RUNTIME_DIR, 'games.jsonl'));
+}
+
+// Archives written before `publicIds` held raw solo playerIds (reconnect credentials): map them on load
+export function withPublicIds(g) {
+  if (!g || g.publicIds) return g;
+  if (g.settings?.teamMode === 'team') return { ...g, publicIds: true };
+  const pub = (id) => (id == null ? id : publicIdFor(id));
+  return {
+    ...g,
+    publicIds: true,
+    rounds: (g.rounds || []).map(r => ({
+      ...r,
+      submissions: (r.submissions || []).map(x => ({ ...x, teamId: pub(x.teamId) })),
+      symbol: r.symbol ? { ...r.symbol, teamId: pub(r.symbol.teamId) } : r.symbol,
+    })),
+    standings: (g.standings || []).map(st => ({ ...st, teamId: pub(st.teamId) })),
+    symbols: Object.fromEntries(Object.entries(g.symbols || {}).map(([id, list]) => [pub(id), list])),
+  };
+}
+
+// newest first, optionally one room only
+function query(games, { roomCode, limit = 50 } = {}) {
+  const code = roomCode ? String(roomCode).toUpperCase() : null;
+  const list = games.filter(g => !code || String(g.roomCode).toUpperCase() === code);
+  list.sort((a, b) => (b.endedAt || 0) - (a.endedAt || 0));
+  return list.slice(0, Math.max(1, Number(limit) || 50));
+}
+
+function createMemoryStore() {
+  const games = new Map();
+  return {
+    kind: 'memory',
+    saveGame(record) { games.set(record.id, record); },
+    getGame: (id) => games.get(String(id)) || null,
+    listGames: (opts) => query([...games.values()], opts),
+  };
+}
+
+// Append-only JSON lines file: one finished game per line, read into memory on boot
+function createJsonlStore(file) {
+  const games = new Map();
+  try {
+    if (fs.existsSync(file)) {
+      const text = fs.readFileSync(file, 'utf8');
+      // a torn last line must not swallow the next appended game
+      if (text && !text.endsWith('\n')) fs.appendFileSync(file, '\n', 'utf8');
+      for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const g = withPublicIds(JSON.parse(line));
+          if (g && g.id) games.set(g.id, g);
+        } catch (e) { /* skip a torn last line */ }
+      }
+    }
+  } catch (e) {
+    console.warn('[gameStore] could not read game archive:', e && e.message);
+  }
+
+  return {
+    kind: 'json',
+    file,
+    saveGame(record) {
+      games.set(record.id, record);
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, JSON.stringify(record) + '\n', 'utf8');
+      } catch (e) {
+        console.error('[gameStore] write failed:', e && e.message);
+      }
+    },
+    getGame: (id) => games.get(String(id)) || null,
+    listGames: (opts) => query([...games.values()], opts),
+  };
+}
+
+// One CSV row per submission (and per missing answer) of an archived game
+export const GAME_CSV_FIELDS = ['gameId', 'roomCode', 'endedAt', 'round', 'category', 'k', 'refId', 'refPrompt', 'target_si',
+  'teamId', 'teamName', 'rank', 'cardId', 'cardPrompt', 'multiplierId', 'factor', 'value', 'guess_si', 'diffPct', 'points', 'noAnswer', 'symbol'];
+
+export function gameToRows(game) {
+  const rows = [];
+  for (const r of game.rounds || []) {
+    for (const s of r.submissions || []) {
+      rows.push({
+        gameId: game.id,
+        roomCode: game.roomCode,
+        endedAt: game.endedAt ? new Date(game.endedAt).toISOString() : '',
+        round: r.round,
+        category: r.category,
+        k: r.k,
+        refId: r.refId,
+        refPrompt: r.refPrompt,
+        target_si: r.target,
+        teamId: s.teamId,
+        teamName: s.teamName,
+        rank: s.rank,
+        cardId: s.cardId,
+        cardPrompt: s.cardPrompt,
+        multiplierId: s.multiplierId,
+        factor: s.factor,
+        value: s.value,
+        guess_si: s.siGuess,
+        diffPct: s.diffPct,
+        points: s.points,
+        noAnswer: s.noAnswer ? 'true' : '',
+        symbol: r.symbol && r.symbol.teamId === s.teamId ? r.symbol.symbol : '',
+      });
+    }
+  }
+  return rows;
+}
+
+export function gamesToCsv(games = []) {
+  const rows = games.flatMap(gameToRows);
+  return Papa.unparse({ fields: GAME_CSV_FIELDS, data: rows.map(r => GAME_CSV_FIELDS.map(f => r[f] ?? '')) }, { newline: '\n' }) + '\n';
+}
+
+// list view of a game without the per-round details
+export const summarizeGame = (g) => ({
+  id: g.id, roomCode: g.roomCode, startedAt: g.startedAt, endedAt: g.endedAt, endReason: g.endReason,
+  rounds: (g.rounds || []).length, seed: g.seed, settings: g.settings, winner: g.standings?.[0] || null,
+});
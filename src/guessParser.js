@@ -0,0 +1,92 @@
+// backend/src/guessParser.js
+// Free-text guesses ("1,5 Tonnen", "3k km", "120 km/h", "1.200 Meilen") -> amount, unit and SI value,
+// with a dimension check against the round's category. Accepts German and English notation; units and
+// their spellings come from the registry in units.js.
+//
+// Number rules: with both '.' and ',' the last one is the decimal separator ("1.234,5" / "1,234.5");
+// repeated separators group thousands ("1.000.000"); a single separator followed by exactly three digits
+// groups thousands too ("1.500", "2,000"), otherwise it is the decimal point ("1,5", "0,125").
+
+import { lookupUnit } from './units.js';
+import { t } from './i18n.js';
+
+const SCALES = [
+  [/^(k|tsd\.?|tausend|thousand)$/, 1e3],
+  [/^(mio\.?|mill\.?|million|millionen|millions)$/, 1e6],
+  [/^(mrd\.?|milliarde|milliarden|billion|billions)$/, 1e9],
+];
+
+// "1.234,5" / "1,234.5" / "1 000" -> number (NaN if not a number)
+export function parseAmount(text) {
+  let s = String(text ?? '').trim().replace(/[\s\u00a0\u202f']/g, '').replace(/^\u2212/, '-');
+  if (!/^[+-]?\d[\d.,]*$|^[+-]?[.,]\d+$/.test(s)) return NaN;
+  const sign = s.startsWith('-') ? -1 : 1;
+  s = s.replace(/^[+-]/, '');
+  const lastDot = s.lastIndexOf('.');
+  const lastComma = s.lastIndexOf(',');
+  if (lastDot >= 0 && lastComma >= 0) {
+    const dec = lastDot > lastComma ? '.' : ',';
+    const group = dec === '.' ? ',' : '.';
+    s = s.split(group).join('').replace(dec, '.');
+  } else if (lastDot >= 0 || lastComma >= 0) {
+    const sep = lastDot >= 0 ? '.' : ',';
+    const parts = s.split(sep);
+    const grouped = parts.length > 2 || (parts[1].length === 3 && /^[1-9]/.test(parts[0]));
+    if (grouped) {
+      if (parts.slice(1).some(p => p.length !== 3)) return NaN;
+      s = parts.join('');
+    } else {
+      s = parts.join('.');
+    }
+  }
+  const n = Number(s);
+  return isFinite(n) ? sign * n : NaN;
+}
+
+// Parse a guess. input: number | string | { amount, unit } | { text }.
+// opts: { dimension, defaultUnit, lang } – the round's dimension, the unit assumed when none is given and
+// the language of error messages (see i18n.js).
+// Returns { ok, amount, unit, si, dimension } or { ok: false, error, message }.
+export function parseGuess(input, { dimension = null, defaultUnit = null, lang } = {}) {
+  let amount = NaN;
+  let unitText = '';
+  if (typeof input === 'number') {
+    amount = input;
+  } else if (typeof input === 'string' || (input && typeof input === 'object' && typeof input.text === 'string')) {
+    const text = String(typeof input === 'string' ? input : input.text).trim();
+    const m = text.match(/^([+\-\u2212]?[\d.,]*\d(?:[\s\u00a0\u202f'][\d]{3})*|[+\-\u2212]?[.,]\d+)\s*(.*)$/);
+    if (!m) return { ok: false, error: 'BAD_GUESS', message: t(lang, 'guess.noNumber') };
+    amount = parseAmount(m[1]);
+    let rest = m[2].trim();
+    // "3k km", "2 Mio. Tonnen", "1,5 Mio". A lone word that is itself a unit of the round ("3,7 Mio" when
+    // counting) stays the unit, otherwise it would scale twice
+    const scaleMatch = rest.match(/^(\S+)(?:\s+(.*))?$/);
+    const roundDimension = dimension || lookupUnit(defaultUnit)?.dimension;
+    const asUnit = scaleMatch && !scaleMatch[2] && lookupUnit(scaleMatch[1]);
+    if (scaleMatch && !(asUnit && asUnit.dimension === roundDimension)) {
+      const scale = SCALES.find(([re]) => re.test(scaleMatch[1].toLowerCase()));
+      if (scale) { amount *= scale[1]; rest = (scaleMatch[2] || '').trim(); }
+    }
+    unitText = rest;
+  } else if (input && typeof input === 'object' && input.amount != null) {
+    amount = typeof input.amount === 'number' ? input.amount : parseAmount(input.amount);
+    unitText = input.unit || '';
+  }
+  if (!isFinite(amount)) return { ok: false, error: 'BAD_GUESS', message: t(lang, 'guess.noNumber') };
+
+  const explicit = !!unitText;
+  const unit = lookupUnit(unitText || defaultUnit);
+  if (explicit && !unit) return { ok: false, error: 'UNKNOWN_UNIT', message: t(lang, 'guess.unknownUnit', { unit: unitText }) };
+  if (unit && dimension && unit.dimension !== dimension) {
+    return {
+      ok: false,
+      error: 'UNIT_MISMATCH',
+      message: t(lang, 'guess.unitMismatch', { unit: unitText, got: t(lang, `dimension.${unit.dimension}`), expected: t(lang, `dimension.${dimension}`) }),
+    };
+  }
+  // negative amounts only make sense with an offset unit ("-5 °C"); the SI value has to stay positive
+  const si = unit ? amount * unit.factor + unit.offset : amount;
+  if (!(si > 0)) return { ok: false, error: 'BAD_GUESS', message: t(lang, 'guess.notPositive') };
+  if (!unit) return { ok: true, amount, unit: null, si, dimension };
+  return { ok: true, amount, unit: unit.symbol, si, dimension: unit.dimension };
+}
@@ -0,0 +1,99 @@
+// backend/src/i18n.js
+// Room languages and the server's message catalogs (ack errors, tutorial text, placeholder cards).
+// German is the source language: a key missing in a catalog falls back to German, then to the key.
+// Card texts are translated in the deck itself (Prompt_en, FunFact_en, Kurzname_en; see cards.js).
+//
+//   t('en', 'start.notEnoughReady', { min: 2 })  -> 'At least 2 players must be ready.'
+import { DIMENSIONS } from './units.js';
+
+export const DEFAULT_LANGUAGE = 'de';
+
+const CATALOGS = {
+  de: {
+    'joker.factorSlot': 'Faktor-Joker gehören in multiplierId',
+    'joker.peekSlot': 'Der Basiswert-Joker wird mit USE_JOKER eingesetzt',
+    'joker.submitSlot': 'Dieser Joker wird mit SUBMIT eingesetzt',
+    'joker.needsCard': 'Der 2×-Joker gilt nur für Antworten aus Handkarten',
+    'joker.limitPer': 'Joker-Limit erreicht ({limit} pro {per})',
+    'joker.perGame': 'Spiel',
+    'joker.perRound': 'Runde',
+    'joker.label.combine': '➕ Kombi',
+    'joker.label.peek': '👁 Basiswert',
+    'joker.label.double': '2× Symbol',
+    'combo.disabled': 'Kartenkombinationen sind in diesem Raum aus',
+    'combo.needsCards': 'Eine Kombination braucht zwei verschiedene Handkarten',
+    'combo.badOperator': "operator muss '+' oder '-' sein",
+    'combo.addOnly': 'Der Kombi-Joker addiert nur',
+    'combo.nonPositive': 'Das Ergebnis muss größer als 0 sein',
+    'guess.noNumber': 'Keine Zahl erkannt',
+    'guess.unknownUnit': 'Unbekannte Einheit „{unit}“',
+    'guess.unitMismatch': '„{unit}“ ist {got}, gefragt ist {expected}',
+    'guess.notPositive': 'Die Schätzung muss größer als 0 sein',
+    'start.alreadyPlaying': 'Eine Runde läuft bereits.',
+    'start.draftInProgress': 'Die Kategorie wird gerade gewählt.',
+    'start.notEnoughReady': 'Mindestens {min} Spieler müssen bereit sein.',
+    'start.waitingForTutorial': 'Warte, bis alle das Tutorial geschlossen haben …',
+    'tutorial.full': 'Tutorial: bitte lesen. Admin muss erneut Start drücken.',
+    'settings.multipliersLocked': 'Multiplikatoren können nur zwischen Spielen geändert werden.',
+    'settings.unknownLanguage': 'Unbekannte Sprache „{language}“ (verfügbar: {available})',
+    'card.freeInput': 'Freie Eingabe',
+    'champion.same': '{count}x {category}',
+    'champion.distinct': '{count} verschiedene Symbole',
+    // dimension names as used in guess.unitMismatch ("eine Geschwindigkeit")
+    ...Object.fromEntries(Object.entries(DIMENSIONS).map(([k, d]) => [`dimension.${k}`, d.label])),
+  },
+  en: {
+    'joker.factorSlot': 'Factor jokers go in multiplierId',
+    'joker.peekSlot': 'The base value joker is played with USE_JOKER',
+    'joker.submitSlot': 'This joker is played with SUBMIT',
+    'joker.needsCard': 'The 2× joker only works with answers built from hand cards',
+    'joker.limitPer': 'Joker limit reached ({limit} per {per})',
+    'joker.perGame': 'game',
+    'joker.perRound': 'round',
+    'joker.label.combine': '➕ Combo',
+    'joker.label.peek': '👁 Base value',
+    'joker.label.double': '2× Symbol',
+    'combo.disabled': 'Card combinations are off in this room',
+    'combo.needsCards': 'A combination needs two different hand cards',
+    'combo.badOperator': "operator must be '+' or '-'",
+    'combo.addOnly': 'The combo joker only adds',
+    'combo.nonPositive': 'The result must be greater than 0',
+    'guess.noNumber': 'No number found',
+    'guess.unknownUnit': 'Unknown unit "{unit}"',
+    'guess.unitMismatch': '"{unit}" is {got}, the question asks for {expected}',
+    'guess.notPositive': 'The guess must be greater than 0',
+    'start.alreadyPlaying': 'A round is already running.',
+    'start.draftInProgress': 'The category is being picked.',
+    'start.notEnoughReady': 'At least {min} players must be ready.',
+    'start.waitingForTutorial': 'Waiting for everyone to close the tutorial …',
+    'tutorial.full': 'Tutorial: please read. The host has to press start again.',
+    'settings.multipliersLocked': 'Multipliers can only be changed between games.',
+    'settings.unknownLanguage': 'Unknown language "{language}" (available: {available})',
+    'card.freeInput': 'Free input',
+    'champion.same': '{count}x {category}',
+    'champion.distinct': '{count} different symbols',
+    'dimension.length': 'a length',
+    'dimension.speed': 'a speed',
+    'dimension.mass': 'a weight',
+    'dimension.time': 'a duration',
+    'dimension.volume': 'a volume',
+    'dimension.area': 'an area',
+    'dimension.temperature': 'a temperature',
+    'dimension.count': 'a count',
+  },
+};
+
+// languages with a message catalog
+export const LANGUAGES = Object.keys(CATALOGS);
+
+// 'EN', 'en-GB', 'en_US' -> 'en'; null if it isn't a language code
+export function normalizeLanguage(value) {
+  const m = String(value ?? '').trim().toLowerCase().match(/^([a-z]{2})(?:[-_][a-z0-9]+)?$/);
+  return m ? m[1] : null;
+}
+
+// Message `key` in `lang` with {placeholders} filled from params
+export function t(lang, key, params = {}) {
+  const text = CATALOGS[lang]?.[key] ?? CATALOGS[DEFAULT_LANGUAGE][key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (m, name) => (params[name] !== undefined ? String(params[name]) : m));
+}
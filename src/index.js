@@ -6,14 +6,26 @@ import { Server } from 'socket.io';
 import fs from 'fs';
 import path from 'path';
 import url from 'url';
-import { loadItemsFromCSV, toSI, formatFromSI, scoreGuess, normalizePromptText, dealHand as dealHandUtil } from './cards.js';
+import { loadDeck, toSI, formatFromSI, scoreGuess, normalizePromptText, resolveDeckPath, parseDeckInput, dealHand as dealHandUtil, filterByDifficulty, DIFFICULTY_LEVELS, dimensionForCategory, localizeCard, deckLanguages } from './cards.js';
+import { parseGuess } from './guessParser.js';
+import { t, DEFAULT_LANGUAGE, LANGUAGES, normalizeLanguage } from './i18n.js';
+import { categoryDef, publicCategory, winThresholds, getCategories, setCategories } from './categories.js';
+import { listCards, createCard, updateCard, setCardDisabled, deleteCard } from './deckStore.js';
+import { createRoomStore } from './roomStore.js';
+import { createSchedule, serializeSchedule, resetSchedule, drawCards } from './scheduler.js';
+import { hashSeed, randomSeed, createRng } from './rng.js';
+import { createGameStore, gamesToCsv, summarizeGame } from './gameStore.js';
+import { createCardStats, rankOutliers, logError } from './cardStats.js';
+import { normalizeMultiplierSet, buildMultipliers, localizeMultipliers, isJoker, jokerKind } from './multipliers.js';
+import { createProfileStore, publicProfile, buildLeaderboard, publicIdFor } from './profileStore.js';
+import { requireAdminToken, guardDebugRoute, checkAdminSecret, hostAuthRequired, generateHostPin, checkHostPin, pinLockout, recordPinFailure, signHostToken, verifyHostToken } from './auth.js';
 
 const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
 
 /* -------------------- App & Server -------------------- */
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '2mb' }));
 
 app.get('/test', (req, res) => res.json({ ok: true, ts: Date.now() }));
 
@@ -28,23 +40,35 @@ const io = new Server(httpServer, {
 /* -------------------- In-Memory State -------------------- */
 const rooms = new Map();           // code -> { ...room }
 const sessions = new Map();        // playerId -> { roomCode, teamId, lastSeen }
+const roomStore = createRoomStore(); // snapshots of rooms/sessions (see ./roomStore.js)
+const gameStore = createGameStore(); // archive of finished games (see ./gameStore.js)
+const cardStats = createCardStats(); // per-card performance for content review (see ./cardStats.js)
+const profiles = createProfileStore(); // cross-game player profiles/leaderboards (see ./profileStore.js)
 const PORT = process.env.PORT || 4000;
 
 /* -------------------- Helpers -------------------- */
+// Room codes are case-insensitive: sockets and REST routes use the upper-case form as the room key
+const normalizeRoomCode = (code) => String(code ?? '').trim().toUpperCase();
+
 function ensureRoom(code) {
   if (!rooms.has(code)) {
     rooms.set(code, {
       code,
       state: 'lobby',
       teams: new Map(),            // socketId -> player
-      playersByTeamId: new Map(),  // teamId -> player
+      playersByTeamId: new Map(),  // teamId -> player (includes players that are away, socketId null)
+      _awayTimers: new Map(),      // playerId -> timeout that removes an away player for good
       readyPlayers: new Set(),     // socketIds marked ready
       admins: new Set(),           // socketIds
+      hostIds: new Set(),          // playerIds with admin rights (host + co-hosts), survive reconnects
+      _hostGraceTimer: null,       // pending auto-promotion when no host is connected
+      hostPin: null,               // per-room PIN to claim admin rights (see HOST_LOGIN)
   // require at least 2 players to start by default
   minPlayers: Number(process.env.MIN_PLAYERS) || 2,
       submitted: new Map(),        // teamId -> submission
       roundIndex: 0,
       symbols: {},
+      points: {},                  // teamId -> running total (winCondition 'points')
       currentReferenceCard: null,
       targetExpression: null,
       lastRoundPayload: null,
@@ -63,17 +87,59 @@ function ensureRoom(code) {
       // game settings (admin-configurable)
       rounds: 5,
       timer: 60,
+      // absolute deadline (ms epoch) of the running round and its tick interval
+      roundDeadline: null,
+      _roundTimer: null,
       jokersEnabled: true,
+      // standard factors, jokers and joker limits (see ./multipliers.js)
+      multiplierSet: normalizeMultiplierSet(null).value,
+      allowCombos: false,          // guesses from two hand cards with + / − (see applySubmission)
       teamMode: 'solo',
       winCondition: 'rounds',
-      
+      // easy | medium | hard | mixed | progressive (see difficultyForRound)
+      difficulty: 'mixed',
+      // card texts and server messages (see i18n.js); German where a translation is missing
+      language: DEFAULT_LANGUAGE,
+      // category selection: { [category]: { enabled, weight } } or null (all, equal weight)
+      categories: null,
+      maxCategoryStreak: 0,
+      categoryDraft: false,
+      categoryHistory: [],         // category per round, for the streak limit
+      lastRoundWinner: null,       // competitor id that picks in draft mode
+      // cards already shown as reference or in a hand; drawn again only once their pool is used up
+      schedule: createSchedule(),
+      avoidRepeatsAcrossGames: false, // keep the schedule on NEW_GAME
+      draft: null,                 // open category draft: { pickerId, choices, deadline, _timer }
       teamSize: 2,
+      // team mode: teamId -> { id, name, captainId, members: Set(playerId), hand, multipliers, proposals, votes }
+      groups: new Map(),
+      // custom deck attached by an admin: { name, items, counts, mixDefault, uploadedAt } or null
+      customDeck: null,
+      // reproducible games: `seed` setting (null = fresh random seed per game), the seed of the current
+      // game and the PRNG position; room.rng drives category, reference card, k and hand dealing
+      // (hands for reconnecting players come from a separate stream, room.lateRng, so they don't shift it)
+      seed: null,
+      gameSeed: null,
+      rngState: null,
+      // running game for the archive: { id, roomCode, startedAt, seed, settings, rounds: [] } (see archiveGame)
+      gameRecord: null,
     });
+    seedGame(rooms.get(code));
   }
   return rooms.get(code);
 }
 
-const randomPick = (arr) => arr[Math.floor(Math.random() * arr.length)];
+const randomPick = (arr, rng = Math.random) => arr[Math.floor(rng() * arr.length)];
+
+// (Re)start the room's PRNG from its `seed` setting or a fresh random seed. An exact replay also needs
+// the same settings, players (join order) and a fresh card schedule.
+function seedGame(room, gameSeed = null) {
+  const configured = room.seed != null && String(room.seed).trim() !== '' ? String(room.seed).trim() : null;
+  room.gameSeed = gameSeed || configured || randomSeed();
+  room.rngState = { state: hashSeed(room.gameSeed) };
+  room.rng = createRng(room.rngState);
+  room.lateRng = createRng({ state: hashSeed(`${room.gameSeed}:late`) });
+}
 
 // Prepare hand objects for emission to clients: ensure lowercase `prompt`, `promptEmoji`, `unit`, `emoji` exist
 function prepareHandForEmission(hand = []) {
@@ -89,20 +155,532 @@ function prepareHandForEmission(hand = []) {
   }));
 }
 
+/* -------------------- Teams -------------------- */
+// In solo mode every player competes on its own (teamId === playerId).
+// In team mode players join named groups that share a hand and submit once per round.
+const isTeamMode = (room) => room.teamMode === 'team';
+
+function findGroupByName(room, name) {
+  const key = String(name || '').trim().toLowerCase();
+  for (const g of room.groups.values()) if (g.name.toLowerCase() === key) return g;
+  return null;
+}
+
+function findGroupOfPlayer(room, playerId) {
+  for (const g of room.groups.values()) if (g.members.has(playerId)) return g;
+  return null;
+}
+
+// Remove a player from its group; empty groups are dropped and a new captain is picked if needed
+function leaveGroup(room, player) {
+  const group = findGroupOfPlayer(room, player.id);
+  if (!group) return;
+  group.members.delete(player.id);
+  if (group.members.size === 0) {
+    room.groups.delete(group.id);
+  } else if (group.captainId === player.id) {
+    group.captainId = group.members.values().next().value;
+  }
+  player.teamId = player.id;
+}
+
+// Join (or create) the named group. Returns { ok, group } or { ok: false, error }.
+function joinGroup(room, player, teamName) {
+  const name = String(teamName || '').trim().slice(0, 32);
+  if (!name) return { ok: false, error: 'MISSING_TEAM_NAME' };
+  let group = findGroupByName(room, name);
+  if (group && group.members.has(player.id)) return { ok: true, group };
+  const cap = Number(room.teamSize) || 2;
+  if (group && group.members.size >= cap) return { ok: false, error: 'TEAM_FULL' };
+  leaveGroup(room, player);
+  if (!group) {
+    group = {
+      id: `T${Math.floor(Math.random() * 10000)}_${Date.now()}`,
+      name,
+      captainId: player.id,
+      members: new Set(),
+      hand: [],
+      multipliers: getDefaultMultipliers(room),
+      proposals: new Map(),      // playerId -> { cardId, secondCardId, operator, multiplierId, jokerId, value }
+      votes: new Map(),          // playerId -> proposer playerId
+    };
+    room.groups.set(group.id, group);
+  }
+  group.members.add(player.id);
+  player.teamId = group.id;
+  return { ok: true, group };
+}
+
+// Late joiner in a running game: goes into the smallest team that has room and shares its hand and jokers;
+// when every team is full it plays as a new team of one (dealt its own hand if a round is running)
+function joinSmallestGroup(room, player) {
+  const cap = Number(room.teamSize) || 2;
+  const groups = [...room.groups.values()].filter(g => g.members.size > 0 && g.members.size < cap);
+  let group;
+  if (groups.length) {
+    group = groups.reduce((a, b) => (b.members.size < a.members.size ? b : a));
+    leaveGroup(room, player);
+    group.members.add(player.id);
+    player.teamId = group.id;
+  } else {
+    const joined = joinGroup(room, player, uniqueGroupName(room, player.name));
+    if (!joined.ok) return null;
+    group = joined.group;
+    const te = room.targetExpression;
+    if (room.state === 'playing' && te && te.category) group.hand = dealHand(room, te.category, [te.refId], { late: true });
+  }
+  player.hand = group.hand;
+  player.multipliers = group.multipliers;
+  return group;
+}
+
+// team name not taken yet: the player's name, else "Name 2", "Name 3", ...
+function uniqueGroupName(room, base) {
+  let name = base;
+  for (let n = 2; findGroupByName(room, name); n++) name = `${base} ${n}`;
+  return name;
+}
+
+// Players that did not pick a team before the game starts play as a team of one
+function ensureGroupsForStart(room) {
+  for (const p of room.teams.values()) {
+    if (findGroupOfPlayer(room, p.id)) continue;
+    joinGroup(room, p, uniqueGroupName(room, p.name));
+  }
+}
+
+// ids of the units that compete (and own symbols): groups in team mode, players otherwise
+function getCompetitorIds(room) {
+  if (isTeamMode(room)) return [...room.groups.values()].filter(g => g.members.size > 0).map(g => g.id);
+  return [...room.playersByTeamId.keys()];
+}
+
+function getCompetitor(room, teamId) {
+  return isTeamMode(room) ? room.groups.get(teamId) : room.playersByTeamId.get(teamId);
+}
+
+function getCompetitorName(room, teamId) {
+  return getCompetitor(room, teamId)?.name || 'Unknown';
+}
+
+// Competitor id as broadcast and archived: the player's publicId in solo mode (playerIds double as
+// reconnect credentials), the team id in team mode (as in the lobby's groups[].id)
+function publicCompetitorId(room, teamId) {
+  return isTeamMode(room) ? teamId : publicIdFor(teamId);
+}
+
+// room.symbols keyed by public competitor ids (SYMBOLS_UPDATE, archive)
+function publicSymbols(room) {
+  return Object.fromEntries(Object.entries(room.symbols || {}).map(([id, list]) => [publicCompetitorId(room, id), list]));
+}
+
+/* -------------------- Away Players -------------------- */
+// A disconnected player stays in playersByTeamId (hand, jokers, symbols, submission) for AWAY_GRACE_MS
+// and is only removed when it doesn't reconnect in time.
+const AWAY_GRACE_MS = Number(process.env.AWAY_GRACE_MS) || 120000;
+
+const isAway = (p) => !!p && !p.socketId;
+
+// a competitor is away when its player (solo) or every member of its team is away
+function isCompetitorAway(room, teamId) {
+  if (!isTeamMode(room)) return isAway(room.playersByTeamId.get(teamId));
+  const group = room.groups.get(teamId);
+  if (!group) return true;
+  return [...group.members].every(id => isAway(room.playersByTeamId.get(id)) || !room.playersByTeamId.has(id));
+}
+
+// Submission progress: `submitted` and `total` count competitors that are present, away ones are reported
+// separately (also when they submitted before going away)
+function submissionProgress(room) {
+  const ids = getCompetitorIds(room);
+  const away = ids.filter(id => isCompetitorAway(room, id));
+  const present = ids.filter(id => !away.includes(id));
+  const submitted = present.filter(id => room.submitted.has(id)).length;
+  return { submitted, total: present.length, away: away.length, pending: present.length - submitted };
+}
+
+// Reveal as soon as every present competitor has submitted (away ones only get time via the round timer)
+function revealIfComplete(nsp, room, delay = 500) {
+  if (room.state !== 'playing') return;
+  const { pending, submitted } = submissionProgress(room);
+  if (pending > 0 || submitted === 0) return;
+  setTimeout(() => {
+    if (room.state === 'playing') autoReveal(nsp, room);
+  }, delay);
+}
+
+function markAway(nsp, room, player) {
+  player.socketId = null;
+  player.awaySince = Date.now();
+  const prev = room._awayTimers.get(player.id);
+  if (prev) clearTimeout(prev);
+  room._awayTimers.set(player.id, setTimeout(() => {
+    room._awayTimers.delete(player.id);
+    try {
+      const current = room.playersByTeamId.get(player.id);
+      if (!current || !isAway(current)) return;
+      room.playersByTeamId.delete(player.id);
+      if (room.state === 'lobby') leaveGroup(room, current);
+      console.log(`[away] player=${player.id} did not return to room=${room.code} within ${AWAY_GRACE_MS}ms — removed`);
+      persistRoom(room);
+      nsp.to(room.code).emit('LOBBY_UPDATE', lobbyPayload(room));
+      if (room.state === 'playing') {
+        nsp.to(room.code).emit('SUBMISSION_UPDATE', submissionProgress(room));
+        revealIfComplete(nsp, room);
+      }
+    } catch (e) { console.error('away expiry failed', e); }
+  }, AWAY_GRACE_MS));
+}
+
+function clearAway(room, playerId) {
+  const t = room._awayTimers.get(playerId);
+  if (t) { clearTimeout(t); room._awayTimers.delete(playerId); }
+}
+
+// Final/intermediate standings: by points in a points game, by symbol count otherwise (public ids)
+function buildStandings(room) {
+  const standings = getCompetitorIds(room).map(id => ({
+    teamId: publicCompetitorId(room, id),
+    teamName: getCompetitorName(room, id),
+    symbols: (room.symbols[id] || []).length,
+    points: (room.points && room.points[id]) || 0,
+  }));
+  if (room.winCondition === 'points') standings.sort((a, b) => b.points - a.points || b.symbols - a.symbols);
+  else standings.sort((a, b) => b.symbols - a.symbols);
+  return standings;
+}
+
+function emitToGroup(nsp, room, group, event, payload) {
+  for (const p of room.teams.values()) {
+    if (group.members.has(p.id)) nsp.to(p.socketId).emit(event, payload);
+  }
+}
+
+function groupProposalsPayload(room, group) {
+  const tally = {};
+  for (const target of group.votes.values()) tally[target] = (tally[target] || 0) + 1;
+  return {
+    teamId: group.id,
+    captainPublicId: publicIdFor(group.captainId),
+    members: group.members.size,
+    // proposals and votes go by the proposer's publicId (see TEAM_VOTE)
+    proposals: [...group.proposals.entries()].map(([playerId, pr]) => ({
+      publicId: publicIdFor(playerId),
+      name: room.playersByTeamId.get(playerId)?.name || '',
+      cardId: pr.cardId,
+      secondCardId: pr.secondCardId || null,
+      operator: pr.secondCardId ? (pr.operator || '+') : null,
+      multiplierId: pr.multiplierId,
+      jokerId: pr.jokerId || null,
+      value: pr.value,
+      votes: tally[playerId] || 0,
+    })),
+  };
+}
+
+// Submit the team's proposal once a strict majority of its members voted for it.
+// Returns true if the team's submission was locked.
+function lockGroupIfMajority(nsp, room, group, socketId) {
+  if (room.submitted.has(group.id)) return false;
+  const tally = {};
+  for (const target of group.votes.values()) tally[target] = (tally[target] || 0) + 1;
+  const winner = Object.keys(tally).find(id => tally[id] > group.members.size / 2);
+  if (!winner) return false;
+  const proposal = group.proposals.get(winner);
+  const result = applySubmission(nsp, room, group.id, proposal, socketId);
+  if (!result.ok) {
+    // e.g. joker limit reached: drop the proposal so the team can pick another one
+    group.proposals.delete(winner);
+    for (const [voter, target] of group.votes) if (target === winner) group.votes.delete(voter);
+    emitToGroup(nsp, room, group, 'TEAM_PROPOSAL_REJECTED', { proposerPublicId: publicIdFor(winner), error: result.error, message: result.message });
+    return false;
+  }
+  console.log(`[TEAM_LOCKED] room=${room.code} team=${group.name} proposal of ${winner} locked by majority`);
+  emitToGroup(nsp, room, group, 'TEAM_LOCKED', { teamId: group.id, proposerPublicId: publicIdFor(winner), proposal });
+  return true;
+}
+
 /* -------------------- Items (CSV) -------------------- */
-// loadItemsFromCSV is provided by ./cards.js
+// The deck file is chosen by the deck manifest (see deckManifest.js); DECK.info is reported on /decks.
+// In strict mode a deck that doesn't load cleanly stops the boot instead of serving a fallback.
+let DECK = (() => {
+  try { return loadDeck(); } catch (e) {
+    console.error('[cards] refusing to start:', e && e.message);
+    process.exit(1);
+  }
+})();
+let ITEMS = DECK.items;
+
+// file admin card edits write to: the loaded deck (or, when running on the demo cards, the manifest's first source)
+const deckFile = () => DECK.info.file || resolveDeckPath();
+
+// Hot reload: the new deck is built completely and validated strictly (parse errors, invalid rows, no
+// cards) before DECK/ITEMS are swapped in one step; a rejected deck leaves the running one untouched.
+// Running rounds keep their copies (hands, currentReferenceCard); the next round draws from the new deck.
+function reloadDeck(reason = 'manual') {
+  const prevCategories = getCategories();
+  let next;
+  try {
+    next = loadDeck({ strict: true });
+  } catch (e) {
+    setCategories(prevCategories);
+    console.error(`[cards] reload (${reason}) rejected, keeping ${DECK.info.name}:`, e && e.message);
+    return { ok: false, error: 'DECK_INVALID', message: e && e.message };
+  }
+  const changed = next.info.checksum !== DECK.info.checksum || next.info.file !== DECK.info.file;
+  DECK = next;
+  ITEMS = DECK.items;
+  console.log(`[cards] reload (${reason}): deck ${DECK.info.name} ${changed ? 'swapped in' : 'unchanged'}, ${DECK.info.loaded} cards`);
+  watchDeckFile();
+  return { ok: true, changed, info: DECK.info };
+}
+
+// Watch the active deck file (DECK_WATCH=0 turns it off). Polling survives editors that save by
+// replacing the file; changes are debounced so a write in several chunks reloads once.
+const DECK_WATCH = process.env.DECK_WATCH !== '0';
+const DECK_WATCH_INTERVAL_MS = Number(process.env.DECK_WATCH_INTERVAL_MS) || 1000;
+let watchedDeckFile = null;
+let deckReloadTimer = null;
+function onDeckFileChange(curr, prev) {
+  if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+  if (deckReloadTimer) clearTimeout(deckReloadTimer);
+  deckReloadTimer = setTimeout(() => { deckReloadTimer = null; reloadDeck('file changed'); }, 500);
+}
+function watchDeckFile() {
+  const file = DECK.info.file;
+  if (!DECK_WATCH || file === watchedDeckFile) return;
+  unwatchDeckFile();
+  if (!file) return;
+  fs.watchFile(file, { interval: DECK_WATCH_INTERVAL_MS, persistent: false }, onDeckFileChange);
+  watchedDeckFile = file;
+  console.log(`[cards] watching ${path.basename(file)} for changes`);
+}
+function unwatchDeckFile() {
+  if (deckReloadTimer) { clearTimeout(deckReloadTimer); deckReloadTimer = null; }
+  if (watchedDeckFile) fs.unwatchFile(watchedDeckFile, onDeckFileChange);
+  watchedDeckFile = null;
+}
+watchDeckFile();
+
+// Items a room draws from: its custom deck (optionally mixed with the default deck) or the default deck
+function getRoomItems(room) {
+  const deck = room && room.customDeck;
+  if (!deck || !deck.items) return ITEMS;
+  if (!deck.mixDefault) return deck.items;
+  const merged = {};
+  for (const k of new Set([...Object.keys(ITEMS), ...Object.keys(deck.items)])) {
+    const own = deck.items[k] || [];
+    const ownIds = new Set(own.map(i => i.id));
+    merged[k] = [...own, ...(ITEMS[k] || []).filter(i => !ownIds.has(i.id))];
+  }
+  return merged;
+}
+
+/* -------------------- Difficulty -------------------- */
+// Room setting `difficulty`: a single level, 'mixed' (whole deck) or 'progressive' (easy -> medium -> hard
+// over the game; without a round limit it steps up every PROGRESSIVE_STEP rounds)
+const DIFFICULTY_MODES = [...DIFFICULTY_LEVELS, 'mixed', 'progressive'];
+const PROGRESSIVE_STEP = 3;
+
+// effective level for a round (1-based) or null when every level is allowed
+function difficultyForRound(room, roundNo) {
+  const mode = room.difficulty || 'mixed';
+  if (DIFFICULTY_LEVELS.includes(mode)) return mode;
+  if (mode !== 'progressive') return null;
+  const n = Math.max(1, Number(roundNo) || 1);
+  const step = room.rounds > 0 ? Math.max(1, Math.ceil(room.rounds / DIFFICULTY_LEVELS.length)) : PROGRESSIVE_STEP;
+  return DIFFICULTY_LEVELS[Math.min(DIFFICULTY_LEVELS.length - 1, Math.floor((n - 1) / step))];
+}
+
+// Deck for a round: room items narrowed to the round's difficulty (1 reference + 4 hand cards per category).
+// Returns { items, difficulty } with the level actually used: 'mixed' (whole deck) when no category has
+// enough cards of the level, which the round then reports instead of the requested one.
+function roundDeck(room, roundNo = room.roundIndex + 1) {
+  const level = difficultyForRound(room, roundNo);
+  const items = getRoomItems(room);
+  const filtered = level ? filterByDifficulty(items, [level], 5) : null;
+  return filtered ? { items: filtered, difficulty: level } : { items, difficulty: 'mixed', requested: level };
+}
+
+const getRoundItems = (room, roundNo) => roundDeck(room, roundNo).items;
+
+/* -------------------- Category Selection -------------------- */
+// Room setting `categories`: { [category]: { enabled, weight } }; missing categories are enabled with weight 1.
+// `maxCategoryStreak` (0 = off) limits how often the same category may come up in a row.
+const CATEGORY_DRAFT_CHOICES = 3;
+const CATEGORY_DRAFT_MS = Number(process.env.CATEGORY_DRAFT_MS) || 15000;
+const K_CHOICES = [0.5, 2, 3, 4, 5, 10];
+
+function categoryWeight(room, cat) {
+  const conf = room.categories && room.categories[cat];
+  if (!conf) return 1;
+  if (conf.enabled === false) return 0;
+  return Number.isFinite(conf.weight) ? Math.max(0, conf.weight) : 1;
+}
+
+// categories of `items` that may be played next (enabled, non-empty, not over the streak limit)
+function eligibleCategories(room, items) {
+  const cats = Object.keys(items).filter(k => Array.isArray(items[k]) && items[k].length > 0 && categoryWeight(room, k) > 0);
+  const max = Number(room.maxCategoryStreak) || 0;
+  const hist = room.categoryHistory || [];
+  if (max > 0 && hist.length >= max) {
+    const last = hist[hist.length - 1];
+    const streak = hist.slice(-max).every(c => c === last);
+    const rest = cats.filter(c => c !== last);
+    if (streak && rest.length) return rest;
+  }
+  return cats;
+}
+
+function weightedPick(room, cats) {
+  const total = cats.reduce((sum, c) => sum + categoryWeight(room, c), 0);
+  if (!(total > 0)) return randomPick(cats, room.rng);
+  let r = room.rng() * total;
+  for (const c of cats) {
+    r -= categoryWeight(room, c);
+    if (r < 0) return c;
+  }
+  return cats[cats.length - 1];
+}
+
+// categories the room can play at all (enabled and with cards), for the win thresholds
+function activeCategoryCount(room) {
+  const items = getRoomItems(room);
+  return Object.keys(items).filter(k => Array.isArray(items[k]) && items[k].length > 0 && categoryWeight(room, k) > 0).length;
+}
+
+function pickCategory(room, items) {
+  const cats = eligibleCategories(room, items);
+  return cats.length ? weightedPick(room, cats) : null;
+}
+
+// Validate the `categories` setting. Accepts per category a boolean (enabled), a number (weight)
+// or { enabled, weight }. At least one category that has cards (`playable`) must stay enabled.
+// Returns { ok, value } or { ok:false, message }.
+function normalizeCategorySettings(input, knownCats, playable = knownCats) {
+  if (input == null) return { ok: true, value: null };
+  if (typeof input !== 'object' || Array.isArray(input)) return { ok: false, message: 'categories must be an object' };
+  const value = {};
+  for (const [cat, conf] of Object.entries(input)) {
+    if (!knownCats.includes(cat)) return { ok: false, message: `unknown category "${cat}"` };
+    let enabled = true, weight = 1;
+    if (typeof conf === 'boolean') enabled = conf;
+    else if (typeof conf === 'number') weight = conf;
+    else if (conf && typeof conf === 'object') {
+      if (conf.enabled !== undefined) enabled = !!conf.enabled;
+      if (conf.weight !== undefined) weight = Number(conf.weight);
+    } else return { ok: false, message: `invalid setting for "${cat}"` };
+    if (!Number.isFinite(weight) || weight < 0) return { ok: false, message: `weight for "${cat}" must be a number >= 0` };
+    value[cat] = { enabled, weight };
+  }
+  if (!playable.some(c => (value[c] ? value[c].enabled && value[c].weight > 0 : true))) {
+    return { ok: false, message: 'at least one category must stay enabled' };
+  }
+  return { ok: true, value };
+}
+
+function buildPreview(room, category = null) {
+  const items = getRoundItems(room);
+  const cat = category && items[category]?.length ? category : pickCategory(room, items);
+  if (!cat) return null;
+  return { category: cat, base: drawReference(room, items[cat]), k: randomPick(K_CHOICES, room.rng) };
+}
 
-// Utilities and csv loader are provided by ./cards.js
-let ITEMS = loadItemsFromCSV();
+// Announce the next round (PRE_ROUND_CATEGORY + 3s countdown), then start it
+function startRoundWithPreview(nsp, room, preview, tag = 'preview') {
+  if (!preview) return startRound(nsp, room);
+  try {
+    const ex = (() => { try { const f = formatFromSI(preview.base, preview.base.trueValue * preview.k); return `${f.value} ${f.unit || ''}`.trim(); } catch (e) { return ''; } })();
+    nsp.to(room.code).emit('PRE_ROUND_CATEGORY', { category: preview.category, categoryInfo: publicCategory(preview.category, room.language), k: preview.k, refPrompt: preview.base.prompt, refExample: ex });
+  } catch (e) {}
+  try { nsp.to(room.code).emit('PRE_ROUND_COUNTDOWN', { start: 3 }); } catch (e) {}
+  setTimeout(() => {
+    try {
+      startRound(nsp, room, preview);
+      room.canStart = false;
+      try { nsp.to(room.code).emit('LOBBY_UPDATE', lobbyPayload(room)); } catch (e) {}
+    } catch (e) { console.error(`[${tag}] startRound failed`, e); }
+  }, 3000);
+}
 
-function dealHand(category, excludeIds = []) {
-  return dealHandUtil(ITEMS, category, excludeIds);
+/* -------------------- Category Draft -------------------- */
+// With `categoryDraft` on, the previous round's winner picks the next category (CATEGORY_PICK) out of
+// CATEGORY_DRAFT_CHOICES options. Without a connected winner, or after CATEGORY_DRAFT_MS, it's picked randomly.
+
+// connected player that may pick: the winner (solo) or the winning team's captain
+function draftPicker(room) {
+  const winner = room.lastRoundWinner;
+  if (!winner) return null;
+  const pid = isTeamMode(room) ? room.groups.get(winner)?.captainId : winner;
+  const p = pid ? room.playersByTeamId.get(pid) : null;
+  return p && p.socketId ? p : null;
+}
+
+function clearCategoryDraft(room) {
+  if (room.draft && room.draft._timer) clearTimeout(room.draft._timer);
+  room.draft = null;
+}
+
+// Returns true when a draft was opened, false if the round should start normally
+function openCategoryDraft(nsp, room) {
+  if (!room.categoryDraft || room.roundIndex === 0) return false;
+  const picker = draftPicker(room);
+  if (!picker) return false;
+  const pool = eligibleCategories(room, getRoundItems(room));
+  if (pool.length < 2) return false;
+  const choices = [];
+  while (choices.length < CATEGORY_DRAFT_CHOICES && pool.length) {
+    const c = weightedPick(room, pool);
+    choices.push(c);
+    pool.splice(pool.indexOf(c), 1);
+  }
+  const deadline = Date.now() + CATEGORY_DRAFT_MS;
+  clearCategoryDraft(room);
+  room.draft = {
+    pickerId: picker.id,
+    choices,
+    deadline,
+    _timer: setTimeout(() => {
+      if (!room.draft) return;
+      console.log(`[draft] room=${room.code} picker=${picker.id} timed out — picking randomly`);
+      resolveCategoryDraft(nsp, room, weightedPick(room, room.draft.choices));
+    }, CATEGORY_DRAFT_MS),
+  };
+  nsp.to(room.code).emit('PRE_ROUND_CATEGORY', { draft: true, choices, choiceInfo: choices.map(c => publicCategory(c, room.language)), pickerPublicId: publicIdFor(picker.id), pickerName: picker.name, competitorId: room.lastRoundWinner ? publicCompetitorId(room, room.lastRoundWinner) : null, deadline });
+  console.log(`[draft] room=${room.code} picker=${picker.id} choices=${choices.join(',')}`);
+  return true;
+}
+
+function resolveCategoryDraft(nsp, room, category) {
+  clearCategoryDraft(room);
+  startRoundWithPreview(nsp, room, buildPreview(room, category), 'draft');
+}
+
+// Cards are dealt in the room language (translated deck columns, see localizeCard). `late` hands (players
+// (re)joining a running round) use room.lateRng and a copy of the schedule, so the seeded game is unchanged.
+function dealHand(room, category, excludeIds = [], { late = false } = {}) {
+  const items = getRoundItems(room, room.roundIndex);
+  const schedule = late ? createSchedule(serializeSchedule(room.schedule)) : room.schedule;
+  const rng = late ? room.lateRng : room.rng;
+  const draw = (pool, count) => drawCards(schedule, pool, count, { rng }).map(c => localizeCard(c, room.language));
+  return dealHandUtil(items[category] ? items : getRoomItems(room), category, excludeIds, draw);
+}
+
+// reference card for the next round, unused cards first (see scheduler.js)
+function drawReference(room, pool) {
+  return localizeCard(drawCards(room.schedule, pool, 1, { rng: room.rng })[0] || randomPick(pool, room.rng), room.language);
+}
+
+// Room languages: every language with a message catalog or translated cards in the room's deck
+function availableLanguages(room) {
+  const own = room && room.customDeck && room.customDeck.items ? deckLanguages(room.customDeck.items) : [];
+  return [...new Set([...LANGUAGES, ...(DECK.info.languages || []), ...own])].sort();
 }
 
 // Ensure that a player's multipliers always include the core standard multipliers
-function ensureStandardMultipliers(existing = []) {
+function ensureStandardMultipliers(room, existing = []) {
   try {
-    const defaults = getDefaultMultipliers().filter(m => m.type === 'standard');
+    const defaults = getDefaultMultipliers(room).filter(m => m.type === 'standard');
     const byId = new Map(existing.map(m => [m.id, m]));
     // merge defaults if missing
     for (const d of defaults) {
@@ -118,38 +696,314 @@ function ensureStandardMultipliers(existing = []) {
   }
 }
 
-function calculateLogError(tip, target) {
-  if (!isFinite(tip) || !isFinite(target) || tip <= 0 || target <= 0) return Infinity;
-  return Math.abs(Math.log10(tip / target));
+// Proximity scoring for winCondition 'points'. Tiers are checked in order; the first match wins.
+// maxPct is the relative error, maxLogError the distance in orders of magnitude (log10).
+const POINTS_TIERS = [
+  { id: 'bullseye', maxPct: 0.05,  points: 10 },
+  { id: 'close',    maxPct: 0.25,  points: 6 },
+  { id: 'near',     maxLogError: Math.log10(2), points: 3 },   // within factor 2
+  { id: 'ballpark', maxLogError: 1, points: 1 },               // same order of magnitude
+];
+// a joker that lands a bullseye/close guess earns a bonus, a joker that misses costs points
+const JOKER_BONUS = 2;
+const JOKER_PENALTY = -2;
+
+function scoreProximity(siGuess, target, diffPct, mult) {
+  const err = logError(siGuess, target);   // null when guess or target isn't positive
+  let tier = POINTS_TIERS.find(t => (t.maxPct != null && diffPct != null && diffPct <= t.maxPct) || (t.maxLogError != null && err != null && err <= t.maxLogError));
+  let points = tier ? tier.points : 0;
+  let jokerDelta = 0;
+  if (mult && mult.type === 'joker') {
+    jokerDelta = (tier && (tier.id === 'bullseye' || tier.id === 'close')) ? JOKER_BONUS : JOKER_PENALTY;
+    points += jokerDelta;
+  }
+  return { points, tier: tier ? tier.id : 'miss', logError: err, jokerDelta };
 }
 
-function getDefaultMultipliers() {
-  // Standard multipliers (no duplicates): ×0.5, ×2, ×5, ×10
-  // Plus rare joker/mega multipliers (divide variants included as requested)
-  return [
-    { id: 'm05', label: '×0.5',  factor: 0.5,    type: 'standard' },
-    { id: 'm2',  label: '×2',    factor: 2,      type: 'standard' },
-    { id: 'm5',  label: '×5',    factor: 5,      type: 'standard' },
-    { id: 'm10', label: '×10',   factor: 10,     type: 'standard' },
-    // also include divide variants as standard options
-    { id: 'd5',  label: '÷5',    factor: 1/5,    type: 'standard' },
-    { id: 'd10', label: '÷10',   factor: 1/10,   type: 'standard' },
+// Fresh multipliers from the room's multiplier set (see ./multipliers.js); jokers start used when disabled
+function getDefaultMultipliers(room = null) {
+  const list = buildMultipliers(room && room.multiplierSet ? room.multiplierSet : undefined, room ? room.language : undefined);
+  return room && !room.jokersEnabled ? list.map(m => (isJoker(m) ? { ...m, used: true } : m)) : list;
+}
 
-    // Joker / Mega multipliers (rare). Include both multiply and divide variants.
-    { id: 'j50_mul',  label: '×50',    factor: 50,       type: 'joker', used: false },
-    { id: 'j50_div',  label: '÷50',    factor: 1 / 50,   type: 'joker', used: false },
-    { id: 'j100_mul', label: '×100',   factor: 100,      type: 'joker', used: false },
-    { id: 'j100_div', label: '÷100',   factor: 1 / 100,  type: 'joker', used: false },
-    { id: 'j1000_mul',label: '×1000',  factor: 1000,     type: 'joker', used: false },
-    { id: 'j1000_div',label: '÷1000',  factor: 1 / 1000, type: 'joker', used: false },
-  ];
+// New multipliers for everybody (multiplier set changed, new game) and push them to the players
+function resetMultipliers(nsp, room) {
+  for (const g of room.groups.values()) g.multipliers = getDefaultMultipliers(room);
+  for (const p of room.playersByTeamId.values()) {
+    const group = isTeamMode(room) ? room.groups.get(p.teamId) : null;
+    p.multipliers = group ? group.multipliers : getDefaultMultipliers(room);
+    if (p.socketId) {
+      try { nsp.to(p.socketId).emit('PLAYER_HAND', { hand: prepareHandForEmission(p.hand), multipliers: p.multipliers }); } catch (e) {}
+    }
+  }
+}
+
+// jokerRefill 'round': every joker is available again at the start of a round
+function refillJokers(room) {
+  if (!room.jokersEnabled || room.multiplierSet?.jokerRefill !== 'round') return;
+  const refill = (list) => { for (const m of list || []) if (isJoker(m)) m.used = false; };
+  for (const g of room.groups.values()) refill(g.multipliers);
+  for (const p of room.playersByTeamId.values()) if (!isTeamMode(room)) refill(p.multipliers);
+}
+
+// JOKER_LIMIT ack for SUBMIT and USE_JOKER: the limit applies per game or per round (jokerRefill)
+function jokerLimitError(room) {
+  const limit = room.multiplierSet?.jokerLimit ?? 2;
+  const per = t(room.language, room.multiplierSet?.jokerRefill === 'round' ? 'joker.perRound' : 'joker.perGame');
+  return { ok: false, error: 'JOKER_LIMIT', message: t(room.language, 'joker.limitPer', { limit, per }) };
+}
+
+/* -------------------- Persistence -------------------- */
+// Room fields that survive a restart. Socket-bound state (teams by socketId, readyPlayers, admins, timers)
+// is rebuilt when players reconnect.
+const PERSISTED_SETTINGS = ['rounds', 'timer', 'jokersEnabled', 'teamMode', 'winCondition', 'difficulty', 'categories',
+  'maxCategoryStreak', 'categoryDraft', 'avoidRepeatsAcrossGames', 'seed', 'multiplierSet', 'allowCombos', 'teamSize', 'minPlayers', 'language',
+  'tutorialEnabled', 'tutorialShown', 'tutorialDelay', 'tutorialAutoStartTimeout', 'hostPin'];
+
+function serializeRoom(room) {
+  const settings = {};
+  for (const k of PERSISTED_SETTINGS) settings[k] = room[k];
+  return {
+    code: room.code,
+    state: room.state,
+    roundIndex: room.roundIndex,
+    symbols: room.symbols,
+    points: room.points,
+    currentReferenceCard: room.currentReferenceCard,
+    targetExpression: room.targetExpression,
+    lastRoundPayload: room.lastRoundPayload,
+    lastRevealPayload: room.lastRevealPayload,
+    roundDeadline: room.roundDeadline,
+    categoryHistory: room.categoryHistory,
+    lastRoundWinner: room.lastRoundWinner,
+    schedule: serializeSchedule(room.schedule),
+    gameSeed: room.gameSeed,
+    rngState: room.rngState ? room.rngState.state : null,
+    gameRecord: room.gameRecord,
+    customDeck: room.customDeck,
+    hostIds: [...room.hostIds],
+    settings,
+    players: [...room.playersByTeamId.values()].map(p => ({ id: p.id, teamId: p.teamId, name: p.name, avatar: p.avatar, hand: p.hand, multipliers: p.multipliers })),
+    groups: [...room.groups.values()].map(g => ({ ...g, members: [...g.members], proposals: [...g.proposals.entries()], votes: [...g.votes.entries()] })),
+    submitted: [...room.submitted.entries()],
+  };
+}
+
+// set during shutdown so the disconnects caused by io.close() don't overwrite the last snapshot
+let persistenceFrozen = false;
+
+function persistRoom(room) {
+  if (persistenceFrozen) return;
+  try {
+    roomStore.saveRoom(room.code, serializeRoom(room));
+    roomStore.saveSessions(Object.fromEntries(sessions));
+  } catch (e) { console.error('persistRoom failed', e); }
+}
+
+// Rebuild rooms from the store on boot. Restored players have no socket until they reconnect
+// with their playerId (see TEAM_JOIN reconnect flow).
+function restoreRooms(nsp) {
+  try {
+    const { rooms: snaps, sessions: sess } = roomStore.load();
+    for (const [playerId, s] of Object.entries(sess || {})) sessions.set(playerId, s);
+    for (const snap of Object.values(snaps || {})) {
+      const room = ensureRoom(snap.code);
+      Object.assign(room, snap.settings || {});
+      room.state = snap.state || 'lobby';
+      room.roundIndex = snap.roundIndex || 0;
+      room.symbols = snap.symbols || {};
+      room.points = snap.points || {};
+      room.currentReferenceCard = snap.currentReferenceCard || null;
+      room.targetExpression = snap.targetExpression || null;
+      room.lastRoundPayload = snap.lastRoundPayload || null;
+      room.lastRevealPayload = snap.lastRevealPayload || null;
+      room.submitted = new Map(snap.submitted || []);
+      room.customDeck = snap.customDeck || null;
+      room.categoryHistory = snap.categoryHistory || [];
+      room.lastRoundWinner = snap.lastRoundWinner || null;
+      room.schedule = createSchedule(snap.schedule);
+      seedGame(room, snap.gameSeed);
+      if (Number.isFinite(snap.rngState)) room.rngState.state = snap.rngState;
+      room.gameRecord = snap.gameRecord || null;
+      room.hostIds = new Set(snap.hostIds || []);
+      for (const g of snap.groups || []) {
+        room.groups.set(g.id, { ...g, members: new Set(g.members || []), proposals: new Map(g.proposals || []), votes: new Map(g.votes || []) });
+      }
+      for (const p of snap.players || []) {
+        const group = room.groups.get(p.teamId);
+        room.playersByTeamId.set(p.id, {
+          ...p,
+          socketId: null,
+          // team members share their team's hand/multipliers by reference
+          hand: group ? group.hand : (p.hand || []),
+          multipliers: group ? group.multipliers : (p.multipliers || getDefaultMultipliers(room)),
+        });
+      }
+      // restored players count as away until they reconnect
+      for (const p of room.playersByTeamId.values()) markAway(nsp, room, p);
+      if (room.state === 'playing' && snap.roundDeadline) startRoundTimer(nsp, room, snap.roundDeadline);
+      console.log(`[restore] room=${room.code} state=${room.state} round=${room.roundIndex} players=${room.playersByTeamId.size}`);
+    }
+  } catch (e) { console.error('restoreRooms failed', e); }
+}
+
+/* -------------------- Round Timer -------------------- */
+// Server-authoritative round deadline. room.timer is in seconds; 0 (or invalid) disables the countdown.
+function clearRoundTimer(room) {
+  try { if (room._roundTimer) { clearInterval(room._roundTimer); room._roundTimer = null; } } catch (e) {}
+  room.roundDeadline = null;
+}
+
+// resumeDeadline: continue an existing deadline (e.g. after restoring a persisted room)
+function startRoundTimer(nsp, room, resumeDeadline = null) {
+  clearRoundTimer(room);
+  const seconds = Number(room.timer);
+  if (!resumeDeadline && (!isFinite(seconds) || seconds <= 0)) return null;
+  const deadline = resumeDeadline || (Date.now() + seconds * 1000);
+  room.roundDeadline = deadline;
+  room._roundTimer = setInterval(() => {
+    try {
+      if (room.state !== 'playing') { clearRoundTimer(room); return; }
+      const remaining = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      nsp.to(room.code).emit('TIMER_TICK', { remaining, deadline });
+      if (remaining <= 0) {
+        console.log(`[roundTimer] time is up for room=${room.code} submitted=${room.submitted.size}/${room.teams.size}`);
+        clearRoundTimer(room);
+        autoReveal(nsp, room);
+      }
+    } catch (e) { console.error('round timer tick failed', e); }
+  }, 1000);
+  return deadline;
+}
+
+/* -------------------- Game History -------------------- */
+function startGameRecord(room) {
+  room.gameRecord = {
+    id: `G${Date.now().toString(36)}${Math.floor(Math.random() * 1e6).toString(36)}`.toUpperCase(),
+    roomCode: room.code,
+    startedAt: Date.now(),
+    seed: room.gameSeed,
+    settings: Object.fromEntries(PERSISTED_SETTINGS.filter(k => k !== 'hostPin').map(k => [k, room[k]])),
+    rounds: [],
+  };
+}
+
+// Round as archived: target plus every competitor's submission (from the reveal ranking, public ids)
+function recordRound(room, reveal) {
+  if (!room.gameRecord) return null;
+  const te = room.targetExpression || {};
+  const submitted = new Map([...room.submitted].map(([id, s]) => [publicCompetitorId(room, id), s]));
+  const round = {
+    round: room.roundIndex,
+    category: te.category,
+    k: te.k,
+    refId: te.refId,
+    refPrompt: te.refPrompt,
+    target: te.target,
+    difficulty: te.difficulty || null,
+    submissions: (reveal.ranking || []).map(r => ({
+      teamId: r.teamId,
+      teamName: r.teamName,
+      rank: r.rank,
+      noAnswer: !!r.noAnswer,
+      cardId: r.noAnswer ? null : (submitted.get(r.teamId)?.card?.id || null),
+      cardPrompt: r.noAnswer ? null : (r.card?.prompt || null),
+      multiplierId: r.mult?.id || null,
+      multiplierType: r.mult?.type || null,
+      joker: r.joker?.kind || null,
+      secondCardId: r.secondCard?.id || null,
+      operator: r.operator || null,
+      composed: r.composed || null,
+      factor: r.mult?.factor ?? null,
+      value: submitted.get(r.teamId)?.value ?? null,
+      siGuess: r.guessRaw?.siValue ?? null,
+      diffPct: r.diffPct ?? null,
+      points: r.points ?? null,
+    })),
+    symbol: null,
+  };
+  room.gameRecord.rounds.push(round);
+  return round;
+}
+
+// Room state after a game ended (symbol win or round limit): back to the lobby, scores and the
+// category streak start over, and the next game gets its own seed (like NEW_GAME) so it can be replayed
+function resetAfterGame(room) {
+  room.state = 'lobby';
+  room.roundIndex = 0;
+  room.readyPlayers.clear();
+  room.symbols = {};
+  room.points = {};
+  room.categoryHistory = [];
+  room.lastRoundWinner = null;
+  if (!room.avoidRepeatsAcrossGames) resetSchedule(room.schedule);
+  seedGame(room);
+  room.lastRoundPayload = null;
+  room.lastRevealPayload = null;
+}
+
+// Write the finished game to the archive; returns its id
+function archiveGame(room, standings, reason) {
+  if (!room.gameRecord) return null;
+  const record = { ...room.gameRecord, endedAt: Date.now(), endReason: reason, symbols: publicSymbols(room), standings, publicIds: true };
+  room.gameRecord = null;
+  try { gameStore.saveGame(record); } catch (e) { console.error('archiveGame failed', e); }
+  recordProfiles(room, record);
+  console.log(`[history] archived game=${record.id} room=${room.code} rounds=${record.rounds.length} reason=${reason}`);
+  return record.id;
+}
+
+// Credit a finished game to every player's profile (team members share their team's result).
+// Winners: everyone with the top score (symbols, or points in points mode), if that score is above 0.
+function recordProfiles(room, record) {
+  try {
+    const score = (st) => (record.settings.winCondition === 'points' ? st.points : st.symbols);
+    const top = record.standings.length ? Math.max(...record.standings.map(score)) : 0;
+    const entries = [];
+    for (const p of room.playersByTeamId.values()) {
+      const cid = publicCompetitorId(room, isTeamMode(room) ? p.teamId : p.id);
+      const idx = record.standings.findIndex(st => st.teamId === cid);
+      if (idx === -1) continue;
+      const game = { gameId: record.id, roomCode: record.roomCode, endedAt: record.endedAt, rank: idx + 1, won: top > 0 && score(record.standings[idx]) === top,
+        points: record.standings[idx].points || 0, rounds: record.rounds.length, roundWins: 0, answered: 0, logErrorSum: 0, jokersUsed: 0, symbols: {} };
+      for (const round of record.rounds) {
+        const sub = round.submissions.find(x => x.teamId === cid);
+        if (!sub || sub.noAnswer) continue;
+        if (sub.rank === 1) game.roundWins++;
+        if (sub.multiplierType === 'joker') game.jokersUsed++;
+        if (sub.joker) game.jokersUsed++;
+        const err = logError(sub.siGuess, round.target);
+        if (err != null) { game.answered++; game.logErrorSum += err; }
+      }
+      for (const sym of (record.symbols && record.symbols[cid]) || []) game.symbols[sym.category] = (game.symbols[sym.category] || 0) + 1;
+      entries.push({ playerId: p.id, name: p.name, avatar: p.avatar, game });
+    }
+    profiles.recordGame(entries);
+  } catch (e) { console.error('recordProfiles failed', e); }
+}
+
+// Card analytics only cover the main deck; custom room decks have their own ids
+function recordCardStats(room, results) {
+  try {
+    const mainIds = new Set(Object.values(ITEMS).flat().map(i => i.id));
+    const ref = room.currentReferenceCard;
+    cardStats.recordRound({
+      category: room.targetExpression?.category,
+      reference: ref && mainIds.has(ref.id) ? ref : null,
+      target: room.targetExpression?.target,
+      guesses: results.map((r, i) => ({ card: r.card && mainIds.has(r.card.id) ? r.card : null, siGuess: r.siGuess, rank: i + 1 })),
+    });
+  } catch (e) { console.error('recordCardStats failed', e); }
 }
 
 /* -------------------- Round Flow -------------------- */
 function startRound(nsp, room, preview = null) {
   console.log(`[startRound] startRound called for room=${room.code} teams=${room.teams.size} roundIndex=${room.roundIndex + 1}`);
   try { if (room._tutorialAutoStartTimer) { clearTimeout(room._tutorialAutoStartTimer); room._tutorialAutoStartTimer = null; } } catch(e){}
-  const cats = Object.keys(ITEMS).filter((k) => Array.isArray(ITEMS[k]) && ITEMS[k].length > 0);
+  const deck = roundDeck(room);
+  const items = deck.items;
+  if (deck.requested) console.warn(`[startRound] room=${room.code} not enough ${deck.requested} cards, round ${room.roundIndex + 1} uses the mixed deck`);
+  const cats = Object.keys(items).filter((k) => Array.isArray(items[k]) && items[k].length > 0);
   if (!cats.length) return;
 
   // allow caller to pass a preview object (selected category/base/k) so the preview shown to clients
@@ -160,10 +1014,12 @@ function startRound(nsp, room, preview = null) {
     base = preview.base;
     k = preview.k;
   } else {
-    cat = randomPick(cats);
-    base = randomPick(ITEMS[cat]);
-    k = randomPick([0.5, 2, 3, 4, 5, 10]);
+    cat = pickCategory(room, items) || randomPick(cats, room.rng);
+    base = drawReference(room, items[cat]);
+    k = randomPick(K_CHOICES, room.rng);
   }
+  room.categoryHistory.push(cat);
+  if (!room.gameRecord) startGameRecord(room);
 
   room.currentReferenceCard = base;
   room.targetExpression = {
@@ -174,16 +1030,39 @@ function startRound(nsp, room, preview = null) {
     unit: base.unit,
     target: base.trueValue * k,
     category: cat,
+    difficulty: deck.difficulty,
+    requestedDifficulty: deck.requested || deck.difficulty,
   };
   room.state = 'playing';
   room.submitted = new Map();
   room.roundIndex++;
+  const deadline = startRoundTimer(nsp, room);
+
+  refillJokers(room);
 
   // Deal hands per player, excluding the reference card to avoid duplicates/confusion
-  for (const p of room.teams.values()) {
-    p.hand = dealHand(cat, [base.id]);
-    // ensure core standard multipliers exist
-    p.multipliers = ensureStandardMultipliers(Array.isArray(p.multipliers) ? p.multipliers : getDefaultMultipliers());
+  if (isTeamMode(room)) {
+    // one shared hand per team; members reference the team's hand and multipliers
+    ensureGroupsForStart(room);
+    for (const g of room.groups.values()) {
+      g.hand = dealHand(room, cat, [base.id]);
+      g.multipliers = ensureStandardMultipliers(room, Array.isArray(g.multipliers) ? g.multipliers : getDefaultMultipliers(room));
+      g.proposals = new Map();
+      g.votes = new Map();
+    }
+    for (const p of room.playersByTeamId.values()) {
+      const g = room.groups.get(p.teamId);
+      if (!g) continue;
+      p.hand = g.hand;
+      p.multipliers = g.multipliers;
+    }
+  } else {
+    // away players get a hand as well so a reconnect lands in the current round
+    for (const p of room.playersByTeamId.values()) {
+      p.hand = dealHand(room, cat, [base.id]);
+      // ensure core standard multipliers exist
+      p.multipliers = ensureStandardMultipliers(room, Array.isArray(p.multipliers) ? p.multipliers : getDefaultMultipliers(room));
+    }
   }
 
   // Broadcast basis
@@ -197,10 +1076,16 @@ function startRound(nsp, room, preview = null) {
 
   const roundPayload = {
     category: cat,
+    categoryInfo: publicCategory(cat, room.language),
     k: room.targetExpression.k,
     refPrompt: room.targetExpression.refPrompt,
     refExample: example,
-    roundInfo: { current: room.roundIndex, max: room.rounds || 0 }
+    roundInfo: { current: room.roundIndex, max: room.rounds || 0 },
+    difficulty: room.targetExpression.difficulty,
+    requestedDifficulty: room.targetExpression.requestedDifficulty,
+    // absolute end of the round (ms epoch) or null if the room runs without a timer
+    timer: deadline ? Number(room.timer) : 0,
+    deadline,
   };
   room.lastRoundPayload = roundPayload;
   room.lastRevealPayload = null;
@@ -257,13 +1142,12 @@ function startRound(nsp, room, preview = null) {
     }
 
   // Progress reset
-  nsp.to(room.code).emit('SUBMISSION_UPDATE', {
-    submitted: 0,
-    total: room.teams.size,
-  });
+  nsp.to(room.code).emit('SUBMISSION_UPDATE', submissionProgress(room));
+  persistRoom(room);
 }
 
 function autoReveal(nsp, room) {
+  clearRoundTimer(room);
   room.state = 'reveal';
   const target = room.targetExpression?.target;
 
@@ -288,10 +1172,30 @@ function autoReveal(nsp, room) {
         trueValue: s.card.trueValue ?? s.card.true_value ?? s.card.value ?? undefined,
       } : undefined,
       mult: s.mult ? { id: s.mult.id, label: s.mult.label, factor: s.mult.factor, type: s.mult.type } : undefined,
+      secondCard: s.secondCard ? { id: s.secondCard.id, prompt: s.secondCard.Prompt || s.secondCard.prompt, display_unit: s.secondCard.display_unit || s.secondCard.unit, trueValue: s.secondCard.trueValue } : undefined,
+      operator: s.operator || null,
+      // manual entries have no card composition
+      composition: s.card && !String(s.card.id).startsWith('manual_') && (s.secondCard || s.mult) ? composeGuess(s.card, s.secondCard, s.operator, s.mult, siGuess) : null,
+      joker: s.joker ? { id: s.joker.id, label: s.joker.label, kind: jokerKind(s.joker) } : undefined,
     });
   }
   results.sort((a, b) => a.diffAbs - b.diffAbs);
 
+  // points mode: every submission scores by its log error, totals accumulate over the game
+  const isPointsMode = room.winCondition === 'points';
+  if (isPointsMode) {
+    if (!room.points) room.points = {};
+    for (const [i, r] of results.entries()) {
+      Object.assign(r, scoreProximity(r.siGuess, target, r.diffPct, r.mult));
+      // double joker: the round winner's points count twice
+      if (i === 0 && r.joker?.kind === 'double' && r.points > 0) r.points *= 2;
+      room.points[r.teamId] = (room.points[r.teamId] || 0) + r.points;
+    }
+  }
+
+  // players that did not submit before the deadline are listed after everyone who answered
+  const missing = getCompetitorIds(room).filter(id => !room.submitted.has(id));
+
   // format target for display using the chosen display unit (room.targetExpression.unit could be base unit)
   const formattedTarget = formatFromSI({
     Kategorie: room.targetExpression?.category,
@@ -309,6 +1213,8 @@ function autoReveal(nsp, room) {
     // include the reference prompt and its formatted base value + unit and multiplier k
     refPrompt: room.targetExpression?.refPrompt,
     refLabel: room.targetExpression?.refLabel,
+    // room setting and the level the reference card was drawn from
+    difficulty: { mode: room.difficulty || 'mixed', level: room.targetExpression?.difficulty || 'mixed', card: room.currentReferenceCard?.Difficulty || null },
     refBaseValue: formattedBase?.value,
     refBaseUnit: formattedBase?.unit,
     // human-readable composition string, e.g. "15 km × 4 = 60 km"
@@ -331,8 +1237,8 @@ function autoReveal(nsp, room) {
       })();
 
       return {
-        teamId: r.teamId,
-        teamName: room.playersByTeamId.get(r.teamId)?.name || 'Unknown',
+        teamId: publicCompetitorId(room, r.teamId),
+        teamName: getCompetitorName(room, r.teamId),
         // human-readable guess (e.g. "60 km")
         guess: guessFormatted || null,
         // raw values for frontend if needed
@@ -352,69 +1258,105 @@ function autoReveal(nsp, room) {
         } : null,
         // multiplier info
         mult: r.mult || null,
+        // jokers beyond factors: the second card of a combine joker, double/combine joker info
+        secondCard: r.secondCard || null,
+        operator: r.operator,
+        // e.g. "(4 m + 12 m) × 2 = 32 m" and "(Giraffe + Bus) × 2", like refComposed for the target
+        composed: r.composition?.composed || null,
+        composedLabel: r.composition?.label || null,
+        joker: r.joker || null,
+        symbolsAwarded: i === 0 ? (r.joker?.kind === 'double' ? 2 : 1) : 0,
+        ...(isPointsMode ? { points: r.points, tier: r.tier, logError: r.logError, jokerDelta: r.jokerDelta } : {}),
       };
-    }),
+    }).concat(missing.map(teamId => ({
+      teamId: publicCompetitorId(room, teamId),
+      teamName: getCompetitorName(room, teamId),
+      guess: null,
+      guessRaw: null,
+      diffAbsSI: null,
+      diffPct: null,
+      rank: results.length + 1,
+      noAnswer: true,
+      card: null,
+      mult: null,
+      ...(isPointsMode ? { points: 0, tier: 'miss' } : {}),
+    }))),
     roundInfo: { current: room.roundIndex, max: room.rounds || 0 }
   };
   room.lastRevealPayload = revealPayload;
+  const archivedRound = recordRound(room, revealPayload);
+  recordCardStats(room, results);
   room.lastRoundPayload = null;
   nsp.to(room.code).emit('REVEAL', revealPayload);
 
+  if (isPointsMode) {
+    const deltas = Object.fromEntries(results.map(r => [publicCompetitorId(room, r.teamId), r.points]));
+    nsp.to(room.code).emit('SCOREBOARD_UPDATE', {
+      round: room.roundIndex,
+      scores: buildStandings(room).map(st => ({ ...st, delta: deltas[st.teamId] || 0 })),
+    });
+  }
+
+  // round winner picks the next category in draft mode
+  room.lastRoundWinner = results.length > 0 ? results[0].teamId : null;
+
   // Award a symbol to the round winner (first in results) if any
   if (results.length > 0) {
     const winner = results[0].teamId;
     if (!room.symbols[winner]) room.symbols[winner] = [];
     const categorySymbol = room.targetExpression?.category || 'misc';
-    // symbol representation: emoji for category
-    const catEmojiMap = { speed: '⚡', distance: '📏', weight: '🏋️', size: '📐' };
-    const sym = catEmojiMap[categorySymbol] || '⭐';
+    // symbol representation: the category's emoji from the deck declaration
+    const sym = categoryDef(categorySymbol)?.emoji || '⭐';
     room.symbols[winner].push({ category: categorySymbol, symbol: sym });
+    // double joker: the winning submission earns the symbol twice
+    const doubled = results[0].joker?.kind === 'double';
+    if (doubled) room.symbols[winner].push({ category: categorySymbol, symbol: sym, joker: 'double' });
+    if (archivedRound) archivedRound.symbol = { teamId: publicCompetitorId(room, winner), category: categorySymbol, symbol: sym, count: doubled ? 2 : 1 };
     console.log(`[autoReveal] awarded symbol ${sym} (${categorySymbol}) to team=${winner}`);
     // emit updated symbols to clients
-    nsp.to(room.code).emit('SYMBOLS_UPDATE', room.symbols);
+    nsp.to(room.code).emit('SYMBOLS_UPDATE', publicSymbols(room));
 
-    // Check win conditions: either 4 symbols of the same category or 4 distinct categories
+    // Check win conditions: N symbols of the same category or N distinct categories (N adapts to the
+    // number of categories the room can actually play)
     const counts = {};
     const teamSymbols = room.symbols[winner] || [];
     for (const s of teamSymbols) counts[s.category] = (counts[s.category] || 0) + 1;
     const maxSame = Math.max(...Object.values(counts));
     const distinct = Object.keys(counts).length;
+    const need = winThresholds(activeCategoryCount(room));
 
-    const hasWon = (maxSame >= 4) || (distinct >= 4);
+    // in points mode symbols are cosmetic; the game ends after the configured rounds
+    const wonSame = maxSame >= need.same;
+    const hasWon = !isPointsMode && (wonSame || (need.distinct != null && distinct >= need.distinct));
     if (hasWon) {
-      console.log(`[autoReveal] team=${winner} has won the game! maxSame=${maxSame} distinct=${distinct}`);
-      nsp.to(room.code).emit('CHAMPION_ANNOUNCEMENT', { winner: room.playersByTeamId.get(winner)?.name || winner, condition: maxSame >= 4 ? `4x ${Object.keys(counts).find(k=>counts[k]===maxSame)}` : '4 verschiedene Symbole' });
+      console.log(`[autoReveal] team=${winner} has won the game! maxSame=${maxSame} distinct=${distinct} need=${JSON.stringify(need)}`);
+      const sameCat = Object.keys(counts).find(k => counts[k] === maxSame);
+      const condition = wonSame
+        ? t(room.language, 'champion.same', { count: need.same, category: publicCategory(sameCat, room.language).label })
+        : t(room.language, 'champion.distinct', { count: need.distinct });
+      nsp.to(room.code).emit('CHAMPION_ANNOUNCEMENT', { winner: getCompetitorName(room, winner), condition });
       // Prepare final standings (simple: order by total symbols)
-  const standings = Array.from(room.playersByTeamId.values()).map(p => ({ teamId: p.id, teamName: p.name, symbols: (room.symbols[p.id]||[]).length }));
-  standings.sort((a,b)=>b.symbols-a.symbols);
-      nsp.to(room.code).emit('GAME_END', { standings, gameSettings: { rounds: room.rounds || 0 } });
-      // reset room state
-      room.state = 'lobby';
-      room.readyPlayers.clear();
-      room.symbols = {}; // reset symbols for new game
-      room.lastRoundPayload = null;
-      room.lastRevealPayload = null;
+      const standings = buildStandings(room);
+      const gameId = archiveGame(room, standings, 'symbols');
+      nsp.to(room.code).emit('GAME_END', { standings, gameId, gameSettings: { rounds: room.rounds || 0, winCondition: room.winCondition, seed: room.gameSeed } });
+      resetAfterGame(room);
+      persistRoom(room);
       return;
     }
   }
 
-  // no points system: victory is determined by symbols only
-
-  // If win condition is 'rounds' and we've reached the configured rounds, end the game
+  // If win condition is 'rounds' or 'points' and we've reached the configured rounds, end the game
   try {
-    // Only end by rounds when the winCondition explicitly requests rounds
-    if (room.winCondition === 'rounds') {
+    // Only end by rounds when the winCondition explicitly requests rounds (points games always run all rounds)
+    if (room.winCondition === 'rounds' || isPointsMode) {
       const max = room.rounds || 0;
       if (max > 0 && room.roundIndex >= max) {
         // prepare standings
-        const standings = Array.from(room.playersByTeamId.values()).map(p => ({ teamId: p.id, teamName: p.name, symbols: (room.symbols[p.id]||[]).length }));
-        standings.sort((a,b)=>b.symbols-a.symbols);
-        nsp.to(room.code).emit('GAME_END', { standings, gameSettings: { rounds: room.rounds || 0 } });
-        room.state = 'lobby';
-        room.readyPlayers.clear();
-        room.symbols = {};
-        room.lastRoundPayload = null;
-        room.lastRevealPayload = null;
+        const standings = buildStandings(room);
+        const gameId = archiveGame(room, standings, 'rounds');
+        nsp.to(room.code).emit('GAME_END', { standings, gameId, gameSettings: { rounds: room.rounds || 0, winCondition: room.winCondition, seed: room.gameSeed } });
+        resetAfterGame(room);
+        persistRoom(room);
         return;
       }
     }
@@ -422,6 +1364,206 @@ function autoReveal(nsp, room) {
 
   // Do not automatically return to lobby after reveal.
   // Keep room.state === 'reveal' and let an admin trigger the next round via ADMIN_START.
+  persistRoom(room);
+}
+
+// '+' / '-' (also accepts the unicode minus and 'plus'/'minus'); null when invalid. Defaults to '+'.
+function normalizeOperator(op) {
+  if (op == null || op === '') return '+';
+  const v = String(op).trim().toLowerCase();
+  if (v === '+' || v === 'plus') return '+';
+  if (v === '-' || v === '−' || v === 'minus') return '-';
+  return null;
+}
+
+// Human-readable composition of a card-based guess, like refComposed for the target:
+// "4 m × 2 = 8 m", "(4 m + 12 m) × 2 = 32 m". label uses the card prompts instead of values.
+function composeGuess(first, second, operator, mult, siResult) {
+  try {
+    if (!first || !isFinite(first.trueValue)) return null;
+    const fmt = (card, si) => { const f = formatFromSI(card, si); return `${f.value} ${f.unit || ''}`.trim(); };
+    const opSign = operator === '-' ? '−' : '+';
+    const factor = mult && isFinite(mult.factor) && mult.factor !== 1 ? ` ${String(mult.label || `×${mult.factor}`).replace(/^([×÷])\s*/, '$1 ')}` : '';
+    const values = second ? `${fmt(first, first.trueValue)} ${opSign} ${fmt(second, second.trueValue)}` : fmt(first, first.trueValue);
+    const names = second ? `${first.prompt || first.Prompt} ${opSign} ${second.prompt || second.Prompt}` : (first.prompt || first.Prompt);
+    const wrap = (x) => (second && factor ? `(${x})` : x);
+    return { composed: `${wrap(values)}${factor} = ${fmt(first, siResult)}`, label: `${wrap(names)}${factor}` };
+  } catch (e) { return null; }
+}
+
+// Mark jokers as spent for a competitor and push the multipliers to every member
+function markJokersUsed(nsp, room, teamId, jokers) {
+  try {
+    const owner = getCompetitor(room, teamId);
+    if (!owner || !Array.isArray(owner.multipliers)) return;
+    for (const j of jokers) {
+      const m = owner.multipliers.find(x => x.id === j.id);
+      if (m) m.used = true;
+    }
+    for (const member of room.teams.values()) {
+      if (member.teamId !== teamId) continue;
+      nsp.to(member.socketId).emit('PLAYER_HAND', { hand: prepareHandForEmission(member.hand), multipliers: member.multipliers });
+    }
+  } catch (e) {}
+}
+
+// '', '  ' and { text: '' } without an amount: the player left the guess field empty
+function isBlankGuess(value) {
+  if (typeof value === 'string') return !value.trim();
+  if (value && typeof value === 'object') return (value.amount == null || value.amount === '') && !String(value.text ?? '').trim();
+  return false;
+}
+
+// Free text ("1,5 Tonnen", "3k km") and { amount, unit } guesses, parsed and checked against the round's
+// dimension; without a unit the amount is read in the card's (or the reference's) display unit.
+// Returns null for plain numbers and card-only submissions; an empty text field counts as no value.
+function parseValueGuess(room, value, card = null) {
+  if (isBlankGuess(value)) return null;
+  if (typeof value !== 'string' && !(value && typeof value === 'object' && (value.amount != null || typeof value.text === 'string'))) return null;
+  return parseGuess(value, {
+    dimension: dimensionForCategory(room.targetExpression?.category),
+    defaultUnit: card?.display_unit || card?.unit || room.targetExpression?.unit || null,
+    lang: room.language,
+  });
+}
+
+// Validate and record a submission for teamId (a player id in solo mode, a team id in team mode).
+// Returns the ack object for the caller.
+function applySubmission(nsp, room, teamId, { cardId, secondCardId, operator, multiplierId, jokerId, value } = {}, socketId = null) {
+  // the round deadline is authoritative: late submissions after reveal are rejected
+  if (room.state !== 'playing') return { ok: false, error: 'ROUND_OVER' };
+
+  // Use provided numeric value or compute from card/mult
+  let numeric = (typeof value === 'number' && isFinite(value)) ? value : NaN;
+  // guessUnit can be provided by client to indicate unit of numeric guess
+  let guessUnit = (typeof value === 'object' && value !== null && value.unit) ? value.unit : undefined;
+
+  let card = null;
+  let secondCard = null;
+  let op = null;
+  let mult = null;
+  let joker = null;
+  let derivedFromCard = false;
+
+  // in team mode the hand and multipliers belong to the team, otherwise to the player
+  const player = getCompetitor(room, teamId);
+  card = player?.hand?.find(c => c.id === cardId) || null;
+  mult = player?.multipliers?.find(m => m.id === multiplierId) || null;
+  // action jokers (combine/double) come as jokerId; accept them in the multiplier slot as well
+  if (jokerKind(mult) && jokerKind(mult) !== 'factor') { joker = mult; mult = null; }
+  if (jokerId && !joker) {
+    joker = player?.multipliers?.find(m => m.id === jokerId) || null;
+    if (!joker) return { ok: false, error: 'UNKNOWN_JOKER' };
+  }
+  if (joker && jokerKind(joker) === 'factor') return { ok: false, error: 'BAD_JOKER', message: t(room.language, 'joker.factorSlot') };
+  if (jokerKind(joker) === 'peek') return { ok: false, error: 'BAD_JOKER', message: t(room.language, 'joker.peekSlot') };
+
+  // joker checks: still available and within the room's limit (per game or per round, see multiplierSet)
+  const jokers = [mult, joker].filter(isJoker);
+  if (jokers.length) {
+    if (!room.jokersEnabled) return { ok: false, error: 'JOKERS_DISABLED' };
+    if (jokers.some(m => m.used)) return { ok: false, error: 'JOKER_USED' };
+    const limit = room.multiplierSet?.jokerLimit ?? 2;
+    const usedCount = (player?.multipliers || []).filter(m => isJoker(m) && m.used).length;
+    if (usedCount + jokers.length > limit) return jokerLimitError(room);
+  }
+
+  const parsedGuess = parseValueGuess(room, value, card);
+  if (parsedGuess) {
+    if (!parsedGuess.ok) return { ok: false, error: parsedGuess.error, message: parsedGuess.message };
+    numeric = parsedGuess.amount;
+    guessUnit = parsedGuess.unit || undefined;
+  }
+
+  const combineJoker = jokerKind(joker) === 'combine';
+  if (secondCardId || combineJoker) {
+    // two hand cards: (first ± second) × multiplier, evaluated in SI. Open to everyone with the room
+    // setting allowCombos, otherwise only with a combine joker (sum only)
+    if (!combineJoker && !room.allowCombos) return { ok: false, error: 'COMBOS_DISABLED', message: t(room.language, 'combo.disabled') };
+    secondCard = player?.hand?.find(c => c.id === secondCardId) || null;
+    if (!card || !secondCard || card.id === secondCard.id) return { ok: false, error: 'COMBINE_NEEDS_CARDS', message: t(room.language, 'combo.needsCards') };
+    op = normalizeOperator(operator);
+    if (!op) return { ok: false, error: 'BAD_OPERATOR', message: t(room.language, 'combo.badOperator') };
+    if (op === '-' && !room.allowCombos) return { ok: false, error: 'BAD_OPERATOR', message: t(room.language, 'combo.addOnly') };
+    const factor = mult?.factor ?? 1;
+    const a = Number(card.trueValue), b = Number(secondCard.trueValue);
+    numeric = (op === '+' ? a + b : a - b) * factor;
+    if (!(numeric > 0)) return { ok: false, error: 'NON_POSITIVE_RESULT', message: t(room.language, 'combo.nonPositive') };
+    derivedFromCard = true;
+  } else if (!isFinite(numeric)) {
+    const factor = mult?.factor ?? 1;
+    if (card && isFinite(card.trueValue) && isFinite(factor)) {
+      numeric = card.trueValue * factor;
+      derivedFromCard = true;
+    }
+  }
+
+  if (!isFinite(numeric)) {
+    return { ok: false, error: 'BAD_SUBMISSION' };
+  }
+  // the double joker rewards playing the hand: free-text guesses can't use it
+  if (jokerKind(joker) === 'double' && !derivedFromCard) return { ok: false, error: 'BAD_JOKER', message: t(room.language, 'joker.needsCard') };
+
+  // Normalize submission into SI units for scoring. If client provided a unit with numeric guess, use it.
+  let siValue = numeric;
+  try {
+    if (derivedFromCard) {
+      siValue = Number(numeric);
+    } else if (parsedGuess) {
+      siValue = parsedGuess.si;
+    } else if (guessUnit) {
+      siValue = toSI(card || {}, Number(numeric), guessUnit);
+    } else if (card && card.display_unit) {
+      // assume numeric is in the card's display unit
+      siValue = toSI(card, Number(numeric), card.display_unit);
+    } else if (card && card.unit) {
+      siValue = toSI(card, Number(numeric), card.unit);
+    } else {
+      // fallback: treat numeric as already SI
+      siValue = Number(numeric);
+    }
+  } catch (e) { siValue = Number(numeric); }
+
+  // If card is missing (e.g. player submitted a raw numeric value without selecting a card)
+  // create a small display-only card object so the frontend can always show a card-like entry.
+  if (!card) {
+    try {
+      const displayUnit = guessUnit || (card && (card.display_unit || card.unit)) || '';
+      card = {
+        id: `manual_${publicCompetitorId(room, teamId)}`,
+        Prompt: t(room.language, 'card.freeInput'),
+        prompt: t(room.language, 'card.freeInput'),
+        promptEmoji: '',
+        // baseValue is the numeric value provided by the player (in the unit they submitted or SI fallback)
+        baseValue: Number.isFinite(numeric) ? numeric : null,
+        display_unit: displayUnit,
+        unit: displayUnit,
+        trueValue: Number.isFinite(numeric) ? Number(numeric) : undefined,
+      };
+    } catch (e) { /* ignore */ }
+  }
+
+  room.submitted.set(teamId, {
+    teamId,
+    value: numeric,
+    siValue,
+    socketId,
+    card,
+    secondCard,
+    operator: op,
+    mult,
+    joker,
+  });
+
+  // If a joker/mega multiplier was used, mark it as used for that player so it can't be reused
+  if (jokers.length) markJokersUsed(nsp, room, teamId, jokers);
+
+  // Fortschritt an alle
+  nsp.to(room.code).emit('SUBMISSION_UPDATE', submissionProgress(room));
+
+  persistRoom(room);
+  revealIfComplete(nsp, room);
+  return { ok: true };
 }
 
 function checkAutoStart(nsp, room) {
@@ -435,6 +1577,87 @@ function checkAutoStart(nsp, room) {
   }
 }
 
+/* -------------------- Room Settings -------------------- */
+const WIN_CONDITIONS = ['rounds', 'symbols', 'points'];
+const TEAM_MODES = ['solo', 'team'];
+// integer settings and their range; timer in seconds (0 = no countdown), tutorial values in ms
+const INTEGER_SETTINGS = { rounds: [0, 100], timer: [0, 3600], teamSize: [1, 20], tutorialDelay: [0, 60000], tutorialAutoStartTimeout: [0, 3600000] };
+const BOOLEAN_SETTINGS = ['jokersEnabled', 'categoryDraft', 'avoidRepeatsAcrossGames', 'allowCombos'];
+
+// Check a whole UPDATE_SETTINGS payload before anything is applied. Returns { ok: true, values } with the
+// normalized known fields, or { ok: false, error, message }.
+function validateSettings(room, settings) {
+  const values = {};
+  const has = (k) => settings[k] !== undefined;
+  for (const [k, [min, max]] of Object.entries(INTEGER_SETTINGS)) {
+    if (!has(k)) continue;
+    const n = typeof settings[k] === 'string' && settings[k].trim() !== '' ? Number(settings[k]) : settings[k];
+    if (!(Number.isInteger(n) && n >= min && n <= max)) {
+      return { ok: false, error: k === 'rounds' ? 'INVALID_ROUNDS' : 'INVALID_SETTING', message: `${k} must be an integer from ${min} to ${max}` };
+    }
+    values[k] = n;
+  }
+  for (const k of BOOLEAN_SETTINGS) {
+    if (!has(k)) continue;
+    if (typeof settings[k] !== 'boolean') return { ok: false, error: 'INVALID_SETTING', message: `${k} must be true or false` };
+    values[k] = settings[k];
+  }
+  if (has('teamMode')) {
+    if (!TEAM_MODES.includes(settings.teamMode)) return { ok: false, error: 'INVALID_SETTING', message: `teamMode must be one of ${TEAM_MODES.join(', ')}` };
+    values.teamMode = settings.teamMode;
+  }
+  if (has('winCondition')) {
+    if (!WIN_CONDITIONS.includes(settings.winCondition)) return { ok: false, error: 'INVALID_SETTING', message: `winCondition must be one of ${WIN_CONDITIONS.join(', ')}` };
+    values.winCondition = settings.winCondition;
+  }
+  if (has('difficulty')) {
+    if (!DIFFICULTY_MODES.includes(String(settings.difficulty))) {
+      return { ok: false, error: 'INVALID_DIFFICULTY', message: `difficulty must be one of ${DIFFICULTY_MODES.join(', ')}` };
+    }
+    values.difficulty = String(settings.difficulty);
+  }
+  if (has('seed')) {
+    if (settings.seed !== null && !['string', 'number'].includes(typeof settings.seed)) {
+      return { ok: false, error: 'INVALID_SEED', message: 'seed must be a string, a number or null' };
+    }
+    values.seed = settings.seed;
+  }
+  if (has('maxCategoryStreak')) {
+    if (!(Number.isInteger(settings.maxCategoryStreak) && settings.maxCategoryStreak >= 0)) {
+      return { ok: false, error: 'INVALID_STREAK', message: 'maxCategoryStreak must be an integer >= 0 (0 = no limit)' };
+    }
+    values.maxCategoryStreak = settings.maxCategoryStreak;
+  }
+  // points mode ends after `rounds` rounds only, so it needs a limit
+  const nextWin = values.winCondition ?? room.winCondition;
+  const nextRounds = values.rounds ?? Number(room.rounds);
+  if (nextWin === 'points' && !(Number.isInteger(nextRounds) && nextRounds >= 1)) {
+    return { ok: false, error: 'INVALID_ROUNDS', message: 'points mode needs rounds >= 1' };
+  }
+  if (has('multiplierSet')) {
+    // jokers already spent would be handed out again mid-game
+    if (room.roundIndex > 0 && room.state !== 'lobby') return { ok: false, error: 'MULTIPLIERS_LOCKED', message: t(room.language, 'settings.multipliersLocked') };
+    const set = normalizeMultiplierSet(settings.multiplierSet);
+    if (!set.ok) return { ok: false, error: 'INVALID_MULTIPLIER_SET', message: set.message };
+    values.multiplierSet = set.value;
+  }
+  if (has('language')) {
+    const language = normalizeLanguage(settings.language);
+    const available = availableLanguages(room);
+    if (!available.includes(language)) {
+      return { ok: false, error: 'INVALID_LANGUAGE', message: t(room.language, 'settings.unknownLanguage', { language: settings.language, available: available.join(', ') }) };
+    }
+    values.language = language;
+  }
+  if (has('categories')) {
+    const items = getRoomItems(room);
+    const cats = normalizeCategorySettings(settings.categories, Object.keys(items), Object.keys(items).filter(k => items[k]?.length));
+    if (!cats.ok) return { ok: false, error: 'INVALID_CATEGORIES', message: cats.message };
+    values.categories = cats.value;
+  }
+  return { ok: true, values };
+}
+
 /* -------------------- Socket Handlers -------------------- */
 function lobbyPayload(room) {
   return {
@@ -443,13 +1666,26 @@ function lobbyPayload(room) {
     canStart: !!room.canStart,
     tutorialEnabled: !!room.tutorialEnabled,
     tutorialDelay: room.tutorialDelay || 1500,
+    // playerIds double as reconnect credentials: everything broadcast uses publicIds
     teams: [...room.teams.entries()].map(([sid, t]) => ({
-      id: t.id,
       name: t.name,
       avatar: t.avatar,
+      publicId: publicIdFor(t.id),
       socketId: sid,
       ready: room.readyPlayers.has(sid),
+      isHost: room.admins.has(sid),
+      groupId: isTeamMode(room) ? (findGroupOfPlayer(room, t.id)?.id || null) : null,
     })),
+    groups: isTeamMode(room) ? [...room.groups.values()].map(g => ({
+      id: g.id,
+      name: g.name,
+      captainPublicId: g.captainId ? publicIdFor(g.captainId) : null,
+      members: [...g.members].map(publicIdFor),
+      full: g.members.size >= (Number(room.teamSize) || 2),
+    })) : [],
+    awayCount: [...room.playersByTeamId.values()].filter(isAway).length,
+    away: [...room.playersByTeamId.values()].filter(isAway).map(p => ({ publicId: publicIdFor(p.id), name: p.name, avatar: p.avatar, awaySince: p.awaySince || null })),
+    hostPublicIds: [...room.hostIds].map(publicIdFor),
     // expose current settings for UI
     settings: {
       rounds: room.rounds,
@@ -457,21 +1693,126 @@ function lobbyPayload(room) {
       jokersEnabled: !!room.jokersEnabled,
       teamMode: room.teamMode,
       winCondition: room.winCondition,
+      difficulty: room.difficulty,
+      categories: room.categories,
+      maxCategoryStreak: room.maxCategoryStreak,
+      categoryDraft: !!room.categoryDraft,
+      avoidRepeatsAcrossGames: !!room.avoidRepeatsAcrossGames,
+      seeded: room.seed != null && room.seed !== '',
+      multiplierSet: room.multiplierSet,
+      allowCombos: !!room.allowCombos,
       teamSize: room.teamSize,
+      language: room.language,
+      languages: availableLanguages(room),
       tutorialDelay: room.tutorialDelay,
       tutorialAutoStartTimeout: room.tutorialAutoStartTimeout,
+      customDeck: customDeckInfo(room),
     }
   };
 }
 
+// Make the socket a host of the room. Returns the credentials the host client keeps to reclaim rights later.
+function grantHost(room, socket, playerId = null) {
+  room.admins.add(socket.id);
+  if (playerId) room.hostIds.add(playerId);
+  if (!room.hostPin) room.hostPin = generateHostPin();
+  return { hostToken: signHostToken(room.code, playerId), hostPin: room.hostPin };
+}
+
+// Client address of a socket; behind a proxy (TRUST_PROXY=1) the first X-Forwarded-For entry
+function clientAddress(socket) {
+  const forwarded = process.env.TRUST_PROXY === '1' ? String(socket.handshake.headers['x-forwarded-for'] || '').split(',')[0].trim() : '';
+  return forwarded || socket.handshake.address || 'unknown';
+}
+
+// Socket admin check: the socket already holds admin rights or proves them with a signed host token.
+// Hosts reconnecting on their session regain rights through hostIds in TEAM_JOIN, not here.
+function authorizeAdmin(room, socket, hostToken) {
+  if (room.admins.has(socket.id)) return true;
+  if (hostToken && verifyHostToken(hostToken, room.code)) {
+    room.admins.add(socket.id);
+    return true;
+  }
+  return false;
+}
+
+/* -------------------- Host Handover -------------------- */
+// Grace period before the longest-connected player is promoted when no host is connected
+const HOST_GRACE_MS = Number(process.env.HOST_GRACE_MS) || 30000;
+
+// Drop admin rights of sockets whose player is no longer a host (sockets that authenticated without
+// joining as player are kept); a newly promoted host's socket is added by the caller
+function syncAdminSockets(room) {
+  for (const [sid, p] of room.teams) {
+    if (!room.hostIds.has(p.id)) room.admins.delete(sid);
+  }
+}
+
+// Player by publicId (what clients see), for host actions that target another player
+function findPlayerByPublicId(room, publicId) {
+  for (const p of room.playersByTeamId.values()) if (publicIdFor(p.id) === publicId) return p;
+  return null;
+}
+
+function hostsPayload(room, reason) {
+  return {
+    reason,
+    hosts: [...room.hostIds].map(id => ({ publicId: publicIdFor(id), name: room.playersByTeamId.get(id)?.name || null, connected: !!room.playersByTeamId.get(id)?.socketId })),
+  };
+}
+
+const hasConnectedHost = (room) => [...room.teams.keys()].some(sid => room.admins.has(sid));
+
+// When nobody with admin rights is connected, promote the longest-connected player after HOST_GRACE_MS
+function checkHostPresence(nsp, room) {
+  if (hasConnectedHost(room) || room.teams.size === 0) {
+    if (room._hostGraceTimer) { clearTimeout(room._hostGraceTimer); room._hostGraceTimer = null; }
+    return;
+  }
+  if (room._hostGraceTimer) return;
+  console.log(`[host] room=${room.code} has no connected host — promoting a player in ${HOST_GRACE_MS}ms`);
+  room._hostGraceTimer = setTimeout(() => {
+    room._hostGraceTimer = null;
+    try {
+      if (hasConnectedHost(room) || room.teams.size === 0) return;
+      const candidate = [...room.teams.values()].sort((a, b) => (a.connectedAt || 0) - (b.connectedAt || 0))[0];
+      room.hostIds.add(candidate.id);
+      room.admins.add(candidate.socketId);
+      if (!room.hostPin) room.hostPin = generateHostPin();
+      persistRoom(room);
+      console.log(`[host] room=${room.code} promoted player=${candidate.id} (${candidate.name}) to host`);
+      nsp.to(candidate.socketId).emit('HOST_CREDENTIALS', { hostToken: signHostToken(room.code, candidate.id), hostPin: room.hostPin });
+      nsp.to(room.code).emit('HOST_CHANGED', hostsPayload(room, 'auto'));
+      nsp.to(room.code).emit('LOBBY_UPDATE', lobbyPayload(room));
+    } catch (e) { console.error('host promotion failed', e); }
+  }, HOST_GRACE_MS);
+}
+
+// what a reconnecting player already locked in this round
+function submissionSummary(s) {
+  if (!s) return null;
+  return { cardId: s.card?.id || null, multiplierId: s.mult?.id || null, value: s.value, siValue: s.siValue };
+}
+
+function customDeckInfo(room) {
+  const d = room.customDeck;
+  return d ? { name: d.name, counts: d.counts, mixDefault: !!d.mixDefault, uploadedAt: d.uploadedAt } : null;
+}
+
 function registerHandlers(nsp, socket) {
   console.log('🔌 socket connected', socket.id, 'ns', nsp.name, 'transport=', socket.conn.transport.name);
 
+  // every event addresses its room by the normalized code ('quiz' and 'QUIZ' are the same room)
+  socket.use(([, payload], next) => {
+    if (payload && typeof payload === 'object' && payload.roomCode != null) payload.roomCode = normalizeRoomCode(payload.roomCode);
+    next();
+  });
+
   socket.on('PING', (m, cb) => cb && cb({ ok: true, echo: m }));
 
   socket.on('TEAM_JOIN', (payload = {}, ack) => {
     try {
-      const { roomCode, name, avatar, playerId } = payload;
+      const { roomCode, name, avatar, playerId, teamName, hostToken } = payload;
       if (!roomCode || !name) {
         ack && ack({ ok: false, error: 'MISSING_FIELDS' });
         socket.emit('ERROR', { message: 'roomCode and name required' });
@@ -490,18 +1831,39 @@ function registerHandlers(nsp, socket) {
           // restore a lightweight player object and re-deal hand if round is running
           const player = {
             id: teamId,
+            teamId,
             name: name,
             avatar: avatar || '🤖',
             socketId: socket.id,
+            connectedAt: Date.now(),
             hand: [],
-            multipliers: getDefaultMultipliers(),
+            multipliers: getDefaultMultipliers(room),
           };
 
+          // team mode: rejoin the previous team and share its hand again
+          const group = isTeamMode(room) ? findGroupOfPlayer(room, teamId) : null;
+          // player entry that outlived the socket (away within the grace period, or restored after a restart)
+          const previous = room.playersByTeamId.get(teamId);
+          if (previous && previous.socketId && room.teams.get(previous.socketId) === previous) room.teams.delete(previous.socketId);
+          clearAway(room, teamId);
+          if (previous) player.connectedAt = previous.connectedAt || player.connectedAt;
+
           // If a round is active, deal a fresh hand for this joining socket (exclude reference card)
           try {
-            if (room.state === 'playing' && room.targetExpression && room.targetExpression.category) {
-              player.hand = dealHand(room.targetExpression.category, [room.targetExpression.refId]);
-              player.multipliers = ensureStandardMultipliers(Array.isArray(player.multipliers) ? player.multipliers : getDefaultMultipliers());
+            if (group) {
+              player.teamId = group.id;
+              player.hand = group.hand;
+              player.multipliers = group.multipliers;
+            } else if (previous) {
+              // exact hand (outside the lobby) and multiplier state incl. used jokers
+              if (room.state !== 'lobby' && Array.isArray(previous.hand)) player.hand = previous.hand;
+              player.multipliers = ensureStandardMultipliers(room, Array.isArray(previous.multipliers) ? previous.multipliers : getDefaultMultipliers(room));
+              if (!player.hand.length && room.state === 'playing' && room.targetExpression && room.targetExpression.category) {
+                player.hand = dealHand(room, room.targetExpression.category, [room.targetExpression.refId], { late: true });
+              }
+            } else if (room.state === 'playing' && room.targetExpression && room.targetExpression.category) {
+              player.hand = dealHand(room, room.targetExpression.category, [room.targetExpression.refId], { late: true });
+              player.multipliers = ensureStandardMultipliers(room, Array.isArray(player.multipliers) ? player.multipliers : getDefaultMultipliers(room));
             }
           } catch (e) { player.hand = player.hand || []; }
 
@@ -509,6 +1871,9 @@ function registerHandlers(nsp, socket) {
           room.playersByTeamId.set(teamId, player);
           socket.join(roomCode);
           sessions.set(persistent, { roomCode, teamId, lastSeen: Date.now() });
+          persistRoom(room);
+          // a host returning on its own session gets its rights back; playerIds are never broadcast
+          const hostCreds = (room.hostIds.has(persistent) || authorizeAdmin(room, socket, hostToken)) ? grantHost(room, socket, persistent) : null;
 
           // clear any scheduled empty-room abort timer (players returned)
           try { if (room._emptyTimer) { clearTimeout(room._emptyTimer); room._emptyTimer = null; } } catch(e){}
@@ -516,23 +1881,36 @@ function registerHandlers(nsp, socket) {
           const resp = {
             ok: true,
             teamId,
+            groupId: group ? group.id : null,
             playerId: persistent,
+            publicId: publicIdFor(teamId),
             roomState: room.state,
             isAdmin: room.admins.has(socket.id),
+            ...(hostCreds || {}),
             settings: {
               rounds: room.rounds,
               timer: room.timer,
               jokersEnabled: !!room.jokersEnabled,
               teamMode: room.teamMode,
               winCondition: room.winCondition,
+              difficulty: room.difficulty,
+              categories: room.categories,
+              maxCategoryStreak: room.maxCategoryStreak,
+              categoryDraft: !!room.categoryDraft,
+              avoidRepeatsAcrossGames: !!room.avoidRepeatsAcrossGames,
+              seeded: room.seed != null && room.seed !== '',
+              multiplierSet: room.multiplierSet,
+              allowCombos: !!room.allowCombos,
               teamSize: room.teamSize,
             }
           };
 
           // send reconnect success and initial data (hand/multipliers if any)
-          try { socket.emit('RECONNECT_SUCCESS', { teamId, playerId: persistent, roomState: room.state, isAdmin: room.admins.has(socket.id), playerData: { hand: prepareHandForEmission(player.hand), multipliers: player.multipliers, name: player.name, avatar: player.avatar } }); } catch(e){}
+          try { socket.emit('RECONNECT_SUCCESS', { teamId, groupId: group ? group.id : null, playerId: persistent, roomState: room.state, isAdmin: room.admins.has(socket.id), round: room.state === 'playing' ? room.lastRoundPayload : null, reveal: room.state === 'reveal' ? room.lastRevealPayload : null, submitted: room.submitted.has(player.teamId), submission: submissionSummary(room.submitted.get(player.teamId)), playerData: { hand: prepareHandForEmission(player.hand), multipliers: player.multipliers, name: player.name, avatar: player.avatar } }); } catch(e){}
           ack && ack(resp);
+          checkHostPresence(nsp, room);
           try { nsp.to(roomCode).emit('LOBBY_UPDATE', lobbyPayload(room)); } catch(e){}
+          if (room.state === 'playing') { try { nsp.to(roomCode).emit('SUBMISSION_UPDATE', submissionProgress(room)); } catch(e){} }
           checkAutoStart(nsp, room);
           return;
         }
@@ -541,21 +1919,42 @@ function registerHandlers(nsp, socket) {
       // New join (no valid session found)
       teamId = persistent;
 
-      if (room.teams.size === 0) room.admins.add(socket.id);
+      // hosts: a valid host token, or (unless REQUIRE_HOST_AUTH) whoever opens an empty room
+      let hostCreds = null;
+      if (authorizeAdmin(room, socket, hostToken) || (room.teams.size === 0 && !hostAuthRequired())) hostCreds = grantHost(room, socket, persistent);
 
       const player = {
         id: teamId,
+        teamId,
         name,
         avatar: avatar || '🤖',
         socketId: socket.id,
+        connectedAt: Date.now(),
         hand: [],
-        multipliers: getDefaultMultipliers(),
+        multipliers: getDefaultMultipliers(room),
       };
       room.teams.set(socket.id, player);
       room.playersByTeamId.set(teamId, player);
 
+      // team mode: players may pick their team right away (or later via TEAM_SELECT)
+      let groupId = null;
+      if (isTeamMode(room) && room.state === 'lobby') {
+        if (teamName) {
+          const joined = joinGroup(room, player, teamName);
+          if (joined.ok) groupId = joined.group.id;
+        }
+      } else if (isTeamMode(room)) {
+        // teams are fixed once the game runs
+        const group = joinSmallestGroup(room, player);
+        if (group) {
+          groupId = group.id;
+          if (room.state === 'playing') socket.emit('PLAYER_HAND', { hand: prepareHandForEmission(player.hand), multipliers: player.multipliers });
+        }
+      }
+
       socket.join(roomCode);
       sessions.set(persistent, { roomCode, teamId, lastSeen: Date.now() });
+      persistRoom(room);
   // Do NOT mark players as ready automatically on join.
   // Players must explicitly emit PLAYER_READY to be counted.
 
@@ -564,15 +1963,26 @@ function registerHandlers(nsp, socket) {
       const resp = {
         ok: true,
         teamId,
+        groupId,
         playerId: persistent,
+        publicId: publicIdFor(teamId),
         roomState: room.state,
         isAdmin: room.admins.has(socket.id),
+        ...(hostCreds || {}),
         settings: {
           rounds: room.rounds,
           timer: room.timer,
           jokersEnabled: !!room.jokersEnabled,
           teamMode: room.teamMode,
           winCondition: room.winCondition,
+          difficulty: room.difficulty,
+          categories: room.categories,
+          maxCategoryStreak: room.maxCategoryStreak,
+          categoryDraft: !!room.categoryDraft,
+          avoidRepeatsAcrossGames: !!room.avoidRepeatsAcrossGames,
+          seeded: room.seed != null && room.seed !== '',
+          multiplierSet: room.multiplierSet,
+          allowCombos: !!room.allowCombos,
           teamSize: room.teamSize,
         }
       };
@@ -582,6 +1992,7 @@ function registerHandlers(nsp, socket) {
       // clear any scheduled empty-room abort timer (new player arrived)
       try { if (room._emptyTimer) { clearTimeout(room._emptyTimer); room._emptyTimer = null; } } catch(e){}
 
+      checkHostPresence(nsp, room);
       nsp.to(roomCode).emit('LOBBY_UPDATE', lobbyPayload(room));
 
       checkAutoStart(nsp, room);
@@ -593,7 +2004,7 @@ function registerHandlers(nsp, socket) {
 
   socket.on('BEAMER_JOIN', ({ roomCode } = {}, ack) => {
     try {
-      const normalized = String(roomCode || '').trim().toUpperCase();
+      const normalized = normalizeRoomCode(roomCode);
       if (!normalized) {
         ack && ack({ ok: false, error: 'MISSING_ROOM' });
         return;
@@ -635,19 +2046,7 @@ function registerHandlers(nsp, socket) {
           room.pendingStartAfterTutorial = false;
           try { if (room._tutorialAutoStartTimer) { clearTimeout(room._tutorialAutoStartTimer); room._tutorialAutoStartTimer = null; } } catch(e){}
           // pick preview and emit PRE_ROUND_CATEGORY + countdown then startRound
-          const cats = Object.keys(ITEMS).filter((k) => Array.isArray(ITEMS[k]) && ITEMS[k].length > 0);
-          const chosenCat = randomPick(cats);
-          const chosenBase = randomPick(ITEMS[chosenCat]);
-          const chosenK = randomPick([0.5,2,3,4,5,10]);
-          const preview = { category: chosenCat, base: chosenBase, k: chosenK };
-          try {
-            const ex = (() => { try { const f = formatFromSI(chosenBase, chosenBase.trueValue * chosenK); return `${f.value} ${f.unit || ''}`.trim(); } catch (e) { return ''; } })();
-            nsp.to(room.code).emit('PRE_ROUND_CATEGORY', { category: chosenCat, k: chosenK, refPrompt: chosenBase.prompt, refExample: ex });
-          } catch(e){}
-          try { nsp.to(room.code).emit('PRE_ROUND_COUNTDOWN', { start: 3 }); } catch(e){}
-          setTimeout(() => {
-            try { startRound(nsp, room, preview); room.canStart = false; try { nsp.to(room.code).emit('LOBBY_UPDATE', lobbyPayload(room)); } catch(e){} } catch (e) { console.error('startRound after tutorial closed failed', e); }
-          }, 3000);
+          startRoundWithPreview(nsp, room, buildPreview(room), 'TUTORIAL_CLOSED');
         }
       }
     } catch (e) { console.error('TUTORIAL_CLOSED handler error', e); }
@@ -675,8 +2074,232 @@ function registerHandlers(nsp, socket) {
       } catch (e) {}
   });
 
+  // Team mode: join or create a named team while in the lobby
+  socket.on('TEAM_SELECT', ({ roomCode, teamName } = {}, ack) => {
+    try {
+      const room = ensureRoom(roomCode);
+      if (!isTeamMode(room)) return ack && ack({ ok: false, error: 'NOT_TEAM_MODE' });
+      if (room.state !== 'lobby') return ack && ack({ ok: false, error: 'NOT_IN_LOBBY' });
+      const player = room.teams.get(socket.id);
+      if (!player) return ack && ack({ ok: false, error: 'NOT_JOINED' });
+      const result = joinGroup(room, player, teamName);
+      if (!result.ok) return ack && ack(result);
+      console.log(`[TEAM_SELECT] room=${roomCode} player=${player.id} team=${result.group.name} members=${result.group.members.size}`);
+      persistRoom(room);
+      ack && ack({ ok: true, groupId: result.group.id, captainPublicId: publicIdFor(result.group.captainId) });
+      nsp.to(room.code).emit('LOBBY_UPDATE', lobbyPayload(room));
+    } catch (e) {
+      console.error('TEAM_SELECT failed', e);
+      ack && ack({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Team mode: a member proposes a card + multiplier (or a free value) for the team's submission.
+  // Proposing counts as a vote for one's own proposal.
+  socket.on('TEAM_PROPOSE', ({ roomCode, cardId, secondCardId, operator, multiplierId, jokerId, value } = {}, ack) => {
+    try {
+      const room = ensureRoom(roomCode);
+      if (!isTeamMode(room)) return ack && ack({ ok: false, error: 'NOT_TEAM_MODE' });
+      if (room.state !== 'playing') return ack && ack({ ok: false, error: 'ROUND_OVER' });
+      const player = room.teams.get(socket.id);
+      const group = player && room.groups.get(player.teamId);
+      if (!group) return ack && ack({ ok: false, error: 'NO_TEAM' });
+      if (room.submitted.has(group.id)) return ack && ack({ ok: false, error: 'ALREADY_SUBMITTED' });
+      if (cardId && !group.hand.some(c => c.id === cardId)) return ack && ack({ ok: false, error: 'UNKNOWN_CARD' });
+      if (secondCardId && !group.hand.some(c => c.id === secondCardId)) return ack && ack({ ok: false, error: 'UNKNOWN_CARD' });
+      if (multiplierId && !group.multipliers.some(m => m.id === multiplierId)) return ack && ack({ ok: false, error: 'UNKNOWN_MULTIPLIER' });
+      if (jokerId && !group.multipliers.some(m => m.id === jokerId)) return ack && ack({ ok: false, error: 'UNKNOWN_JOKER' });
+      const guess = isBlankGuess(value) ? undefined : value;
+      const parsed = parseValueGuess(room, guess, group.hand.find(c => c.id === cardId));
+      if (parsed && !parsed.ok) return ack && ack({ ok: false, error: parsed.error, message: parsed.message });
+      if (!cardId && !parsed && !(typeof guess === 'number' && isFinite(guess))) return ack && ack({ ok: false, error: 'BAD_SUBMISSION' });
+      group.proposals.set(player.id, { cardId, secondCardId, operator, multiplierId, jokerId, value: guess });
+      group.votes.set(player.id, player.id);
+      ack && ack({ ok: true });
+      if (!lockGroupIfMajority(nsp, room, group, socket.id)) {
+        emitToGroup(nsp, room, group, 'TEAM_PROPOSALS', groupProposalsPayload(room, group));
+      }
+    } catch (e) {
+      console.error('TEAM_PROPOSE failed', e);
+      ack && ack({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Team mode: vote for a teammate's proposal by its publicId (see TEAM_PROPOSALS)
+  socket.on('TEAM_VOTE', ({ roomCode, proposerPublicId } = {}, ack) => {
+    try {
+      const room = ensureRoom(roomCode);
+      if (!isTeamMode(room)) return ack && ack({ ok: false, error: 'NOT_TEAM_MODE' });
+      if (room.state !== 'playing') return ack && ack({ ok: false, error: 'ROUND_OVER' });
+      const player = room.teams.get(socket.id);
+      const group = player && room.groups.get(player.teamId);
+      if (!group) return ack && ack({ ok: false, error: 'NO_TEAM' });
+      const proposerId = [...group.proposals.keys()].find(id => publicIdFor(id) === proposerPublicId);
+      if (!proposerId) return ack && ack({ ok: false, error: 'UNKNOWN_PROPOSAL' });
+      group.votes.set(player.id, proposerId);
+      ack && ack({ ok: true });
+      if (!lockGroupIfMajority(nsp, room, group, socket.id)) {
+        emitToGroup(nsp, room, group, 'TEAM_PROPOSALS', groupProposalsPayload(room, group));
+      }
+    } catch (e) {
+      console.error('TEAM_VOTE failed', e);
+      ack && ack({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Claim admin rights for a room with its host PIN or the global ADMIN_TOKEN
+  socket.on('HOST_LOGIN', ({ roomCode, pin, adminToken, playerId } = {}, ack) => {
+    try {
+      const room = ensureRoom(roomCode);
+      const address = clientAddress(socket);
+      if (!checkAdminSecret(adminToken)) {
+        const wait = pinLockout(roomCode, address);
+        if (wait > 0) return ack && ack({ ok: false, error: 'TOO_MANY_ATTEMPTS', retryAfter: Math.ceil(wait / 1000) });
+        if (!checkHostPin(room, pin)) {
+          recordPinFailure(roomCode, address);
+          console.warn(`[HOST_LOGIN] failed attempt for room=${roomCode} socket=${socket.id} address=${address}`);
+          return ack && ack({ ok: false, error: 'INVALID_CREDENTIALS' });
+        }
+      }
+      const creds = grantHost(room, socket, room.teams.get(socket.id)?.id || playerId || null);
+      persistRoom(room);
+      console.log(`[HOST_LOGIN] socket=${socket.id} is now admin of room=${roomCode}`);
+      ack && ack({ ok: true, isAdmin: true, ...creds });
+    } catch (e) {
+      console.error('HOST_LOGIN failed', e);
+      ack && ack({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Host hands admin rights to another player (and gives up its own)
+  socket.on('ADMIN_TRANSFER', ({ roomCode, targetPublicId, hostToken } = {}, ack) => {
+    try {
+      const room = ensureRoom(roomCode);
+      if (!authorizeAdmin(room, socket, hostToken)) return ack && ack({ ok: false, error: 'NOT_ADMIN' });
+      const target = findPlayerByPublicId(room, targetPublicId);
+      if (!target) return ack && ack({ ok: false, error: 'NO_PLAYER' });
+      const me = room.teams.get(socket.id);
+      if (me) room.hostIds.delete(me.id);
+      room.admins.delete(socket.id);
+      room.hostIds.add(target.id);
+      syncAdminSockets(room);
+      if (target.socketId) room.admins.add(target.socketId);
+      persistRoom(room);
+      console.log(`[ADMIN_TRANSFER] room=${roomCode} from=${me ? me.id : socket.id} to=${target.id}`);
+      if (target.socketId) nsp.to(target.socketId).emit('HOST_CREDENTIALS', { hostToken: signHostToken(room.code, target.id), hostPin: room.hostPin });
+      ack && ack({ ok: true });
+      nsp.to(room.code).emit('HOST_CHANGED', hostsPayload(room, 'transfer'));
+      nsp.to(room.code).emit('LOBBY_UPDATE', lobbyPayload(room));
+      checkHostPresence(nsp, room);
+    } catch (e) {
+      console.error('ADMIN_TRANSFER failed', e);
+      ack && ack({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Host adds (or with revoke: true removes) a co-host
+  socket.on('ADMIN_GRANT', ({ roomCode, targetPublicId, revoke, hostToken } = {}, ack) => {
+    try {
+      const room = ensureRoom(roomCode);
+      if (!authorizeAdmin(room, socket, hostToken)) return ack && ack({ ok: false, error: 'NOT_ADMIN' });
+      const target = findPlayerByPublicId(room, targetPublicId);
+      if (!target) return ack && ack({ ok: false, error: 'NO_PLAYER' });
+      if (revoke) {
+        if (room.teams.get(socket.id)?.id === target.id) return ack && ack({ ok: false, error: 'CANNOT_REVOKE_SELF' });
+        room.hostIds.delete(target.id);
+      } else {
+        room.hostIds.add(target.id);
+        if (target.socketId) room.admins.add(target.socketId);
+        if (target.socketId) nsp.to(target.socketId).emit('HOST_CREDENTIALS', { hostToken: signHostToken(room.code, target.id), hostPin: room.hostPin });
+      }
+      syncAdminSockets(room);
+      persistRoom(room);
+      console.log(`[ADMIN_GRANT] room=${roomCode} target=${target.id} revoke=${!!revoke}`);
+      ack && ack({ ok: true });
+      nsp.to(room.code).emit('HOST_CHANGED', hostsPayload(room, revoke ? 'revoke' : 'grant'));
+      nsp.to(room.code).emit('LOBBY_UPDATE', lobbyPayload(room));
+    } catch (e) {
+      console.error('ADMIN_GRANT failed', e);
+      ack && ack({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Profile stats for the lobby: own profile, or another player's by publicId
+  socket.on('PROFILE', ({ roomCode, publicId } = {}, ack) => {
+    try {
+      let profile = null;
+      if (publicId) profile = profiles.findByPublicId(String(publicId));
+      else {
+        const room = roomCode ? rooms.get(roomCode) : null;
+        const player = room ? room.teams.get(socket.id) : null;
+        if (!player) return ack && ack({ ok: false, error: 'NOT_IN_ROOM' });
+        profile = profiles.get(player.id);
+        if (!profile) return ack && ack({ ok: true, profile: null });
+      }
+      if (!profile) return ack && ack({ ok: false, error: 'NO_PROFILE' });
+      ack && ack({ ok: true, profile: publicProfile(profile) });
+    } catch (e) {
+      console.error('PROFILE failed', e);
+      ack && ack({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Jokers that act during the round instead of being submitted: peek reveals the reference card's
+  // base value (the value that gets multiplied by k) to the player or the whole team
+  socket.on('USE_JOKER', ({ roomCode, jokerId } = {}, ack) => {
+    try {
+      const room = ensureRoom(roomCode);
+      if (!room) return ack && ack({ ok: false, error: 'NO_ROOM' });
+      if (room.state !== 'playing') return ack && ack({ ok: false, error: 'ROUND_OVER' });
+      const me = room.teams.get(socket.id);
+      if (!me) return ack && ack({ ok: false, error: 'NOT_IN_ROOM' });
+      const competitorId = isTeamMode(room) ? me.teamId : me.id;
+      const owner = getCompetitor(room, competitorId);
+      if (!owner) return ack && ack({ ok: false, error: 'NO_TEAM' });
+      if (isTeamMode(room) && owner.captainId !== me.id) return ack && ack({ ok: false, error: 'NOT_CAPTAIN' });
+      if (room.submitted.has(competitorId)) return ack && ack({ ok: false, error: 'ALREADY_SUBMITTED' });
+      const joker = (owner.multipliers || []).find(m => m.id === jokerId);
+      if (!joker) return ack && ack({ ok: false, error: 'UNKNOWN_JOKER' });
+      if (jokerKind(joker) !== 'peek') return ack && ack({ ok: false, error: 'BAD_JOKER', message: t(room.language, 'joker.submitSlot') });
+      if (!room.jokersEnabled) return ack && ack({ ok: false, error: 'JOKERS_DISABLED' });
+      if (joker.used) return ack && ack({ ok: false, error: 'JOKER_USED' });
+      const limit = room.multiplierSet?.jokerLimit ?? 2;
+      if (owner.multipliers.filter(m => isJoker(m) && m.used).length >= limit) return ack && ack(jokerLimitError(room));
+
+      const base = room.currentReferenceCard;
+      const fmt = base ? formatFromSI(base, base.trueValue) : null;
+      const peek = { jokerId, refPrompt: room.targetExpression?.refPrompt, baseValue: fmt?.value ?? null, baseUnit: fmt?.unit ?? null };
+      markJokersUsed(nsp, room, competitorId, [joker]);
+      persistRoom(room);
+      console.log(`[USE_JOKER] room=${roomCode} competitor=${competitorId} peek`);
+      if (isTeamMode(room)) emitToGroup(nsp, room, owner, 'JOKER_PEEK', peek);
+      ack && ack({ ok: true, ...peek });
+    } catch (e) {
+      console.error('USE_JOKER failed', e);
+      ack && ack({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
+  // Category draft: the previous round's winner picks the next category
+  socket.on('CATEGORY_PICK', ({ roomCode, category } = {}, ack) => {
+    try {
+      const room = ensureRoom(roomCode);
+      if (!room) return ack && ack({ ok: false, error: 'NO_ROOM' });
+      if (!room.draft) return ack && ack({ ok: false, error: 'NO_DRAFT' });
+      const player = room.teams.get(socket.id);
+      if (!player || player.id !== room.draft.pickerId) return ack && ack({ ok: false, error: 'NOT_PICKER' });
+      if (!room.draft.choices.includes(category)) return ack && ack({ ok: false, error: 'INVALID_CATEGORY' });
+      console.log(`[CATEGORY_PICK] room=${roomCode} player=${player.id} category=${category}`);
+      resolveCategoryDraft(nsp, room, category);
+      ack && ack({ ok: true });
+    } catch (e) {
+      console.error('CATEGORY_PICK failed', e);
+      ack && ack({ ok: false, error: 'SERVER_ERROR' });
+    }
+  });
+
   // Admin can force-start a round
-  socket.on('ADMIN_START', ({ roomCode } = {}, ack) => {
+  socket.on('ADMIN_START', ({ roomCode, hostToken } = {}, ack) => {
     try {
       const room = ensureRoom(roomCode);
       // helper to log acks for diagnostics
@@ -685,17 +2308,20 @@ function registerHandlers(nsp, socket) {
         ack && ack(obj);
       };
       if (!room) return sendAdminAck({ ok: false, error: 'NO_ROOM' });
-      if (!room.admins.has(socket.id)) return sendAdminAck({ ok: false, error: 'NOT_ADMIN' });
+      if (!authorizeAdmin(room, socket, hostToken)) return sendAdminAck({ ok: false, error: 'NOT_ADMIN' });
       // clearer handling depending on current room state
       console.log(`[ADMIN_START] admin ${socket.id} requested start for room=${roomCode} currentState=${room.state}`);
       if (room.state === 'playing') {
-        return sendAdminAck({ ok: false, error: 'ALREADY_PLAYING', message: 'Eine Runde läuft bereits.' });
+        return sendAdminAck({ ok: false, error: 'ALREADY_PLAYING', message: t(room.language, 'start.alreadyPlaying') });
+      }
+      if (room.draft) {
+        return sendAdminAck({ ok: false, error: 'DRAFT_IN_PROGRESS', message: t(room.language, 'start.draftInProgress') });
       }
 
       // require minimum ready players before admin can start
       const readyCount = room.readyPlayers.size;
       if (readyCount < room.minPlayers && room.state === 'lobby') {
-        return sendAdminAck({ ok: false, error: 'NOT_ENOUGH_READY', message: `Mindestens ${room.minPlayers} Spieler müssen bereit sein.` });
+        return sendAdminAck({ ok: false, error: 'NOT_ENOUGH_READY', message: t(room.language, 'start.notEnoughReady', { min: room.minPlayers }) });
       }
 
       // Allow admin to start next round if currently in reveal (fast-forward)
@@ -717,14 +2343,14 @@ function registerHandlers(nsp, socket) {
         room.tutorialClosedSet = new Set();
         try { if (room._tutorialAutoStartTimer) { clearTimeout(room._tutorialAutoStartTimer); room._tutorialAutoStartTimer = null; } } catch(e){}
         // reply ack to admin; actual start occurs when all clients have closed the tutorial or auto-start triggers
-        return sendAdminAck({ ok: true, message: 'Waiting for clients to close tutorial...' });
+        return sendAdminAck({ ok: true, message: t(room.language, 'start.waitingForTutorial') });
       }
 
       // If tutorial is enabled and hasn't been shown, and this is the very first round, emit TUTORIAL and mark shown
       if (room.tutorialEnabled && !room.tutorialShown && room.roundIndex === 0) {
         console.log(`[ADMIN_START] emitting full TUTORIAL for first-round in room=${roomCode} (waiting for admin start)`);
         // send a flag so clients open the full tutorial modal (not the quick notice)
-          nsp.to(roomCode).emit('TUTORIAL', { full: true, message: 'Tutorial: bitte lesen. Admin muss erneut Start drücken.' , delay: room.tutorialDelay || 1500 });
+          nsp.to(roomCode).emit('TUTORIAL', { full: true, message: t(room.language, 'tutorial.full'), language: room.language, delay: room.tutorialDelay || 1500 });
           room.tutorialShown = true;
           // reset tutorial-closed tracking and indicate we're waiting for clients to close tutorial
           room.tutorialClosedSet = new Set();
@@ -745,30 +2371,14 @@ function registerHandlers(nsp, socket) {
                 room.waitingForAdminAfterTutorial = false;
                 room.pendingStartAfterTutorial = false;
                 // pick preview and start immediately (emit preview + countdown for clients)
-                const cats2 = Object.keys(ITEMS).filter((k) => Array.isArray(ITEMS[k]) && ITEMS[k].length > 0);
-                const chosenCat2 = randomPick(cats2);
-                const chosenBase2 = randomPick(ITEMS[chosenCat2]);
-                const chosenK2 = randomPick([0.5, 2, 3, 4, 5, 10]);
-                const preview2 = { category: chosenCat2, base: chosenBase2, k: chosenK2 };
-                try {
-                  const ex2 = (() => { try { const f = formatFromSI(chosenBase2, chosenBase2.trueValue * chosenK2); return `${f.value} ${f.unit || ''}`.trim(); } catch (e) { return ''; } })();
-                  nsp.to(room.code).emit('PRE_ROUND_CATEGORY', { category: chosenCat2, k: chosenK2, refPrompt: chosenBase2.prompt, refExample: ex2 });
-                } catch (e) {}
-                try { nsp.to(room.code).emit('PRE_ROUND_COUNTDOWN', { start: 3 }); } catch (e) {}
-                setTimeout(() => {
-                  try {
-                    startRound(nsp, room, preview2);
-                    room.canStart = false;
-                    try { nsp.to(room.code).emit('LOBBY_UPDATE', lobbyPayload(room)); } catch (e) {}
-                  } catch (e) { console.error('AUTO_START startRound failed', e); }
-                }, 3000);
+                startRoundWithPreview(nsp, room, buildPreview(room), 'AUTO_START');
               }
             } catch (e) { console.error('AUTO_START failed', e); }
             room._tutorialAutoStartTimer = null;
           }, Math.max(1000, to));
         } catch (e) {}
         // do not auto-start here; admin can also start earlier by pressing Start
-      } else {
+      } else if (!openCategoryDraft(nsp, room)) {
         // start immediately
         startRound(nsp, room);
       }
@@ -782,13 +2392,14 @@ function registerHandlers(nsp, socket) {
     }
   });
 
-  socket.on('ADMIN_TOGGLE_TUTORIAL', ({ roomCode, enabled } = {}, ack) => {
+  socket.on('ADMIN_TOGGLE_TUTORIAL', ({ roomCode, enabled, hostToken } = {}, ack) => {
     try {
       const room = ensureRoom(roomCode);
       if (!room) return ack && ack({ ok: false, error: 'NO_ROOM' });
-      if (!room.admins.has(socket.id)) return ack && ack({ ok: false, error: 'NOT_ADMIN' });
+      if (!authorizeAdmin(room, socket, hostToken)) return ack && ack({ ok: false, error: 'NOT_ADMIN' });
       room.tutorialEnabled = !!enabled;
       room.tutorialShown = false;
+      persistRoom(room);
       nsp.to(roomCode).emit('LOBBY_UPDATE', lobbyPayload(room));
       ack && ack({ ok: true });
       console.log(`[ADMIN_TOGGLE_TUTORIAL] room=${roomCode} enabled=${room.tutorialEnabled}`);
@@ -797,53 +2408,91 @@ function registerHandlers(nsp, socket) {
     }
   });
 
-  socket.on('NEW_GAME', ({ roomCode } = {}) => {
+  socket.on('NEW_GAME', ({ roomCode, hostToken } = {}) => {
     try {
       const room = ensureRoom(roomCode);
       if (!room) return;
       // only admin may trigger NEW_GAME to reset server-side state
-      if (!room.admins.has(socket.id)) return;
+      if (!authorizeAdmin(room, socket, hostToken)) return;
       console.log(`[NEW_GAME] admin ${socket.id} resetting game in room=${roomCode}`);
       room.state = 'lobby';
       room.roundIndex = 0;
       room.symbols = {};
+      room.points = {};
       room.readyPlayers.clear();
       room.tutorialShown = false;
       room.waitingForAdminAfterTutorial = false;
       room.lastRoundPayload = null;
       room.lastRevealPayload = null;
+      room.categoryHistory = [];
+      room.lastRoundWinner = null;
+      if (!room.avoidRepeatsAcrossGames) resetSchedule(room.schedule);
+      seedGame(room);
+      room.gameRecord = null; // unfinished games are not archived
+      // jokers are single-use per game
+      resetMultipliers(nsp, room);
+      clearCategoryDraft(room);
+      clearRoundTimer(room);
       try { if (room._tutorialAutoStartTimer) { clearTimeout(room._tutorialAutoStartTimer); room._tutorialAutoStartTimer = null; } } catch(e){}
+      persistRoom(room);
       nsp.to(room.code).emit('GAME_RESET');
       try { nsp.to(room.code).emit('LOBBY_UPDATE', lobbyPayload(room)); } catch(e){}
     } catch (e) { console.error('NEW_GAME failed', e); }
   });
 
   // Admin can update game settings
-  socket.on('UPDATE_SETTINGS', ({ roomCode, settings } = {}, ack) => {
+  socket.on('UPDATE_SETTINGS', ({ roomCode, settings, hostToken } = {}, ack) => {
     try {
       const room = ensureRoom(roomCode);
       if (!room) return ack && ack({ ok: false, error: 'NO_ROOM' });
-      if (!room.admins.has(socket.id)) return ack && ack({ ok: false, error: 'NOT_ADMIN' });
+      if (!authorizeAdmin(room, socket, hostToken)) return ack && ack({ ok: false, error: 'NOT_ADMIN' });
+
+      // nothing is applied unless every field is valid
+      const checked = validateSettings(room, settings || {});
+      if (!checked.ok) return ack && ack(checked);
+      const { values } = checked;
+      const languageChanged = values.language !== undefined && values.language !== room.language;
+      Object.assign(room, values);
+
+      // a new seed applies right away before the first round, otherwise from the next NEW_GAME
+      if (values.seed !== undefined && room.state === 'lobby' && room.roundIndex === 0) seedGame(room);
+
+      // leaving team mode dissolves the teams: everybody competes on their own again
+      if (!isTeamMode(room) && room.groups.size) {
+        room.groups.clear();
+        for (const p of room.teams.values()) p.teamId = p.id;
+      }
 
-      // Merge allowed settings only
-  const allowed = ['rounds','timer','jokersEnabled','teamMode','winCondition','teamSize'];
-      for (const k of Object.keys(settings || {})) {
-        if (allowed.includes(k) || k === 'tutorialDelay' || k === 'tutorialAutoStartTimeout') {
-          room[k] = settings[k];
+      if (values.multiplierSet !== undefined) resetMultipliers(nsp, room);
+
+      if (languageChanged) {
+        // joker labels follow the room language (teams share one list per group)
+        for (const g of room.groups.values()) localizeMultipliers(g.multipliers, room.language);
+        for (const p of room.playersByTeamId.values()) localizeMultipliers(p.multipliers, room.language);
+        for (const p of room.teams.values()) {
+          localizeMultipliers(p.multipliers, room.language);
+          if (p.socketId && room.state !== 'lobby') {
+            try { nsp.to(p.socketId).emit('PLAYER_HAND', { hand: prepareHandForEmission(p.hand), multipliers: p.multipliers }); } catch (e) {}
+          }
         }
       }
 
       // If jokers disabled, mark all joker multipliers as used to prevent selection
       if (!room.jokersEnabled) {
+        for (const g of room.groups.values()) {
+          if (Array.isArray(g.multipliers)) g.multipliers = g.multipliers.map(m => ({ ...m, used: m.type === 'joker' ? true : (m.used || false) }));
+        }
         for (const p of room.teams.values()) {
             if (Array.isArray(p.multipliers)) {
-            p.multipliers = p.multipliers.map(m => ({ ...m, used: m.type === 'joker' ? true : (m.used || false) }));
+            const group = isTeamMode(room) ? room.groups.get(p.teamId) : null;
+            p.multipliers = group ? group.multipliers : p.multipliers.map(m => ({ ...m, used: m.type === 'joker' ? true : (m.used || false) }));
             // push updated multipliers to player
             try { nsp.to(p.socketId).emit('PLAYER_HAND', { hand: prepareHandForEmission(p.hand), multipliers: p.multipliers }); } catch(e){}
           }
         }
       }
 
+      persistRoom(room);
       // broadcast settings
       nsp.to(room.code).emit('SETTINGS_UPDATED', {
         rounds: room.rounds,
@@ -851,7 +2500,16 @@ function registerHandlers(nsp, socket) {
         jokersEnabled: !!room.jokersEnabled,
         teamMode: room.teamMode,
         winCondition: room.winCondition,
+        difficulty: room.difficulty,
+        categories: room.categories,
+        maxCategoryStreak: room.maxCategoryStreak,
+        categoryDraft: !!room.categoryDraft,
+        avoidRepeatsAcrossGames: !!room.avoidRepeatsAcrossGames,
+        seeded: room.seed != null && room.seed !== '',
+        multiplierSet: room.multiplierSet,
+        allowCombos: !!room.allowCombos,
         teamSize: room.teamSize,
+        language: room.language,
       });
       nsp.to(room.code).emit('LOBBY_UPDATE', lobbyPayload(room));
       ack && ack({ ok: true });
@@ -862,133 +2520,22 @@ function registerHandlers(nsp, socket) {
     }
   });
 
-  socket.on('SUBMIT', ({ roomCode, teamId, cardId, multiplierId, value } = {}, ack) => {
+  socket.on('SUBMIT', ({ roomCode, cardId, secondCardId, operator, multiplierId, jokerId, value } = {}, ack) => {
     const room = ensureRoom(roomCode);
     if (!room) return ack && ack({ ok: false, error: 'NO_ROOM' });
-
-  // Use provided numeric value or compute from card/mult
-  let numeric = (typeof value === 'number' && isFinite(value)) ? value : NaN;
-  // guessUnit can be provided by client to indicate unit of numeric guess
-  const guessUnit = (typeof value === 'object' && value !== null && value.unit) ? value.unit : undefined;
-
-    let card = null;
-    let mult = null;
-    let derivedFromCard = false;
-
-    const player = room.playersByTeamId.get(teamId);
-    if (!isFinite(numeric)) {
-      card = player?.hand?.find(c => c.id === cardId) || null;
-      mult = player?.multipliers?.find(m => m.id === multiplierId) || null;
-      const factor = mult?.factor ?? 1;
-      if (card && isFinite(card.trueValue) && isFinite(factor)) {
-        numeric = card.trueValue * factor;
-        derivedFromCard = true;
-      }
-    } else {
-      // numeric provided: still try to fill card/mult for UI if IDs exist
-      card = player?.hand?.find(c => c.id === cardId) || null;
-      mult = player?.multipliers?.find(m => m.id === multiplierId) || null;
-      derivedFromCard = false;
-    }
-
-    // If a joker was selected, ensure player hasn't exceeded joker usage limit (2 per player per game)
-    try {
-      if (mult && mult.type === 'joker') {
-        const playerObj = room.playersByTeamId.get(teamId);
-        const usedCount = (playerObj && Array.isArray(playerObj.multipliers)) ? playerObj.multipliers.filter(m => m.type === 'joker' && m.used).length : 0;
-        if (usedCount >= 2) {
-          ack && ack({ ok: false, error: 'JOKER_LIMIT', message: 'Joker-Limit erreicht (2 pro Spiel)'});
-          return;
-        }
-      }
-    } catch (e) {}
-
-    if (!isFinite(numeric)) {
-      ack && ack({ ok: false, error: 'BAD_SUBMISSION' });
-      return;
-    }
-
-    // Normalize submission into SI units for scoring. If client provided a unit with numeric guess, use it.
-    let siValue = numeric;
-    try {
-      if (derivedFromCard) {
-        siValue = Number(numeric);
-      } else if (typeof value === 'object' && value !== null && value.amount != null && value.unit) {
-        // structured guess { amount: number, unit: 'km' }
-        siValue = toSI(card || {}, Number(value.amount), value.unit);
-      } else if (guessUnit) {
-        siValue = toSI(card || {}, Number(numeric), guessUnit);
-      } else if (card && card.display_unit) {
-        // assume numeric is in the card's display unit
-        siValue = toSI(card, Number(numeric), card.display_unit);
-      } else if (card && card.unit) {
-        siValue = toSI(card, Number(numeric), card.unit);
-      } else {
-        // fallback: treat numeric as already SI
-        siValue = Number(numeric);
-      }
-    } catch (e) { siValue = Number(numeric); }
-
-    // If card is missing (e.g. player submitted a raw numeric value without selecting a card)
-    // create a small display-only card object so the frontend can always show a card-like entry.
-    if (!card) {
-      try {
-        const displayUnit = guessUnit || (card && (card.display_unit || card.unit)) || '';
-        card = {
-          id: `manual_${teamId}`,
-          Prompt: 'Freie Eingabe',
-          prompt: 'Freie Eingabe',
-          promptEmoji: '',
-          // baseValue is the numeric value provided by the player (in the unit they submitted or SI fallback)
-          baseValue: Number.isFinite(numeric) ? numeric : null,
-          display_unit: displayUnit,
-          unit: displayUnit,
-          trueValue: Number.isFinite(numeric) ? Number(numeric) : undefined,
-        };
-      } catch (e) { /* ignore */ }
-    }
-
-    room.submitted.set(teamId, {
-      teamId,
-      value: numeric,
-      siValue,
-      socketId: socket.id,
-      card,
-      mult,
-    });
-
-    // If a joker/mega multiplier was used, mark it as used for that player so it can't be reused
-    try {
-      if (mult && mult.type === 'joker') {
-        const playerObj = room.playersByTeamId.get(teamId);
-        if (playerObj && Array.isArray(playerObj.multipliers)) {
-          const idx = playerObj.multipliers.findIndex(m => m.id === mult.id);
-            if (idx !== -1) {
-            playerObj.multipliers[idx].used = true;
-            // update player's multipliers for future PLAYER_HAND emissions
-            try {
-              if (playerObj.socketId) {
-                nsp.to(playerObj.socketId).emit('PLAYER_HAND', { hand: prepareHandForEmission(playerObj.hand), multipliers: playerObj.multipliers });
-              }
-            } catch (e) {}
-          }
-        }
-      }
-    } catch (e) {}
-
-    // Fortschritt an alle
-    nsp.to(room.code).emit('SUBMISSION_UPDATE', {
-      submitted: room.submitted.size,
-      total: room.teams.size,
-    });
-
-    ack && ack({ ok: true });
-
-    if (room.submitted.size === room.teams.size && room.state === 'playing') {
-      setTimeout(() => {
-        if (room.state === 'playing') autoReveal(nsp, room);
-      }, 500);
+    // the competitor comes from the socket, never from the payload
+    const me = room.teams.get(socket.id);
+    if (!me) return ack && ack({ ok: false, error: 'NOT_IN_ROOM' });
+    let competitorId = me.id;
+    if (isTeamMode(room)) {
+      // only the captain submits directly; other members go through TEAM_PROPOSE / TEAM_VOTE
+      const group = room.groups.get(me.teamId);
+      if (!group) return ack && ack({ ok: false, error: 'NO_TEAM' });
+      if (group.captainId !== me.id) return ack && ack({ ok: false, error: 'NOT_CAPTAIN' });
+      competitorId = group.id;
     }
+    const result = applySubmission(nsp, room, competitorId, { cardId, secondCardId, operator, multiplierId, jokerId, value }, socket.id);
+    ack && ack(result);
   });
 
   socket.on('disconnect', () => {
@@ -996,13 +2543,21 @@ function registerHandlers(nsp, socket) {
       if (room.teams.has(socket.id)) {
         const p = room.teams.get(socket.id);
         room.teams.delete(socket.id);
-        room.playersByTeamId.delete(p.id);
+        // keep the player (hand, jokers, submission, team slot) as away until the grace period ends
+        markAway(nsp, room, p);
         room.readyPlayers.delete(socket.id);
         room.admins.delete(socket.id);
         try { if (room.tutorialClosedSet && room.tutorialClosedSet.has(socket.id)) room.tutorialClosedSet.delete(socket.id); } catch(e){}
-        console.log(`[disconnect] socket=${socket.id} removed from room=${room.code} remainingTeams=${room.teams.size}`);
+        console.log(`[disconnect] socket=${socket.id} player=${p.id} away in room=${room.code} remainingTeams=${room.teams.size}`);
+        persistRoom(room);
+        // hostIds keeps the rights for a reconnect on the same session; promote someone else if no host returns in time
+        checkHostPresence(nsp, room);
         try {
           nsp.to(room.code).emit('LOBBY_UPDATE', lobbyPayload(room));
+          if (room.state === 'playing') {
+            nsp.to(room.code).emit('SUBMISSION_UPDATE', submissionProgress(room));
+            revealIfComplete(nsp, room);
+          }
         } catch {}
         // If the room is now empty and a round is playing, schedule an abort after 5 minutes
         try {
@@ -1015,12 +2570,14 @@ function registerHandlers(nsp, socket) {
                 if ((room.teams.size === 0) && room.state === 'playing') {
                   console.log(`[empty-abort] aborting round for room=${room.code} after 5min idle`);
                   room.state = 'lobby';
+                  clearRoundTimer(room);
                   room.submitted = new Map();
                   room.readyPlayers.clear();
                   room.currentReferenceCard = null;
                   room.targetExpression = null;
                   room.lastRoundPayload = null;
                   room.lastRevealPayload = null;
+                  persistRoom(room);
                   // notify any watchers
                   try { nsp.to(room.code).emit('ROUND_END'); } catch(e){}
                   try { nsp.to(room.code).emit('LOBBY_UPDATE', lobbyPayload(room)); } catch(e){}
@@ -1038,9 +2595,68 @@ function registerHandlers(nsp, socket) {
 /* -------------------- Namespace /game -------------------- */
 const gameNs = io.of('/game');
 gameNs.on('connection', (s) => registerHandlers(gameNs, s));
+restoreRooms(gameNs);
 
 /* -------------------- Admin/Debug Routes -------------------- */
-app.get('/admin/rooms', (req, res) => {
+// Admin: card deck management. Edits are written back to the deck CSV and swapped into ITEMS immediately.
+function sendDeckResult(res, result, okStatus = 200) {
+  if (result.ok) {
+    const reload = reloadDeck('admin edit');
+    // the edit is on disk but the deck no longer validates; keep serving the previous one
+    if (!reload.ok) return res.status(okStatus).json({ ...result, warning: `Deck reload failed: ${reload.message}` });
+    return res.status(okStatus).json(result);
+  }
+  const status = result.error === 'NO_CARD' ? 404 : (result.error === 'DUPLICATE_ID' ? 409 : 400);
+  return res.status(status).json(result);
+}
+
+app.get('/admin/cards', requireAdminToken, (req, res) => {
+  try {
+    const cards = listCards(deckFile(), { category: req.query.category, q: req.query.q, includeDisabled: req.query.includeDisabled !== 'false' });
+    res.json({ ok: true, count: cards.length, cards });
+  } catch (e) { res.status(500).json({ ok: false, error: String(e) }); }
+});
+
+app.post('/admin/cards', requireAdminToken, (req, res) => {
+  try {
+    sendDeckResult(res, createCard(deckFile(), req.body || {}), 201);
+  } catch (e) { res.status(500).json({ ok: false, error: String(e) }); }
+});
+
+// Card analytics: outliers first (?category=&minSamples=5&limit=50)
+app.get('/admin/cards/stats', requireAdminToken, (req, res) => {
+  try {
+    const ranked = rankOutliers(cardStats.all(), { category: req.query.category || null, minSamples: Number(req.query.minSamples) || 5, limit: req.query.limit });
+    res.json({ ok: true, ...ranked });
+  } catch (e) { res.status(500).json({ ok: false, error: String(e) }); }
+});
+
+// forget a card's stats, e.g. after its value was fixed
+app.delete('/admin/cards/:id/stats', requireAdminToken, (req, res) => {
+  if (!cardStats.reset(req.params.id)) return res.status(404).json({ ok: false, error: 'NO_STATS' });
+  res.json({ ok: true });
+});
+
+app.put('/admin/cards/:id', requireAdminToken, (req, res) => {
+  try {
+    sendDeckResult(res, updateCard(deckFile(), req.params.id, req.body || {}));
+  } catch (e) { res.status(500).json({ ok: false, error: String(e) }); }
+});
+
+app.post('/admin/cards/:id/disable', requireAdminToken, (req, res) => {
+  try {
+    const disabled = !(req.body && req.body.disabled === false);
+    sendDeckResult(res, setCardDisabled(deckFile(), req.params.id, disabled));
+  } catch (e) { res.status(500).json({ ok: false, error: String(e) }); }
+});
+
+app.delete('/admin/cards/:id', requireAdminToken, (req, res) => {
+  try {
+    sendDeckResult(res, deleteCard(deckFile(), req.params.id));
+  } catch (e) { res.status(500).json({ ok: false, error: String(e) }); }
+});
+
+app.get('/admin/rooms', requireAdminToken, (req, res) => {
   const roomsData = Array.from(rooms.entries()).map(([code, room]) => ({
     code,
     state: room.state,
@@ -1050,7 +2666,40 @@ app.get('/admin/rooms', (req, res) => {
   res.json(roomsData);
 });
 
-app.get('/debug/rooms', (req, res) => {
+/* -------------------- Game History API -------------------- */
+// Finished games as JSON, or CSV (one row per submission) with ?format=csv
+const wantsCsv = (req) => String(req.query.format || '').toLowerCase() === 'csv';
+
+function sendGamesCsv(res, games, name) {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  // the name comes from the URL: keep the header to a safe file name
+  const file = String(name || 'games').replace(/[^A-Za-z0-9_-]/g, '') || 'games';
+  res.set('Content-Disposition', `attachment; filename="${file}.csv"`);
+  res.send(gamesToCsv(games));
+}
+
+app.get('/games/:id', (req, res) => {
+  const game = gameStore.getGame(req.params.id);
+  if (!game) return res.status(404).json({ ok: false, error: 'NO_GAME' });
+  if (wantsCsv(req)) return sendGamesCsv(res, [game], game.id);
+  res.json({ ok: true, game });
+});
+
+app.get('/rooms/:code/history', (req, res) => {
+  const games = gameStore.listGames({ roomCode: req.params.code, limit: req.query.limit });
+  if (wantsCsv(req)) return sendGamesCsv(res, games, `history-${req.params.code}`);
+  const full = String(req.query.full || '') === '1';
+  res.json({ ok: true, room: req.params.code, games: full ? games : games.map(summarizeGame) });
+});
+
+// ?period=all|month&month=YYYY-MM&room=CODE&sort=wins|points|symbols|accuracy|games&limit=20
+app.get('/leaderboard', (req, res) => {
+  try {
+    res.json({ ok: true, ...buildLeaderboard(profiles.all(), { period: req.query.period, month: req.query.month, roomCode: req.query.room, sort: req.query.sort, limit: req.query.limit }) });
+  } catch (e) { res.status(500).json({ ok: false, error: String(e) }); }
+});
+
+app.get('/debug/rooms', guardDebugRoute, (req, res) => {
   try {
     const data = Array.from(rooms.entries()).map(([code, room]) => ({
       code,
@@ -1068,7 +2717,7 @@ app.get('/debug/rooms', (req, res) => {
   }
 });
 
-app.get('/debug/room/:code', (req, res) => {
+app.get('/debug/room/:code', guardDebugRoute, (req, res) => {
   try {
     const code = String(req.params.code || '').toUpperCase();
     if (!rooms.has(code)) return res.status(404).json({ ok: false, error: 'NO_ROOM' });
@@ -1091,7 +2740,7 @@ app.get('/debug/room/:code', (req, res) => {
 });
 
 // Admin: abort a running round immediately
-app.post('/admin/room/:code/abort', (req, res) => {
+app.post('/admin/room/:code/abort', requireAdminToken, (req, res) => {
   try {
     const code = String(req.params.code || '').toUpperCase();
     if (!rooms.has(code)) return res.status(404).json({ ok: false, error: 'NO_ROOM' });
@@ -1105,8 +2754,10 @@ app.post('/admin/room/:code/abort', (req, res) => {
     room.lastRoundPayload = null;
     room.lastRevealPayload = null;
     room.readyPlayers.clear();
+    clearRoundTimer(room);
     try { if (room._emptyTimer) { clearTimeout(room._emptyTimer); room._emptyTimer = null; } } catch(e){}
     try { if (room._tutorialAutoStartTimer) { clearTimeout(room._tutorialAutoStartTimer); room._tutorialAutoStartTimer = null; } } catch(e){}
+    persistRoom(room);
     try { io.of('/game').to(room.code).emit('ROUND_END'); } catch(e){}
     try { io.of('/game').to(room.code).emit('LOBBY_UPDATE', lobbyPayload(room)); } catch(e){}
     return res.json({ ok: true, message: 'aborted' });
@@ -1116,8 +2767,68 @@ app.post('/admin/room/:code/abort', (req, res) => {
   }
 });
 
+// Admin: rotate a room's host PIN and mint a host token (e.g. to hand to the evening's host)
+app.post('/admin/room/:code/host', requireAdminToken, (req, res) => {
+  try {
+    const code = String(req.params.code || '').toUpperCase();
+    const room = ensureRoom(code);
+    room.hostPin = (req.body && /^\d{4,8}$/.test(String(req.body.pin || ''))) ? String(req.body.pin) : generateHostPin();
+    persistRoom(room);
+    res.json({ ok: true, room: code, hostPin: room.hostPin, hostToken: signHostToken(code) });
+  } catch (e) { res.status(500).json({ ok: false, error: String(e) }); }
+});
+
+// Admin: attach a custom deck to a room. Body is CSV text (Content-Type text/csv) in the consolidated
+// column format, or JSON { name, cards: [...] | csv: '...', mixDefault }. Rows are validated like the
+// default deck; skipped rows are reported with line and reason.
+app.post('/admin/room/:code/deck', requireAdminToken, express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), (req, res) => {
+  try {
+    const code = String(req.params.code || '').toUpperCase();
+    const body = req.body;
+    const isText = typeof body === 'string';
+    const input = isText ? body : (Array.isArray(body?.cards) ? body.cards : body?.csv);
+    if (input == null) return res.status(400).json({ ok: false, error: 'MISSING_DECK', message: 'send text/csv or JSON with cards[] or csv' });
+    const { items, skipped, total } = parseDeckInput(input);
+    const counts = Object.fromEntries(Object.entries(items).map(([k, v]) => [k, v.length]));
+    const accepted = Object.values(counts).reduce((a, b) => a + b, 0);
+    if (!accepted) return res.status(400).json({ ok: false, error: 'EMPTY_DECK', total, skipped });
+    const room = ensureRoom(code);
+    const mixRaw = isText ? req.query.mixDefault : (body.mixDefault ?? req.query.mixDefault);
+    room.customDeck = {
+      name: String((isText ? req.query.name : body.name) || 'Custom deck'),
+      items,
+      counts,
+      mixDefault: mixRaw === true || mixRaw === 'true' || mixRaw === '1',
+      uploadedAt: Date.now(),
+    };
+    persistRoom(room);
+    console.log(`[ADMIN/DECK] room=${code} custom deck "${room.customDeck.name}" accepted=${accepted} skipped=${skipped.length}`);
+    try { io.of('/game').to(room.code).emit('LOBBY_UPDATE', lobbyPayload(room)); } catch (e) {}
+    res.json({ ok: true, deck: customDeckInfo(room), total, accepted, skipped });
+  } catch (e) {
+    console.error('ADMIN/DECK failed', e);
+    res.status(500).json({ ok: false, error: String(e) });
+  }
+});
+
+app.get('/admin/room/:code/deck', requireAdminToken, (req, res) => {
+  const code = String(req.params.code || '').toUpperCase();
+  if (!rooms.has(code)) return res.status(404).json({ ok: false, error: 'NO_ROOM' });
+  res.json({ ok: true, deck: customDeckInfo(rooms.get(code)) });
+});
+
+app.delete('/admin/room/:code/deck', requireAdminToken, (req, res) => {
+  const code = String(req.params.code || '').toUpperCase();
+  if (!rooms.has(code)) return res.status(404).json({ ok: false, error: 'NO_ROOM' });
+  const room = rooms.get(code);
+  room.customDeck = null;
+  persistRoom(room);
+  try { io.of('/game').to(room.code).emit('LOBBY_UPDATE', lobbyPayload(room)); } catch (e) {}
+  res.json({ ok: true });
+});
+
 // Debug: return prepared hand for a given room and teamId (teamId is the persistent player id)
-app.get('/debug/hand/:room/:teamId', (req, res) => {
+app.get('/debug/hand/:room/:teamId', guardDebugRoute, (req, res) => {
   try {
     const roomCode = String(req.params.room || '').toUpperCase();
     const teamId = String(req.params.teamId || '');
@@ -1130,7 +2841,7 @@ app.get('/debug/hand/:room/:teamId', (req, res) => {
 });
 
 // Debug: list loaded items counts and sample entries
-app.get('/debug/items', (req, res) => {
+app.get('/debug/items', guardDebugRoute, (req, res) => {
   try {
     const counts = {};
     const samples = {};
@@ -1142,6 +2853,48 @@ app.get('/debug/items', (req, res) => {
   } catch (e) { res.status(500).json({ ok: false, error: String(e) }); }
 });
 
+// Loaded deck: file, checksum, row counts, skipped rows with reasons and the manifest's sources
+const ROOT_DIR = path.join(__dirname, '..');
+const relFile = (f) => (f ? path.relative(ROOT_DIR, f) : null);
+const activeDeck = (info) => ({
+  name: info.name,
+  file: relFile(info.file),
+  checksum: info.checksum,
+  loadedAt: info.loadedAt,
+  rows: info.rows,
+  loaded: info.loaded,
+  byCategory: info.byCategory,
+  skipped: info.skipped,
+  parseErrors: info.parseErrors,
+});
+app.get('/decks', (req, res) => {
+  try {
+    const info = DECK.info;
+    res.json({
+      ok: true,
+      active: activeDeck(info),
+      languages: info.languages,
+      watching: relFile(watchedDeckFile),
+      manifest: relFile(info.manifest),
+      strict: info.strict,
+      categoriesFile: relFile(info.categoriesFile),
+      categories: info.categories,
+      sources: info.sources.map(s => ({ ...s, file: relFile(s.file), priority: Number.isFinite(s.priority) ? s.priority : null })),
+      attempts: info.attempts.map(a => ({ ...a, file: relFile(a.file) })),
+    });
+  } catch (e) { res.status(500).json({ ok: false, error: String(e) }); }
+});
+
+// Re-read the deck now (same as a change of the watched file). 422 when the new deck doesn't validate;
+// the previous deck stays active in that case.
+app.post('/admin/decks/reload', requireAdminToken, (req, res) => {
+  try {
+    const result = reloadDeck('admin');
+    if (!result.ok) return res.status(422).json({ ...result, active: activeDeck(DECK.info) });
+    res.json({ ok: true, changed: result.changed, active: activeDeck(result.info) });
+  } catch (e) { res.status(500).json({ ok: false, error: String(e) }); }
+});
+
 // Basic health endpoint for readiness/liveness checks
 app.get('/health', (req, res) => {
   try {
@@ -1200,6 +2953,12 @@ startServerWithRetry(PORT);
 async function shutdown(reason) {
   try {
     console.log('Shutting down server...', reason || 'SIGTERM');
+    // write the final snapshot before sockets are closed (disconnect would drop the players)
+    try { roomStore.flush(); } catch (e) {}
+    try { cardStats.flush(); } catch (e) {}
+    try { profiles.flush(); } catch (e) {}
+    try { unwatchDeckFile(); } catch (e) {}
+    persistenceFrozen = true;
     // stop accepting new connections
     try { httpServer.close(); } catch (e) {}
     try { await io.close(); } catch (e) {}
@@ -1207,6 +2966,10 @@ async function shutdown(reason) {
     for (const room of rooms.values()) {
       try { if (room._emptyTimer) clearTimeout(room._emptyTimer); } catch (e) {}
       try { if (room._tutorialAutoStartTimer) clearTimeout(room._tutorialAutoStartTimer); } catch (e) {}
+      clearRoundTimer(room);
+      try { if (room._hostGraceTimer) clearTimeout(room._hostGraceTimer); } catch (e) {}
+      clearCategoryDraft(room);
+      for (const t of room._awayTimers.values()) clearTimeout(t);
     }
     console.log('Shutdown complete.');
     process.exit(0);
@@ -0,0 +1,94 @@
+// backend/src/multipliers.js
+// Multiplier sets: the standard factors every player always has, the jokers they get and how jokers
+// are limited. Rooms pick a preset ('classic', 'extended') or send a custom set via UPDATE_SETTINGS.
+//
+// Joker kinds:
+//   factor  – a big multiplier (×50 … ÷1000), replaces the standard multiplier
+//   combine – submit two hand cards, their values are added (SUBMIT { cardId, secondCardId, jokerId })
+//   peek    – reveals the reference card's base value to the player/team (USE_JOKER), not submitted
+//   double  – the round's symbol counts twice (points mode: round points ×2) if the submission wins;
+//             only for answers built from hand cards, not for free-text guesses
+
+import { t, DEFAULT_LANGUAGE } from './i18n.js';
+
+const LEGACY_IDS = { 0.5: 'm05' };
+
+const isReciprocal = (f) => f < 1 && Number.isInteger(Math.round(1 / f * 1e9) / 1e9);
+
+function factorLabel(f) {
+  return isReciprocal(f) && f !== 0.5 ? `÷${Math.round(1 / f)}` : `×${f}`;
+}
+
+function standardMultiplier(f) {
+  const id = LEGACY_IDS[f] || (isReciprocal(f) && f !== 0.5 ? `d${Math.round(1 / f)}` : `m${String(f).replace('.', '_')}`);
+  return { id, label: factorLabel(f), factor: f, type: 'standard', kind: 'factor' };
+}
+
+function factorJoker(f) {
+  const id = f >= 1 ? `j${f}_mul` : `j${Math.round(1 / f)}_div`;
+  return { id, label: factorLabel(f), factor: f, type: 'joker', kind: 'factor', used: false };
+}
+
+// labels come from the room language's catalog (joker.label.<kind>, see i18n.js)
+const ACTION_JOKERS = {
+  combine: { id: 'j_combine', factor: 1, type: 'joker', kind: 'combine' },
+  peek: { id: 'j_peek', factor: 1, type: 'joker', kind: 'peek' },
+  double: { id: 'j_double', factor: 1, type: 'joker', kind: 'double' },
+};
+export const JOKER_KINDS = ['factor', ...Object.keys(ACTION_JOKERS)];
+
+const CLASSIC = {
+  standard: [0.5, 2, 5, 10, 1 / 5, 1 / 10],
+  jokers: [50, 1 / 50, 100, 1 / 100, 1000, 1 / 1000],
+  jokerLimit: 2,
+  jokerRefill: 'game',
+};
+
+export const MULTIPLIER_PRESETS = {
+  classic: CLASSIC,
+  extended: { ...CLASSIC, jokers: [50, 1 / 50, 100, 1 / 100, 'combine', 'peek', 'double'] },
+};
+
+export const DEFAULT_MULTIPLIER_SET = MULTIPLIER_PRESETS.classic;
+
+// Validate a preset name or { standard: [factors], jokers: [factor | 'combine' | 'peek' | 'double'],
+// jokerLimit, jokerRefill: 'game' | 'round' }. Missing fields fall back to the classic set.
+export function normalizeMultiplierSet(input) {
+  if (input == null) return { ok: true, value: { ...DEFAULT_MULTIPLIER_SET, preset: 'classic' } };
+  if (typeof input === 'string') {
+    const preset = MULTIPLIER_PRESETS[input];
+    return preset ? { ok: true, value: { ...preset, preset: input } } : { ok: false, message: `unknown preset "${input}"` };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) return { ok: false, message: 'multiplierSet must be a preset name or an object' };
+  const base = MULTIPLIER_PRESETS[input.preset] || DEFAULT_MULTIPLIER_SET;
+  const standard = input.standard !== undefined ? input.standard : base.standard;
+  const jokers = input.jokers !== undefined ? input.jokers : base.jokers;
+  if (!Array.isArray(standard) || !standard.length || standard.length > 12) return { ok: false, message: 'standard must list 1-12 factors' };
+  if (standard.some(f => typeof f !== 'number' || !(f > 0) || !isFinite(f))) return { ok: false, message: 'standard factors must be positive numbers' };
+  if (!Array.isArray(jokers) || jokers.length > 12) return { ok: false, message: 'jokers must list at most 12 entries' };
+  for (const j of jokers) {
+    if (typeof j === 'number' ? !(j > 0 && isFinite(j)) : !ACTION_JOKERS[j]) return { ok: false, message: `invalid joker "${j}"` };
+  }
+  const jokerLimit = input.jokerLimit !== undefined ? Number(input.jokerLimit) : base.jokerLimit;
+  if (!Number.isInteger(jokerLimit) || jokerLimit < 0 || jokerLimit > 12) return { ok: false, message: 'jokerLimit must be an integer between 0 and 12' };
+  const jokerRefill = input.jokerRefill !== undefined ? input.jokerRefill : base.jokerRefill;
+  if (!['game', 'round'].includes(jokerRefill)) return { ok: false, message: "jokerRefill must be 'game' or 'round'" };
+  return { ok: true, value: { standard: [...new Set(standard)], jokers: [...new Set(jokers)], jokerLimit, jokerRefill, preset: 'custom' } };
+}
+
+// Fresh multiplier list for a player or team (standards first, then jokers), labelled in `lang`
+export function buildMultipliers(set = DEFAULT_MULTIPLIER_SET, lang = DEFAULT_LANGUAGE) {
+  return [
+    ...set.standard.map(standardMultiplier),
+    ...set.jokers.map(j => (typeof j === 'number' ? factorJoker(j) : { ...ACTION_JOKERS[j], label: t(lang, `joker.label.${j}`), used: false })),
+  ];
+}
+
+// Relabel the action jokers of an existing list in place (room language changed); returns the list
+export function localizeMultipliers(list, lang) {
+  for (const m of list || []) if (ACTION_JOKERS[m.kind]) m.label = t(lang, `joker.label.${m.kind}`);
+  return list;
+}
+
+export const isJoker = (m) => !!m && m.type === 'joker';
+export const jokerKind = (m) => (isJoker(m) ? (m.kind || 'factor') : null);
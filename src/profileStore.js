@@ -0,0 +1,142 @@
+// backend/src/profileStore.js
+// Persistent player profiles keyed by playerId: one compact entry per finished game, aggregated into totals
+// and leaderboards. playerIds double as reconnect credentials, so everything public uses `publicId` instead.
+// PROFILE_STORE=json|memory (default ROOM_STORE); PROFILE_STORE_FILE (default data/runtime/profiles.json).
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DEFAULT_RUNTIME_DIR } from './roomStore.js';
+
+// per player; older games drop out of monthly boards but stay in the all-time totals
+const MAX_GAMES = 500;
+
+export const publicIdFor = (playerId) => crypto.createHash('sha256').update(`profile:${playerId}`).digest('hex').slice(0, 12);
+
+const emptyTotals = () => ({ games: 0, wins: 0, rounds: 0, roundWins: 0, answered: 0, logErrorSum: 0, jokersUsed: 0, points: 0, symbols: {} });
+
+function addGame(totals, g) {
+  totals.games++;
+  if (g.won) totals.wins++;
+  totals.rounds += g.rounds || 0;
+  totals.roundWins += g.roundWins || 0;
+  totals.answered += g.answered || 0;
+  totals.logErrorSum += g.logErrorSum || 0;
+  totals.jokersUsed += g.jokersUsed || 0;
+  totals.points += g.points || 0;
+  for (const [cat, n] of Object.entries(g.symbols || {})) totals.symbols[cat] = (totals.symbols[cat] || 0) + n;
+  return totals;
+}
+
+// public view of aggregated totals
+function summarize(totals) {
+  const symbolCount = Object.values(totals.symbols).reduce((a, b) => a + b, 0);
+  return {
+    games: totals.games,
+    wins: totals.wins,
+    winRate: totals.games ? totals.wins / totals.games : 0,
+    rounds: totals.rounds,
+    roundWins: totals.roundWins,
+    points: totals.points,
+    symbols: totals.symbols,
+    symbolCount,
+    // mean log10 distance of the player's answers to the target (0 = exact)
+    avgLogError: totals.answered ? totals.logErrorSum / totals.answered : null,
+    jokersUsed: totals.jokersUsed,
+  };
+}
+
+export function createProfileStore(kind = process.env.PROFILE_STORE || process.env.ROOM_STORE || 'json') {
+  const k = String(kind || '').toLowerCase();
+  const file = (k === 'memory' || k === 'none' || k === 'off') ? null : (process.env.PROFILE_STORE_FILE || path.join(DEFAULT_RUNTIME_DIR, 'profiles.json'));
+  let profiles = {};
+  let timer = null;
+
+  if (file) {
+    try {
+      if (fs.existsSync(file)) profiles = JSON.parse(fs.readFileSync(file, 'utf8')).profiles || {};
+    } catch (e) {
+      console.warn('[profiles] could not read profile file, starting empty:', e && e.message);
+    }
+  }
+
+  const writeNow = () => {
+    if (timer) { clearTimeout(timer); timer = null; }
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ profiles }), 'utf8');
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.error('[profiles] write failed:', e && e.message);
+    }
+  };
+  const scheduleWrite = () => {
+    if (!file || timer) return;
+    timer = setTimeout(writeNow, 1000);
+  };
+
+  return {
+    kind: file ? 'json' : 'memory',
+    // entries: [{ playerId, name, avatar, game: { gameId, roomCode, endedAt, won, rank, points, rounds, roundWins,
+    //   answered, logErrorSum, jokersUsed, symbols: { [category]: n } } }]
+    recordGame(entries = []) {
+      for (const { playerId, name, avatar, game } of entries) {
+        if (!playerId || !game) continue;
+        const p = profiles[playerId] || (profiles[playerId] = { playerId, publicId: publicIdFor(playerId), createdAt: Date.now(), totals: emptyTotals(), games: [] });
+        p.name = name || p.name;
+        p.avatar = avatar || p.avatar;
+        p.lastSeen = Date.now();
+        addGame(p.totals, game);
+        p.games.push(game);
+        if (p.games.length > MAX_GAMES) p.games.splice(0, p.games.length - MAX_GAMES);
+      }
+      scheduleWrite();
+    },
+    get: (playerId) => profiles[playerId] || null,
+    findByPublicId: (publicId) => Object.values(profiles).find(p => p.publicId === publicId) || null,
+    all: () => Object.values(profiles),
+    flush: writeNow,
+  };
+}
+
+// Profile as sent to clients (no playerId)
+export function publicProfile(p, { recent = 10 } = {}) {
+  if (!p) return null;
+  return {
+    publicId: p.publicId,
+    name: p.name,
+    avatar: p.avatar,
+    createdAt: p.createdAt,
+    lastSeen: p.lastSeen,
+    stats: summarize(p.totals),
+    recentGames: p.games.slice(-recent).reverse().map(g => ({ gameId: g.gameId, roomCode: g.roomCode, endedAt: g.endedAt, won: g.won, rank: g.rank, points: g.points })),
+  };
+}
+
+// Leaderboard over all profiles. period: 'all' | 'month' (month = 'YYYY-MM', default current); roomCode filters games.
+// All-time boards without a room filter use the running totals, everything else the per-game entries.
+export function buildLeaderboard(profiles = [], { period = 'all', month = null, roomCode = null, sort = 'wins', limit = 20 } = {}) {
+  const code = roomCode ? String(roomCode).toUpperCase() : null;
+  const monthKey = period === 'month' ? (month || new Date().toISOString().slice(0, 7)) : null;
+  const rows = [];
+  for (const p of profiles) {
+    let totals = p.totals;
+    if (code || monthKey) {
+      const games = p.games.filter(g => (!code || String(g.roomCode).toUpperCase() === code) &&
+        (!monthKey || new Date(g.endedAt).toISOString().slice(0, 7) === monthKey));
+      totals = games.reduce(addGame, emptyTotals());
+    }
+    if (!totals.games) continue;
+    rows.push({ publicId: p.publicId, name: p.name, avatar: p.avatar, ...summarize(totals) });
+  }
+  const by = {
+    wins: (a, b) => b.wins - a.wins || b.winRate - a.winRate || b.points - a.points,
+    points: (a, b) => b.points - a.points || b.wins - a.wins,
+    symbols: (a, b) => b.symbolCount - a.symbolCount || b.wins - a.wins,
+    accuracy: (a, b) => (a.avgLogError ?? Infinity) - (b.avgLogError ?? Infinity) || b.games - a.games,
+    games: (a, b) => b.games - a.games || b.wins - a.wins,
+  };
+  rows.sort(by[sort] || by.wins);
+  return { period: monthKey ? 'month' : 'all', month: monthKey, roomCode: code, sort: by[sort] ? sort : 'wins', players: rows.slice(0, Math.max(1, Number(limit) || 20)).map((r, i) => ({ rank: i + 1, ...r })) };
+}
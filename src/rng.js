@@ -0,0 +1,26 @@
+// backend/src/rng.js
+// Seeded PRNG for reproducible games: the same seed (and settings/players) yields the same categories,
+// reference cards, k factors and hands. State is a single uint32 so it can be persisted with the room.
+import crypto from 'crypto';
+
+// string -> uint32 (FNV-1a)
+export function hashSeed(seed) {
+  let h = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h >>> 0;
+}
+
+export const randomSeed = () => crypto.randomBytes(5).toString('hex');
+
+// mulberry32 over a mutable holder ({ state }), so the position survives restarts
+export function createRng(holder) {
+  return () => {
+    let t = (holder.state = (holder.state + 0x6D2B79F5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
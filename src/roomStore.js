@@ -0,0 +1,89 @@
+// backend/src/roomStore.js
+// Pluggable persistence for room/session snapshots so a restart doesn't wipe running games.
+// Every backend implements: load() -> { rooms, sessions }, saveRoom(code, snapshot), removeRoom(code),
+// saveSessions(obj) and flush(). Select with ROOM_STORE=json|memory (default: json).
+import fs from 'fs';
+import path from 'path';
+import url from 'url';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+export const DEFAULT_RUNTIME_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data', 'runtime');
+
+// snapshots older than this are ignored on boot (abandoned quiz nights)
+const MAX_AGE_MS = (Number(process.env.ROOM_STORE_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+export function createRoomStore(kind = process.env.ROOM_STORE || 'json') {
+  const k = String(kind || '').toLowerCase();
+  if (k === 'memory' || k === 'none' || k === 'off') return createMemoryStore();
+  return createJsonFileStore(process.env.ROOM_STORE_FILE || path.join(DEFAULT_RUNTIME_DIR, 'rooms.json'));
+}
+
+function createMemoryStore() {
+  return {
+    kind: 'memory',
+    load: () => ({ rooms: {}, sessions: {} }),
+    saveRoom: () => {},
+    removeRoom: () => {},
+    saveSessions: () => {},
+    flush: () => {},
+  };
+}
+
+// Whole-file JSON backend. Writes are coalesced (debounced) and done via tmp file + rename
+// so a crash mid-write never leaves a truncated snapshot behind.
+function createJsonFileStore(file, delayMs = 250) {
+  let state = { rooms: {}, sessions: {} };
+  let timer = null;
+
+  try {
+    if (fs.existsSync(file)) {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      state = { rooms: parsed.rooms || {}, sessions: parsed.sessions || {} };
+    }
+  } catch (e) {
+    console.warn('[roomStore] could not read snapshot file, starting empty:', e && e.message);
+  }
+
+  const writeNow = () => {
+    if (timer) { clearTimeout(timer); timer = null; }
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(state), 'utf8');
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.error('[roomStore] write failed:', e && e.message);
+    }
+  };
+  const scheduleWrite = () => {
+    if (timer) return;
+    timer = setTimeout(writeNow, delayMs);
+  };
+
+  return {
+    kind: 'json',
+    file,
+    load() {
+      const now = Date.now();
+      const rooms = {};
+      for (const [code, snap] of Object.entries(state.rooms)) {
+        if (snap && (now - (snap.savedAt || 0)) <= MAX_AGE_MS) rooms[code] = snap;
+      }
+      return { rooms, sessions: { ...state.sessions } };
+    },
+    saveRoom(code, snapshot) {
+      state.rooms[code] = { ...snapshot, savedAt: Date.now() };
+      scheduleWrite();
+    },
+    removeRoom(code) {
+      delete state.rooms[code];
+      scheduleWrite();
+    },
+    saveSessions(sessions) {
+      state.sessions = sessions;
+      scheduleWrite();
+    },
+    flush: writeNow,
+  };
+}
@@ -0,0 +1,47 @@
+// backend/src/scheduler.js
+// Per-room card scheduler: remembers which cards were already shown (as reference or in a hand) and
+// draws unused ones first. Once a category's pool is used up it starts over for that category.
+// The schedule is plain data ({ used: [ids] } when serialized) so it can be persisted with the room.
+
+// Unbiased Fisher–Yates shuffle (returns a new array)
+export function shuffle(arr, rng = Math.random) {
+  const out = [...arr];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+export function createSchedule(snapshot = null) {
+  return { used: new Set(snapshot && Array.isArray(snapshot.used) ? snapshot.used : []) };
+}
+
+export const serializeSchedule = (schedule) => ({ used: [...(schedule?.used || [])] });
+
+export function resetSchedule(schedule) {
+  schedule.used.clear();
+}
+
+// Draw `count` cards from `pool`, unused ones first. `exclude` ids are never drawn (e.g. the round's
+// reference card). When too few unused cards are left the pool is recycled: its ids are forgotten
+// and the rest is filled from the cards that were not just drawn.
+export function drawCards(schedule, pool = [], count = 1, { exclude = [], rng = Math.random } = {}) {
+  const blocked = new Set(exclude);
+  const candidates = pool.filter(i => !blocked.has(i.id));
+  const fresh = shuffle(candidates.filter(i => !schedule.used.has(i.id)), rng);
+  let picked = fresh.slice(0, count);
+  if (picked.length < count) {
+    for (const i of pool) schedule.used.delete(i.id);
+    const taken = new Set(picked.map(i => i.id));
+    picked = picked.concat(shuffle(candidates.filter(i => !taken.has(i.id)), rng).slice(0, count - picked.length));
+  }
+  for (const i of picked) schedule.used.add(i.id);
+  return picked;
+}
+
+// share of a pool that is still unused (for logs / admin views)
+export function poolStatus(schedule, pool = []) {
+  const unused = pool.filter(i => !schedule.used.has(i.id)).length;
+  return { total: pool.length, unused };
+}
@@ -0,0 +1,177 @@
+// backend/src/units.js
+// Unit registry: every dimension declares its SI base, its units (factor and optional offset to SI, plus the
+// spellings players and deck authors use) and the auto-scaling steps for display. toSI/formatFromSI in
+// cards.js and the guess parser both read from here, so a new dimension or unit is one entry below.
+//
+//   si = value * factor + offset        value = (si - offset) / factor
+//   scale: [[unit, fromSI], …] – the last step whose threshold the |SI value| reaches is used for display
+
+export const DIMENSIONS = {
+  length: {
+    base: 'm',
+    label: 'eine Länge',
+    units: {
+      'mm': { factor: 1e-3, aliases: ['millimeter', 'millimetre', 'millimeters', 'millimetres', 'millimetern'] },
+      'cm': { factor: 1e-2, aliases: ['zentimeter', 'centimeter', 'centimetre', 'centimeters', 'centimetres', 'zentimetern'] },
+      'm': { factor: 1, aliases: ['meter', 'metre', 'meters', 'metres', 'metern', 'mtr'] },
+      'km': { factor: 1e3, aliases: ['kilometer', 'kilometre', 'kilometers', 'kilometres', 'kilometern'] },
+      'in': { factor: 0.0254, aliases: ['zoll', 'inch', 'inches', '"'] },
+      'ft': { factor: 0.3048, aliases: ['fuß', 'fuss', 'foot', 'feet', "'"] },
+      'yd': { factor: 0.9144, aliases: ['yard', 'yards'] },
+      'mi': { factor: 1609.344, aliases: ['meile', 'meilen', 'mile', 'miles'] },
+    },
+    scale: [['mm', 0], ['cm', 0.01], ['m', 1], ['km', 1000]],
+  },
+  speed: {
+    base: 'm/s',
+    label: 'eine Geschwindigkeit',
+    units: {
+      'm/s': { factor: 1, aliases: ['mps', 'meter pro sekunde', 'meter/sekunde', 'metres per second', 'meters per second'] },
+      'km/h': { factor: 1 / 3.6, aliases: ['kmh', 'kph', 'km/std', 'stundenkilometer', 'kilometer pro stunde', 'kilometer/stunde', 'kilometres per hour', 'kilometers per hour'] },
+      'mph': { factor: 0.44704, aliases: ['mi/h', 'meilen pro stunde', 'miles per hour'] },
+      'kn': { factor: 1852 / 3600, aliases: ['kt', 'kts', 'knoten', 'knot', 'knots'] },
+    },
+    scale: [['m/s', 0]],
+  },
+  mass: {
+    base: 'kg',
+    label: 'ein Gewicht',
+    units: {
+      'g': { factor: 1e-3, aliases: ['gramm', 'gram', 'grams', 'gramme', 'grammes'] },
+      'kg': { factor: 1, aliases: ['kilo', 'kilos', 'kilogramm', 'kilogram', 'kilograms', 'kilogramme'] },
+      't': { factor: 1e3, aliases: ['tonne', 'tonnen', 'tonnes'] },
+      // German Pfund is 500 g, the imperial pound 453.59 g
+      'Pfd': { factor: 0.5, aliases: ['pfund'] },
+      'lb': { factor: 0.45359237, aliases: ['lbs', 'pound', 'pounds'] },
+      'oz': { factor: 0.028349523125, aliases: ['unze', 'unzen', 'ounce', 'ounces'] },
+    },
+    scale: [['g', 0], ['kg', 1], ['t', 1000]],
+  },
+  time: {
+    base: 's',
+    label: 'eine Dauer',
+    units: {
+      'ms': { factor: 1e-3, aliases: ['millisekunde', 'millisekunden', 'millisecond', 'milliseconds'] },
+      's': { factor: 1, aliases: ['sek', 'sec', 'sekunde', 'sekunden', 'second', 'seconds'] },
+      'min': { factor: 60, aliases: ['minute', 'minuten', 'minutes'] },
+      'h': { factor: 3600, aliases: ['std', 'stunde', 'stunden', 'hour', 'hours'] },
+      'Tage': { factor: 86400, aliases: ['d', 'tag', 'day', 'days'] },
+      'Jahre': { factor: 31557600, aliases: ['a', 'jahr', 'year', 'years', 'yr'] },
+    },
+    // 'ms' stays parse-only: a fraction of a second shows as "0.5 s"
+    scale: [['s', 0], ['min', 60], ['h', 3600], ['Tage', 86400], ['Jahre', 31557600]],
+  },
+  volume: {
+    base: 'm³',
+    label: 'ein Volumen',
+    units: {
+      'ml': { factor: 1e-6, aliases: ['milliliter', 'millilitre', 'cm³', 'cm3', 'ccm'] },
+      'l': { factor: 1e-3, aliases: ['liter', 'litre', 'liters', 'litres', 'litern', 'ltr'] },
+      'hl': { factor: 0.1, aliases: ['hektoliter', 'hectolitre', 'hectoliter'] },
+      'm³': { factor: 1, aliases: ['m3', 'kubikmeter', 'cubic meter', 'cubic meters', 'cubic metre', 'cubic metres'] },
+      'km³': { factor: 1e9, aliases: ['km3', 'kubikkilometer', 'cubic kilometer', 'cubic kilometers'] },
+      'gal': { factor: 0.003785411784, aliases: ['gallone', 'gallonen', 'gallon', 'gallons'] },
+    },
+    scale: [['ml', 0], ['l', 1e-3], ['m³', 1], ['km³', 1e9]],
+  },
+  area: {
+    base: 'm²',
+    label: 'eine Fläche',
+    units: {
+      'cm²': { factor: 1e-4, aliases: ['cm2', 'quadratzentimeter', 'square centimeter', 'square centimeters'] },
+      'm²': { factor: 1, aliases: ['m2', 'qm', 'quadratmeter', 'square meter', 'square meters', 'square metre', 'square metres'] },
+      'ha': { factor: 1e4, aliases: ['hektar', 'hectare', 'hectares'] },
+      'km²': { factor: 1e6, aliases: ['km2', 'qkm', 'quadratkilometer', 'square kilometer', 'square kilometers'] },
+      'acre': { factor: 4046.8564224, aliases: ['acres'] },
+    },
+    scale: [['cm²', 0], ['m²', 1], ['ha', 1e4], ['km²', 1e6]],
+  },
+  temperature: {
+    base: 'K',
+    label: 'eine Temperatur',
+    units: {
+      'K': { factor: 1, aliases: ['kelvin'] },
+      '°C': { factor: 1, offset: 273.15, aliases: ['c', 'grad', 'grad celsius', 'celsius', '° c', '°'] },
+      '°F': { factor: 5 / 9, offset: 459.67 * 5 / 9, aliases: ['f', 'fahrenheit', 'grad fahrenheit', '° f'] },
+    },
+    scale: [['°C', -Infinity]],
+  },
+  count: {
+    base: 'Stück',
+    label: 'eine Anzahl',
+    units: {
+      'Stück': { factor: 1, aliases: ['stk', 'stueck', 'pcs', 'pieces', 'x'] },
+      'Tsd': { factor: 1e3, aliases: ['tausend', 'thousand'] },
+      'Mio': { factor: 1e6, aliases: ['million', 'millionen', 'millions'] },
+      'Mrd': { factor: 1e9, aliases: ['milliarde', 'milliarden', 'billion', 'billions'] },
+    },
+    scale: [['Stück', 0], ['Tsd', 1e4], ['Mio', 1e6], ['Mrd', 1e9]],
+  },
+};
+
+const normalizeUnitText = (u) => String(u || '').trim().toLowerCase()
+  .replace(/\s*\/\s*/g, '/')
+  .replace(/\s+/g, ' ')
+  .replace(/\.$/, '');
+
+// lowercased spelling -> { symbol, dimension, factor, offset }
+const UNIT_LOOKUP = new Map();
+for (const [dimension, d] of Object.entries(DIMENSIONS)) {
+  for (const [symbol, u] of Object.entries(d.units)) {
+    const entry = { symbol, dimension, factor: u.factor, offset: u.offset || 0 };
+    for (const a of [symbol, ...(u.aliases || [])]) UNIT_LOOKUP.set(normalizeUnitText(a), entry);
+  }
+}
+
+export function lookupUnit(unit) {
+  if (unit == null || unit === '') return null;
+  return UNIT_LOOKUP.get(normalizeUnitText(unit)) || null;
+}
+
+export const dimensionLabel = (dimension) => DIMENSIONS[dimension]?.label || dimension;
+
+// every registered unit symbol, grouped by dimension
+export const listUnits = () => Object.fromEntries(Object.entries(DIMENSIONS).map(([k, d]) => [k, Object.keys(d.units)]));
+
+// value in `unit` -> SI (NaN for unknown units)
+export function convertToSI(value, unit) {
+  const u = lookupUnit(unit);
+  const v = Number(value);
+  if (!u || !isFinite(v)) return NaN;
+  return v * u.factor + u.offset;
+}
+
+// SI -> value in `unit` (NaN for unknown units)
+export function convertFromSI(si, unit) {
+  const u = lookupUnit(unit);
+  const v = Number(si);
+  if (!u || !isFinite(v)) return NaN;
+  return (v - u.offset) / u.factor;
+}
+
+// one decimal below 10, whole numbers above
+export function roundForUI(x) {
+  const abs = Math.abs(x);
+  const isIntish = Math.abs(x - Math.round(x)) < 1e-6;
+  if (abs < 10 && !isIntish) return x.toFixed(1);
+  return String(Math.round(x));
+}
+
+// Display unit for an SI value: the largest scale step reached (optionally only among `units`)
+export function autoUnit(si, dimension, units = null) {
+  const d = DIMENSIONS[dimension];
+  if (!d) return null;
+  const steps = d.scale.filter(([u]) => !units || units.includes(u));
+  if (!steps.length) return d.base;
+  let pick = steps[0][0];
+  for (const [u, from] of steps) if (Math.abs(si) >= from) pick = u;
+  return pick;
+}
+
+// SI -> { value, unit } for display. A known `unit` is used as is; otherwise the dimension auto-scales.
+export function formatSI(si, { unit = null, dimension = null, units = null } = {}) {
+  const known = lookupUnit(unit);
+  const target = known ? known.symbol : autoUnit(si, dimension, units);
+  if (!target) return { value: String(si), unit: unit || '' };
+  return { value: roundForUI(convertFromSI(si, target)), unit: target };
+}
@@ -0,0 +1,71 @@
+// backend/test/auth.test.js
+// Host tokens, PIN lockout and the admin-token middleware.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  signHostToken, verifyHostToken, checkHostPin, pinLockout, recordPinFailure, sweepPinFailures, requireAdminToken,
+} from '../src/auth.js';
+
+test('a host token is valid for the exact room it was issued for', () => {
+  const token = signHostToken('QUIZ', 'P1_1');
+  assert.equal(verifyHostToken(token, 'QUIZ').pid, 'P1_1');
+  assert.equal(verifyHostToken(token, 'quiz'), null);
+  assert.equal(verifyHostToken(token, 'OTHER'), null);
+});
+
+test('tampered or expired host tokens are rejected', () => {
+  const [body, sig] = signHostToken('QUIZ', 'P1_1').split('.');
+  const forged = Buffer.from(JSON.stringify({ room: 'QUIZ', pid: 'P2_2', exp: Date.now() + 60000 })).toString('base64url');
+  assert.equal(verifyHostToken(`${forged}.${sig}`, 'QUIZ'), null);
+  assert.equal(verifyHostToken(`${body}.`, 'QUIZ'), null);
+  assert.equal(verifyHostToken(signHostToken('QUIZ', 'P1_1', -1), 'QUIZ'), null);
+  assert.equal(verifyHostToken('garbage', 'QUIZ'), null);
+});
+
+test('host PIN must match exactly', () => {
+  assert.equal(checkHostPin({ hostPin: '012345' }, ' 012345 '), true);
+  assert.equal(checkHostPin({ hostPin: '012345' }, '12345'), false);
+  assert.equal(checkHostPin({ hostPin: null }, ''), false);
+});
+
+test('PIN failures lock one address of one room only, until the window ends', () => {
+  const now = 1_000_000;
+  for (let i = 0; i < 4; i++) recordPinFailure('LOCK', '10.0.0.1', now);
+  assert.equal(pinLockout('LOCK', '10.0.0.1', now), 0);
+  recordPinFailure('lock', '10.0.0.1', now);
+  assert.ok(pinLockout('LOCK', '10.0.0.1', now) > 0);
+  // the host on another address and the same address in another room can still log in
+  assert.equal(pinLockout('LOCK', '10.0.0.2', now), 0);
+  assert.equal(pinLockout('OTHER', '10.0.0.1', now), 0);
+  const later = now + 15 * 60 * 1000;
+  assert.equal(pinLockout('LOCK', '10.0.0.1', later), 0);
+});
+
+test('the sweep drops expired failure entries', () => {
+  const now = 2_000_000;
+  const before = sweepPinFailures(now);
+  recordPinFailure('SWEEP', '10.0.0.9', now);
+  assert.equal(sweepPinFailures(now), before + 1);
+  assert.equal(sweepPinFailures(now + 15 * 60 * 1000), 0);
+});
+
+test('requireAdminToken checks the bearer token against ADMIN_TOKEN', () => {
+  const call = (headers) => {
+    const out = { status: 200, next: false };
+    const req = { get: (h) => headers[h.toLowerCase()] };
+    const res = { status(code) { out.status = code; return this; }, json(body) { out.body = body; return this; } };
+    requireAdminToken(req, res, () => { out.next = true; });
+    return out;
+  };
+  const saved = process.env.ADMIN_TOKEN;
+  try {
+    delete process.env.ADMIN_TOKEN;
+    assert.equal(call({ authorization: 'Bearer x' }).status, 503);
+    process.env.ADMIN_TOKEN = 's3cret';
+    assert.equal(call({ authorization: 'Bearer wrong' }).status, 401);
+    assert.equal(call({ authorization: 'Bearer s3cret' }).next, true);
+    assert.equal(call({ 'x-admin-token': 's3cret' }).next, true);
+  } finally {
+    if (saved === undefined) delete process.env.ADMIN_TOKEN; else process.env.ADMIN_TOKEN = saved;
+  }
+});
@@ -0,0 +1,51 @@
+// backend/test/away.test.js
+// Disconnect grace period: away players keep their seat and hand until AWAY_GRACE_MS ends.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, connect, request, next, sleep } from './helpers/server.js';
+
+const GRACE = 600;
+
+test('an away player keeps its hand, stops blocking the round and is removed after the grace period', async () => {
+  const server = await startServer({ AWAY_GRACE_MS: String(GRACE) });
+  const sockets = [];
+  const join = async (name, playerId) => {
+    const socket = connect(server.url);
+    sockets.push(socket);
+    const hand = next(socket, playerId ? 'RECONNECT_SUCCESS' : 'PLAYER_HAND');
+    hand.catch(() => {});
+    return { socket, hand, join: await request(socket, 'TEAM_JOIN', { roomCode: 'AWAY', name, playerId }) };
+  };
+  try {
+    const ann = await join('Ann');
+    const ben = await join('Ben');
+    const cem = await join('Cem');
+    for (const p of [ann, ben, cem]) p.socket.emit('PLAYER_READY', { roomCode: 'AWAY' });
+    await sleep(100);
+    assert.equal((await request(ann.socket, 'ADMIN_START', { roomCode: 'AWAY' })).ok, true);
+    const benHand = (await ben.hand).hand.map(c => c.id);
+
+    // Ben drops out: still listed as away, the round no longer waits for him
+    const lobby = next(ann.socket, 'LOBBY_UPDATE');
+    let progress = next(ann.socket, 'SUBMISSION_UPDATE');
+    ben.socket.close();
+    assert.deepEqual((await lobby).away.map(p => p.publicId), [ben.join.publicId]);
+    assert.deepEqual(await progress, { submitted: 0, total: 2, away: 1, pending: 2 });
+
+    // back within the grace period: same seat, same hand
+    const back = await join('Ben', ben.join.playerId);
+    assert.equal(back.join.teamId, ben.join.teamId);
+    assert.deepEqual((await back.hand).playerData.hand.map(c => c.id), benHand);
+
+    // Cem stays away longer than the grace period and is removed
+    cem.socket.close();
+    await sleep(GRACE + 300);
+    progress = next(ann.socket, 'SUBMISSION_UPDATE');
+    const { hand } = await ann.hand;
+    assert.equal((await request(ann.socket, 'SUBMIT', { roomCode: 'AWAY', cardId: hand[0].id })).ok, true);
+    assert.deepEqual(await progress, { submitted: 1, total: 2, away: 0, pending: 1 });
+  } finally {
+    for (const s of sockets) s.close();
+    await server.stop();
+  }
+});
@@ -0,0 +1,61 @@
+// backend/test/cardStats.test.js
+// Card analytics: log errors, per-card counters and outlier flags.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { logError, median, createCardStats, rankOutliers } from '../src/cardStats.js';
+
+test('log error is the log10 distance and undefined for non-positive values', () => {
+  assert.equal(logError(100, 10), 1);
+  assert.equal(logError(1, 10), 1);
+  assert.equal(logError(10, 10), 0);
+  assert.equal(logError(0, 10), null);
+  assert.equal(logError(NaN, 10), null);
+});
+
+test('median ignores missing values', () => {
+  assert.equal(median([3, 1, 2]), 2);
+  assert.equal(median([4, null, 1, 3, 2]), 2.5);
+  assert.equal(median([]), null);
+});
+
+test('rounds count references, plays and wins per card', () => {
+  const stats = createCardStats('memory');
+  const ref = { id: 'R-1', prompt: 'Elefant' };
+  stats.recordRound({ category: 'weight', reference: ref, target: 100, guesses: [
+    { card: { id: 'H-1' }, siGuess: 100, rank: 1 },
+    { card: { id: 'H-2' }, siGuess: 1000, rank: 2 },
+    { siGuess: 10, rank: 3 },                         // free-text guess without a card
+  ] });
+  const r = stats.get('R-1');
+  assert.deepEqual([r.asReference, r.refLogErrors], [1, [0, 1, 1]]);
+  assert.equal(r.prompt, 'Elefant');
+  assert.deepEqual([stats.get('H-1').played, stats.get('H-1').playWins], [1, 1]);
+  assert.deepEqual([stats.get('H-2').played, stats.get('H-2').playWins], [1, 0]);
+  assert.equal(stats.all().length, 3);
+  assert.equal(stats.reset('H-2'), true);
+  assert.equal(stats.reset('H-2'), false);
+  assert.equal(stats.get('H-2'), null);
+});
+
+test('outliers are flagged and ranked first', () => {
+  const stats = createCardStats('memory');
+  const round = (id, factor, rank = 2) => stats.recordRound({ category: 'speed', reference: { id }, target: 10, guesses: [{ card: { id: `P-${id}` }, siGuess: 10 * factor, rank }] });
+  for (let i = 0; i < 5; i++) {
+    round('OK', 2);
+    round('EASY', 1.01, 1);
+    round('HARD', 20);
+    round('WRONG', 1000);
+  }
+  const { cards, overallRefMedianLogError } = rankOutliers(stats.all(), { category: 'speed' });
+  assert.ok(overallRefMedianLogError > 0);
+  const flags = Object.fromEntries(cards.map(c => [c.id, c.flags]));
+  assert.deepEqual(flags.OK, []);
+  assert.deepEqual(flags.EASY, ['too_easy']);
+  assert.deepEqual(flags.HARD, ['too_hard']);
+  assert.deepEqual(flags.WRONG, ['suspect_value']);
+  assert.deepEqual(flags['P-EASY'], ['dominant']);
+  assert.deepEqual(flags['P-OK'], ['never_wins']);
+  assert.ok(cards.findIndex(c => c.id === 'OK') > cards.findIndex(c => c.id === 'WRONG'));
+  // too few samples: no flags
+  assert.deepEqual(rankOutliers(stats.all(), { minSamples: 6 }).cards.flatMap(c => c.flags), []);
+});
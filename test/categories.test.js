@@ -0,0 +1,84 @@
+// backend/test/categories.test.js
+// Category selection per room: validation, disabled categories and the streak limit.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, connect, request, next, sleep } from './helpers/server.js';
+
+let server;
+before(async () => { server = await startServer({ ADMIN_TOKEN: 'cat-secret' }); });
+after(async () => { await server.stop(); });
+
+const cards = [];
+for (let i = 0; i < 10; i++) {
+  cards.push({ Kategorie: 'Geschwindigkeit', ID: `S-${i}`, Prompt: `S${i}`, display_unit: 'km/h', Zielwert: String(10 + i) });
+  cards.push({ Kategorie: 'Gewicht', ID: `W-${i}`, Prompt: `W${i}`, display_unit: 'kg', Zielwert: String(10 + i) });
+}
+
+// two players in a room with the speed/weight deck; points mode so no symbol win ends the game early
+async function openRoom(code, settings) {
+  const upload = await fetch(`${server.url}/admin/room/${code}/deck`, {
+    method: 'POST', headers: { 'content-type': 'application/json', authorization: 'Bearer cat-secret' }, body: JSON.stringify({ cards }),
+  });
+  assert.equal((await upload.json()).ok, true);
+  const sockets = [];
+  for (const name of ['Ann', 'Ben']) {
+    const socket = connect(server.url);
+    sockets.push(socket);
+    await request(socket, 'TEAM_JOIN', { roomCode: code, name });
+    socket.emit('PLAYER_READY', { roomCode: code });
+  }
+  const ack = await request(sockets[0], 'UPDATE_SETTINGS', { roomCode: code, settings: { winCondition: 'points', rounds: 10, ...settings } });
+  await sleep(100);
+  return { sockets, ack };
+}
+
+// categories of the next `n` rounds (everybody answers with their first card)
+async function playRounds(code, sockets, n) {
+  const categories = [];
+  for (let i = 0; i < n; i++) {
+    const round = next(sockets[0], 'ROUND_START');
+    const hands = sockets.map(s => next(s, 'PLAYER_HAND'));
+    assert.equal((await request(sockets[0], 'ADMIN_START', { roomCode: code })).ok, true);
+    categories.push((await round).category);
+    const reveal = next(sockets[0], 'REVEAL');
+    for (const [j, s] of sockets.entries()) {
+      const { hand } = await hands[j];
+      assert.equal((await request(s, 'SUBMIT', { roomCode: code, cardId: hand[0].id })).ok, true);
+    }
+    await reveal;
+  }
+  return categories;
+}
+
+test('unknown categories and disabling every category are rejected', async () => {
+  const { sockets, ack } = await openRoom('CATS', { categories: { magic: true } });
+  try {
+    assert.equal(ack.error, 'INVALID_CATEGORIES');
+    const none = await request(sockets[0], 'UPDATE_SETTINGS', { roomCode: 'CATS', settings: { categories: { speed: false, weight: { weight: 0 } } } });
+    assert.equal(none.error, 'INVALID_CATEGORIES');
+    assert.equal((await request(sockets[0], 'UPDATE_SETTINGS', { roomCode: 'CATS', settings: { maxCategoryStreak: -1 } })).error, 'INVALID_STREAK');
+  } finally {
+    for (const s of sockets) s.close();
+  }
+});
+
+test('a disabled category never comes up', async () => {
+  const { sockets, ack } = await openRoom('ONLY', { categories: { weight: false } });
+  try {
+    assert.equal(ack.ok, true);
+    assert.deepEqual(await playRounds('ONLY', sockets, 3), ['speed', 'speed', 'speed']);
+  } finally {
+    for (const s of sockets) s.close();
+  }
+});
+
+test('the streak limit switches category even against the weights', async () => {
+  const { sockets, ack } = await openRoom('STREAK', { categories: { speed: 1000, weight: 0.001 }, maxCategoryStreak: 1 });
+  try {
+    assert.equal(ack.ok, true);
+    const played = await playRounds('STREAK', sockets, 4);
+    for (let i = 1; i < played.length; i++) assert.notEqual(played[i], played[i - 1], played.join());
+  } finally {
+    for (const s of sockets) s.close();
+  }
+});
@@ -0,0 +1,82 @@
+// backend/test/combos.test.js
+// Combined submissions: two hand cards with + or − and a multiplier, with allowCombos or the combine joker.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, connect, request, next, sleep } from './helpers/server.js';
+
+let server;
+before(async () => { server = await startServer({ ADMIN_TOKEN: 'combo-secret' }); });
+after(async () => { await server.stop(); });
+
+// speed cards of 1..20 m/s
+const cards = Array.from({ length: 20 }, (_, i) => ({ Kategorie: 'Geschwindigkeit', ID: `S-${i}`, Prompt: `S${i}`, display_unit: 'km/h', Zielwert: String((i + 1) * 3.6) }));
+
+// two players in a started round; resolves with both hands
+async function startRound(code, settings) {
+  const upload = await fetch(`${server.url}/admin/room/${code}/deck`, {
+    method: 'POST', headers: { 'content-type': 'application/json', authorization: 'Bearer combo-secret' }, body: JSON.stringify({ cards }),
+  });
+  assert.equal((await upload.json()).ok, true);
+  const sockets = [];
+  for (const name of ['Ann', 'Ben']) {
+    const socket = connect(server.url);
+    sockets.push(socket);
+    await request(socket, 'TEAM_JOIN', { roomCode: code, name });
+    socket.emit('PLAYER_READY', { roomCode: code });
+  }
+  assert.equal((await request(sockets[0], 'UPDATE_SETTINGS', { roomCode: code, settings })).ok, true);
+  await sleep(100);
+  const hands = sockets.map(s => next(s, 'PLAYER_HAND'));
+  assert.equal((await request(sockets[0], 'ADMIN_START', { roomCode: code })).ok, true);
+  return { sockets, hands: (await Promise.all(hands)).map(h => h.hand) };
+}
+
+test('combinations are off unless the room allows them', async () => {
+  const { sockets, hands } = await startRound('NOCOMBO', { allowCombos: false });
+  try {
+    const [a, b] = hands[0];
+    const ack = await request(sockets[0], 'SUBMIT', { roomCode: 'NOCOMBO', cardId: a.id, secondCardId: b.id, operator: '+' });
+    assert.equal(ack.error, 'COMBOS_DISABLED');
+  } finally {
+    for (const s of sockets) s.close();
+  }
+});
+
+test('two hand cards and a multiplier are evaluated in SI and shown in the reveal', async () => {
+  const { sockets, hands } = await startRound('COMBO', { allowCombos: true });
+  try {
+    const [host, other] = sockets;
+    const [a, b] = hands[0];
+    const submit = (payload) => request(host, 'SUBMIT', { roomCode: 'COMBO', ...payload });
+    assert.equal((await submit({ cardId: a.id, secondCardId: a.id, operator: '+' })).error, 'COMBINE_NEEDS_CARDS');
+    assert.equal((await submit({ cardId: a.id, secondCardId: hands[1][0].id, operator: '+' })).error, 'COMBINE_NEEDS_CARDS');
+    assert.equal((await submit({ cardId: a.id, secondCardId: b.id, operator: '*' })).error, 'BAD_OPERATOR');
+    const [small, big] = a.trueValue < b.trueValue ? [a, b] : [b, a];
+    assert.equal((await submit({ cardId: small.id, secondCardId: big.id, operator: '-' })).error, 'NON_POSITIVE_RESULT');
+
+    const reveal = next(host, 'REVEAL');
+    assert.equal((await submit({ cardId: a.id, secondCardId: b.id, operator: '+', multiplierId: 'm2' })).ok, true);
+    assert.equal((await request(other, 'SUBMIT', { roomCode: 'COMBO', cardId: hands[1][0].id })).ok, true);
+    const { ranking } = await reveal;
+    const mine = ranking.find(r => r.secondCard);
+    assert.ok(Math.abs(mine.guessRaw.siValue - (a.trueValue + b.trueValue) * 2) < 1e-9);
+    assert.equal(mine.operator, '+');
+    assert.equal(mine.secondCard.id, b.id);
+    assert.equal(mine.composedLabel, `(${a.prompt} + ${b.prompt}) × 2`);
+    assert.match(mine.composed, / = /);
+  } finally {
+    for (const s of sockets) s.close();
+  }
+});
+
+test('the combine joker only adds', async () => {
+  const { sockets, hands } = await startRound('CJOKER', { allowCombos: false, jokersEnabled: true, multiplierSet: 'extended' });
+  try {
+    const [a, b] = hands[0];
+    const submit = (payload) => request(sockets[0], 'SUBMIT', { roomCode: 'CJOKER', cardId: a.id, secondCardId: b.id, jokerId: 'j_combine', ...payload });
+    assert.equal((await submit({ operator: '-' })).error, 'BAD_OPERATOR');
+    assert.equal((await submit({ operator: '+' })).ok, true);
+  } finally {
+    for (const s of sockets) s.close();
+  }
+});
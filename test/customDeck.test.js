@@ -0,0 +1,66 @@
+// backend/test/customDeck.test.js
+// Custom room decks: parsing uploads and playing a room with its own cards.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDeckInput } from '../src/cards.js';
+import { startServer, connect, request, next, sleep } from './helpers/server.js';
+
+const card = (i, fields = {}) => ({
+  Kategorie: 'Geschwindigkeit', ID: `C-${i}`, Prompt: `Tier ${i}`, Typ: 'Max', display_unit: 'km/h',
+  Zielwert: String(i * 3.6), Emoji: '🐾', FunFact: '', ...fields,
+});
+
+test('uploads parse as CSV text or JSON cards and report skipped rows', () => {
+  const json = parseDeckInput([card(1), card(2), card(3, { Kategorie: 'Zauberei' })]);
+  assert.equal(json.total, 3);
+  assert.deepEqual(json.items.speed.map(c => c.id), ['C-1', 'C-2']);
+  assert.equal(json.items.speed[1].value_si, 2);
+  assert.equal(json.skipped.length, 1);
+  assert.match(json.skipped[0].reason, /Zauberei/);
+
+  const csv = parseDeckInput('Kategorie;ID;Prompt;display_unit;Zielwert\nGewicht;W-1;Elefant;t;6\n');
+  assert.deepEqual(csv.items.weight.map(c => [c.id, c.value_si]), [['W-1', 6000]]);
+  assert.equal(parseDeckInput(null).total, 0);
+});
+
+test('a room with a custom deck deals only its own cards', async () => {
+  const server = await startServer({ ADMIN_TOKEN: 'deck-secret' });
+  const sockets = [];
+  try {
+    const upload = (body, token = 'deck-secret') => fetch(`${server.url}/admin/room/OWN/deck`, {
+      method: 'POST', headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` }, body: JSON.stringify(body),
+    });
+    assert.equal((await upload({ cards: [card(1)] }, 'wrong')).status, 401);
+    const empty = await upload({ cards: [card(1, { Kategorie: 'Zauberei' })] });
+    assert.equal(empty.status, 400);
+    assert.equal((await empty.json()).error, 'EMPTY_DECK');
+
+    const res = await (await upload({ name: 'Zoo', cards: Array.from({ length: 30 }, (_, i) => card(i + 1)) })).json();
+    assert.equal(res.ok, true);
+    assert.equal(res.accepted, 30);
+    assert.equal(res.deck.name, 'Zoo');
+
+    for (const name of ['Ann', 'Ben']) {
+      const socket = connect(server.url);
+      sockets.push(socket);
+      await request(socket, 'TEAM_JOIN', { roomCode: 'OWN', name });
+      socket.emit('PLAYER_READY', { roomCode: 'OWN' });
+    }
+    await sleep(100);
+    const dealt = next(sockets[0], 'PLAYER_HAND');
+    const round = next(sockets[0], 'ROUND_START');
+    assert.equal((await request(sockets[0], 'ADMIN_START', { roomCode: 'OWN' })).ok, true);
+    const { hand } = await dealt;
+    assert.ok(hand.length > 0);
+    assert.ok(hand.every(c => c.id.startsWith('C-')), hand.map(c => c.id).join());
+    assert.equal((await round).category, 'speed');
+
+    const removed = await fetch(`${server.url}/admin/room/OWN/deck`, { method: 'DELETE', headers: { authorization: 'Bearer deck-secret' } });
+    assert.equal((await removed.json()).ok, true);
+    const info = await (await fetch(`${server.url}/admin/room/OWN/deck`, { headers: { authorization: 'Bearer deck-secret' } })).json();
+    assert.equal(info.deck, null);
+  } finally {
+    for (const s of sockets) s.close();
+    await server.stop();
+  }
+});
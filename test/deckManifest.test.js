@@ -0,0 +1,111 @@
+// backend/test/deckManifest.test.js
+// Deck manifest: source priority, DECK_FILE/DECK_STRICT overrides, fallback vs. strict loading and /decks.
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadManifest, resolveDeckPath } from '../src/deckManifest.js';
+import { loadDeck } from '../src/cards.js';
+import { CONSOLIDATED_FIELDS, writeDeck } from '../src/deckStore.js';
+import { startServer } from './helpers/server.js';
+
+const row = (fields) => ({
+  Kategorie: 'Geschwindigkeit', ID: 'S-001', Kurzname: 'Gepard', Prompt: 'Gepard', Typ: 'Max',
+  display_unit: 'km/h', Zielwert: '36', value_si: '10', Emoji: '🐆', FunFact: 'schnell', Difficulty: 'easy', Notiz: '', ...fields,
+});
+
+const ENV = ['DECK_MANIFEST', 'DECK_FILE', 'DECK_STRICT', 'DECK_CATEGORIES_FILE'];
+let dir, savedEnv;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+  savedEnv = Object.fromEntries(ENV.map(k => [k, process.env[k]]));
+  for (const k of ENV) delete process.env[k];
+});
+afterEach(() => {
+  for (const k of ENV) if (savedEnv[k] === undefined) delete process.env[k]; else process.env[k] = savedEnv[k];
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const writeManifest = (manifest) => {
+  const file = path.join(dir, 'decks.json');
+  fs.writeFileSync(file, JSON.stringify(manifest));
+  return file;
+};
+const writeCsv = (name, records) => writeDeck(path.join(dir, name), { fields: [...CONSOLIDATED_FIELDS], records });
+
+test('sources are sorted by priority and resolved against the manifest directory', () => {
+  writeCsv('b.csv', [row({})]);
+  const file = writeManifest({ decks: [{ name: 'b', file: 'b.csv', priority: 5 }, { name: 'a', file: 'a.csv', priority: 20 }, { file: 'sub/c.csv' }], strict: true });
+  const manifest = loadManifest(file);
+  assert.deepEqual(manifest.sources.map(s => [s.name, s.priority, s.exists]), [['a', 20, false], ['b', 5, true], ['c', 0, false]]);
+  assert.equal(manifest.sources[2].file, path.join(dir, 'sub', 'c.csv'));
+  assert.equal(manifest.strict, true);
+  assert.equal(manifest.categories, null);
+  // the highest-priority source that exists
+  assert.equal(resolveDeckPath(manifest), path.join(dir, 'b.csv'));
+});
+
+test('DECK_FILE replaces the list, DECK_STRICT overrides the manifest', () => {
+  const file = writeManifest({ decks: [{ file: 'a.csv', priority: 1 }], strict: true });
+  process.env.DECK_FILE = path.join(dir, 'single.csv');
+  process.env.DECK_STRICT = '0';
+  const manifest = loadManifest(file);
+  assert.deepEqual(manifest.sources.map(s => s.name), ['DECK_FILE']);
+  assert.equal(manifest.strict, false);
+});
+
+test('broken or missing manifests are configuration errors', () => {
+  assert.throws(() => loadManifest(writeManifest({ decks: [{ name: 'nofile' }] })), /has no file/);
+  fs.writeFileSync(path.join(dir, 'decks.json'), '{ nope');
+  assert.throws(() => loadManifest(path.join(dir, 'decks.json')));
+  process.env.DECK_MANIFEST = path.join(dir, 'missing.json');
+  assert.throws(() => loadManifest(), /not found/);
+});
+
+test('a deck without valid cards falls back to the next source, strict mode refuses invalid rows', () => {
+  writeCsv('empty.csv', [row({ Kategorie: 'Zauberei' })]);
+  writeCsv('broken.csv', [row({}), row({ ID: 'S-002', Kategorie: 'Zauberei' })]);
+  writeCsv('good.csv', [row({}), row({ ID: 'S-002', Prompt: 'Schnecke', value_si: '0.01' })]);
+  const manifest = loadManifest(writeManifest({ decks: [{ name: 'empty', file: 'empty.csv', priority: 3 }, { name: 'broken', file: 'broken.csv', priority: 2 }, { name: 'good', file: 'good.csv', priority: 1 }] }));
+
+  // non-strict: the broken deck still has a valid card, its bad row is reported as skipped
+  const loose = loadDeck({ manifest });
+  assert.equal(loose.info.name, 'broken');
+  assert.deepEqual(loose.info.attempts.map(a => [a.name, a.error]), [['empty', 'no valid cards']]);
+  assert.equal(loose.info.loaded, 1);
+  assert.deepEqual(loose.info.skipped.map(s => [s.line, s.id]), [[3, 'S-002']]);
+  assert.match(loose.info.skipped[0].reason, /unknown category/);
+  assert.match(loose.info.checksum, /^[0-9a-f]{64}$/);
+
+  assert.throws(() => loadDeck({ manifest, strict: true }), /1 invalid rows/);
+});
+
+test('without any usable source only non-strict mode serves the demo cards', () => {
+  const manifest = loadManifest(writeManifest({ decks: [{ file: 'missing.csv' }] }));
+  const demo = loadDeck({ manifest });
+  assert.equal(demo.info.name, 'demo');
+  assert.deepEqual(demo.info.attempts.map(a => a.error), ['not found']);
+  assert.throws(() => loadDeck({ manifest, strict: true }), /no deck could be loaded/);
+});
+
+test('a strict server refuses to boot on a broken deck and /decks reports the loaded one', async () => {
+  writeCsv('broken.csv', [row({}), row({ ID: 'S-002', Zielwert: 'viel', value_si: '' })]);
+  writeManifest({ decks: [{ name: 'broken', file: 'broken.csv' }], strict: true });
+  await assert.rejects(startServer({ DECK_MANIFEST: path.join(dir, 'decks.json') }), /refusing to start/);
+
+  const server = await startServer({ DECK_MANIFEST: path.join(dir, 'decks.json'), DECK_STRICT: '0', DECK_WATCH: '0' });
+  try {
+    const decks = await (await fetch(`${server.url}/decks`)).json();
+    assert.equal(decks.ok, true);
+    assert.equal(decks.strict, false);
+    assert.equal(decks.active.name, 'broken');
+    assert.equal(path.basename(decks.active.file), 'broken.csv');
+    assert.match(decks.active.checksum, /^[0-9a-f]{64}$/);
+    assert.deepEqual([decks.active.rows, decks.active.loaded], [2, 1]);
+    assert.deepEqual(decks.active.skipped.map(s => [s.line, s.reason]), [[3, 'value_si is not a finite number']]);
+    assert.deepEqual(decks.sources.map(s => [s.name, s.exists]), [['broken', true]]);
+  } finally {
+    await server.stop();
+  }
+});
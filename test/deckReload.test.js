@@ -0,0 +1,96 @@
+// backend/test/deckReload.test.js
+// Hot reload of the deck: admin reload, rejected swaps, the file watcher and rounds already running.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { CONSOLIDATED_FIELDS, writeDeck } from '../src/deckStore.js';
+import { startServer, connect, request, next, sleep } from './helpers/server.js';
+
+const speedCards = (prefix) => Array.from({ length: 12 }, (_, i) => ({
+  Kategorie: 'Geschwindigkeit', ID: `${prefix}-${i}`, Kurzname: `${prefix}${i}`, Prompt: `${prefix}${i}`, Typ: 'Max',
+  display_unit: 'km/h', Zielwert: String((i + 1) * 3.6), value_si: String(i + 1), Emoji: '', FunFact: '', Difficulty: 'easy', Notiz: '',
+}));
+
+let dir, deck, server;
+const writeCards = (records) => writeDeck(deck, { fields: [...CONSOLIDATED_FIELDS], records });
+const decks = async () => (await fetch(`${server.url}/decks`)).json();
+const reload = (token = 'reload-secret') => fetch(`${server.url}/admin/decks/reload`, { method: 'POST', headers: { authorization: `Bearer ${token}` } });
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reload-'));
+  deck = path.join(dir, 'deck.csv');
+  writeCards(speedCards('A'));
+  fs.writeFileSync(path.join(dir, 'decks.json'), JSON.stringify({ decks: [{ name: 'test', file: 'deck.csv' }] }));
+  server = await startServer({ DECK_MANIFEST: path.join(dir, 'decks.json'), ADMIN_TOKEN: 'reload-secret', DECK_WATCH_INTERVAL_MS: '100' });
+});
+after(async () => {
+  await server.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the admin reload needs the admin token and rejects a deck that does not validate', async () => {
+  assert.equal((await reload('wrong')).status, 401);
+  const unchanged = await reload();
+  assert.deepEqual(await unchanged.json().then(r => [r.ok, r.changed]), [true, false]);
+
+  const { active } = await decks();
+  writeCards([...speedCards('A'), { ...speedCards('X')[0], value_si: '', Zielwert: 'viel' }]);
+  const rejected = await reload();
+  assert.equal(rejected.status, 422);
+  const body = await rejected.json();
+  assert.equal(body.error, 'DECK_INVALID');
+  assert.equal(body.active.checksum, active.checksum);
+  assert.equal((await decks()).active.checksum, active.checksum);
+  writeCards(speedCards('A'));
+});
+
+test('the watcher swaps in an edited deck file', async () => {
+  const before = (await decks()).active.checksum;
+  assert.equal(path.basename((await decks()).watching), 'deck.csv');
+  writeCards(speedCards('W'));
+  let active;
+  for (let i = 0; i < 50 && (!active || active.checksum === before); i++) {
+    await sleep(100);
+    ({ active } = await decks());
+  }
+  assert.notEqual(active.checksum, before);
+  assert.equal(active.loaded, 12);
+});
+
+test('a running round keeps its hands and the next round uses the new deck', async () => {
+  writeCards(speedCards('B'));
+  assert.equal((await (await reload()).json()).ok, true);
+  const sockets = [];
+  try {
+    for (const name of ['Ann', 'Ben']) {
+      const socket = connect(server.url);
+      sockets.push(socket);
+      await request(socket, 'TEAM_JOIN', { roomCode: 'RELOAD', name });
+      socket.emit('PLAYER_READY', { roomCode: 'RELOAD' });
+    }
+    assert.equal((await request(sockets[0], 'UPDATE_SETTINGS', { roomCode: 'RELOAD', settings: { winCondition: 'points', rounds: 5 } })).ok, true);
+    await sleep(100);
+    let hands = sockets.map(s => next(s, 'PLAYER_HAND'));
+    assert.equal((await request(sockets[0], 'ADMIN_START', { roomCode: 'RELOAD' })).ok, true);
+    const dealt = (await Promise.all(hands)).map(h => h.hand);
+    assert.ok(dealt[0].every(c => c.id.startsWith('B-')));
+
+    writeCards(speedCards('C'));
+    const swapped = await (await reload()).json();
+    assert.deepEqual([swapped.ok, swapped.changed], [true, true]);
+    const reveal = next(sockets[0], 'REVEAL');
+    for (const [i, s] of sockets.entries()) {
+      assert.equal((await request(s, 'SUBMIT', { roomCode: 'RELOAD', cardId: dealt[i][0].id })).ok, true);
+    }
+    const { ranking } = await reveal;
+    assert.ok(ranking.every(r => r.card.id.startsWith('B-')));
+
+    hands = sockets.map(s => next(s, 'PLAYER_HAND'));
+    assert.equal((await request(sockets[0], 'ADMIN_START', { roomCode: 'RELOAD' })).ok, true);
+    for (const { hand } of await Promise.all(hands)) assert.ok(hand.every(c => c.id.startsWith('C-')), hand.map(c => c.id).join());
+  } finally {
+    for (const s of sockets) s.close();
+  }
+});
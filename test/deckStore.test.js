@@ -0,0 +1,58 @@
+// backend/test/deckStore.test.js
+// Admin card API on a deck CSV: create, update, disable and delete with loader validation.
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { CONSOLIDATED_FIELDS, readDeck, writeDeck, listCards, createCard, updateCard, setCardDisabled, deleteCard } from '../src/deckStore.js';
+
+const row = (fields) => ({
+  Kategorie: 'Geschwindigkeit', ID: 'S-001', Kurzname: 'Gepard', Prompt: 'Gepard', Typ: 'Max',
+  display_unit: 'km/h', Zielwert: '36', value_si: '10', Emoji: '🐆', FunFact: 'schnell', Difficulty: 'easy', Notiz: '', ...fields,
+});
+
+let dir, file;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deck-'));
+  file = path.join(dir, 'deck.csv');
+  writeDeck(file, { fields: [...CONSOLIDATED_FIELDS], records: [row({}), row({ ID: 'S-002', Prompt: 'Schnecke', Kurzname: 'Schnecke', Zielwert: '0,036', value_si: '0.01' })] });
+});
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('cards are listed with their parsed value and filtered by search text', () => {
+  const cards = listCards(file);
+  assert.deepEqual(cards.map(c => [c.id, c.valid, c.value_si_parsed]), [['S-001', true, 10], ['S-002', true, 0.01]]);
+  assert.deepEqual(listCards(file, { q: 'schnecke' }).map(c => c.id), ['S-002']);
+  assert.deepEqual(listCards(file, { category: 'Gewicht' }), []);
+});
+
+test('a new card gets the next id of its category and must validate', () => {
+  const created = createCard(file, { category: 'Geschwindigkeit', prompt: 'Auto', type: 'Max', display_unit: 'km/h', display_value: '72', emoji: '🚗' });
+  assert.equal(created.ok, true);
+  assert.equal(created.card.id, 'S-003');
+  assert.equal(created.card.value_si_parsed, 20);
+  assert.equal(createCard(file, { id: 'S-001', category: 'Geschwindigkeit', prompt: 'x' }).error, 'DUPLICATE_ID');
+  const before = fs.readFileSync(file, 'utf8');
+  assert.equal(createCard(file, { category: 'Zauberei', prompt: 'kaputt', display_unit: 'km/h', display_value: '1' }).error, 'INVALID_CARD');
+  assert.equal(fs.readFileSync(file, 'utf8'), before);
+});
+
+test('updates recompute the SI value, keep the id and reject invalid rows', () => {
+  const updated = updateCard(file, 'S-001', { display_value: '108', id: 'S-999' });
+  assert.equal(updated.ok, true);
+  assert.equal(updated.card.id, 'S-001');
+  assert.equal(updated.card.value_si_parsed, 30);
+  assert.equal(updateCard(file, 'S-001', { display_value: 'viel' }).error, 'INVALID_CARD');
+  assert.equal(readDeck(file).records[0].Zielwert, '108');
+  assert.equal(updateCard(file, 'NOPE', { prompt: 'x' }).error, 'NO_CARD');
+});
+
+test('disabled cards stay in the file but can be hidden; delete removes them', () => {
+  assert.equal(setCardDisabled(file, 'S-002').card.disabled, true);
+  assert.deepEqual(listCards(file, { includeDisabled: false }).map(c => c.id), ['S-001']);
+  assert.equal(setCardDisabled(file, 'S-002', false).card.disabled, false);
+  assert.equal(deleteCard(file, 'S-001').ok, true);
+  assert.deepEqual(listCards(file).map(c => c.id), ['S-002']);
+  assert.equal(deleteCard(file, 'S-001').error, 'NO_CARD');
+});
@@ -0,0 +1,25 @@
+// backend/test/deckTools.test.js
+// Deck validation counts as printed by `npm run deck -- validate`.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateDeck } from '../src/deckTools.js';
+
+const row = (fields) => ({
+  Kategorie: 'Geschwindigkeit', ID: 'S-1', Kurzname: 'x', Prompt: 'Gepard', Typ: 'Max',
+  display_unit: 'km/h', Zielwert: '36', value_si: '10', Emoji: '🐆', FunFact: 'schnell', Difficulty: 'easy', ...fields,
+});
+
+test('a row counts as valid only without errors', () => {
+  const { issues, counts } = validateDeck([
+    row({ ID: 'S-1' }),
+    row({ ID: 'S-2', FunFact: '' }),                     // warning only
+    row({ ID: 'S-3', display_unit: 'parsec' }),          // UNKNOWN_UNIT
+    row({ ID: 'S-4', value_si: '99' }),                  // VALUE_MISMATCH
+    row({ ID: 'S-1' }),                                  // DUPLICATE_ID
+  ]);
+  assert.deepEqual(issues.filter(x => x.level === 'error').map(x => x.code), ['UNKNOWN_UNIT', 'VALUE_MISMATCH', 'DUPLICATE_ID']);
+  assert.equal(counts.rows, 5);
+  assert.equal(counts.valid, 2);
+  assert.equal(counts.errors, 3);
+  assert.equal(counts.warnings, 1);
+});
@@ -0,0 +1,57 @@
+// backend/test/difficulty.test.js
+// Difficulty levels: the Difficulty column, deck filtering and a room playing one level only.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { difficultyOf, filterByDifficulty } from '../src/cards.js';
+import { startServer, connect, request, next, sleep } from './helpers/server.js';
+
+test('the Difficulty column is read case-insensitively and defaults to medium', () => {
+  assert.equal(difficultyOf({ Difficulty: 'Easy' }), 'easy');
+  assert.equal(difficultyOf({ difficulty: 'hard (experts)' }), 'hard');
+  assert.equal(difficultyOf({ Difficulty: '' }), 'medium');
+  assert.equal(difficultyOf({ Difficulty: 'leicht' }), 'medium');
+});
+
+test('filtering keeps categories with enough cards of the level only', () => {
+  const cards = (prefix, level, n) => Array.from({ length: n }, (_, i) => ({ id: `${prefix}${i}`, Difficulty: level }));
+  const items = { speed: [...cards('e', 'easy', 5), ...cards('h', 'hard', 2)], weight: cards('w', 'easy', 4) };
+  assert.deepEqual(Object.keys(filterByDifficulty(items, ['easy'])), ['speed']);
+  assert.equal(filterByDifficulty(items, ['easy']).speed.length, 5);
+  assert.equal(filterByDifficulty(items, ['hard']), null);
+  assert.equal(filterByDifficulty(items, ['hard'], 2).speed.length, 2);
+});
+
+test('a room set to one level deals only cards of that level', async () => {
+  const server = await startServer({ ADMIN_TOKEN: 'level-secret' });
+  const sockets = [];
+  try {
+    const card = (id, Difficulty, i) => ({ Kategorie: 'Geschwindigkeit', ID: id, Prompt: id, display_unit: 'km/h', Zielwert: String(10 + i), Difficulty });
+    const cards = [];
+    for (let i = 0; i < 8; i++) cards.push(card(`E-${i}`, 'easy', i), card(`H-${i}`, 'hard', i + 100));
+    const upload = await fetch(`${server.url}/admin/room/LVL/deck`, {
+      method: 'POST', headers: { 'content-type': 'application/json', authorization: 'Bearer level-secret' }, body: JSON.stringify({ cards }),
+    });
+    assert.equal((await upload.json()).accepted, 16);
+
+    for (const name of ['Ann', 'Ben']) {
+      const socket = connect(server.url);
+      sockets.push(socket);
+      await request(socket, 'TEAM_JOIN', { roomCode: 'LVL', name });
+      socket.emit('PLAYER_READY', { roomCode: 'LVL' });
+    }
+    const [host] = sockets;
+    assert.equal((await request(host, 'UPDATE_SETTINGS', { roomCode: 'LVL', settings: { difficulty: 'expert' } })).error, 'INVALID_DIFFICULTY');
+    assert.equal((await request(host, 'UPDATE_SETTINGS', { roomCode: 'LVL', settings: { difficulty: 'hard' } })).ok, true);
+    await sleep(100);
+    const dealt = next(host, 'PLAYER_HAND');
+    const round = next(host, 'ROUND_START');
+    assert.equal((await request(host, 'ADMIN_START', { roomCode: 'LVL' })).ok, true);
+    const { hand } = await dealt;
+    assert.ok(hand.length > 0);
+    assert.ok(hand.every(c => c.id.startsWith('H-')), hand.map(c => c.id).join());
+    assert.equal((await round).difficulty, 'hard');
+  } finally {
+    for (const s of sockets) s.close();
+    await server.stop();
+  }
+});
@@ -0,0 +1,38 @@
+// backend/test/guessParser.test.js
+// Free-text guesses: number notation, scale words and units.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGuess, parseAmount } from '../src/guessParser.js';
+
+test('parseAmount reads German and English notation', () => {
+  assert.equal(parseAmount('1.234,5'), 1234.5);
+  assert.equal(parseAmount('1,234.5'), 1234.5);
+  assert.equal(parseAmount('1.000.000'), 1e6);
+  assert.equal(parseAmount('1,5'), 1.5);
+  assert.equal(parseAmount('2,000'), 2000);
+  assert.ok(Number.isNaN(parseAmount('abc')));
+});
+
+test('scale words multiply the amount', () => {
+  assert.equal(parseGuess('3k km', { dimension: 'length' }).si, 3e6);
+  assert.equal(parseGuess('2 Mio. Tonnen', { dimension: 'mass' }).si, 2e9);
+  assert.equal(parseGuess('1,5 Mio', { dimension: 'length', defaultUnit: 'km' }).si, 1.5e9);
+});
+
+test('a count unit is not applied twice', () => {
+  const g = parseGuess('3,7 Mio', { dimension: 'count', defaultUnit: 'Mio' });
+  assert.equal(g.unit, 'Mio');
+  assert.equal(g.si, 3.7e6);
+  assert.equal(parseGuess('3,7 Mio', { dimension: 'count', defaultUnit: 'Stück' }).si, 3.7e6);
+  assert.equal(parseGuess('2 Mrd', { defaultUnit: 'Mio' }).si, 2e9);
+  assert.equal(parseGuess('3 Mio Stück', { dimension: 'count' }).si, 3e6);
+  assert.equal(parseGuess('4 Tsd', { dimension: 'count', defaultUnit: 'Tsd' }).si, 4e3);
+});
+
+test('units are checked against the round dimension', () => {
+  assert.equal(parseGuess('120 km/h', { dimension: 'speed' }).unit, 'km/h');
+  assert.equal(parseGuess('5 kg', { dimension: 'length' }).error, 'UNIT_MISMATCH');
+  assert.equal(parseGuess('5 parsec', { dimension: 'length' }).error, 'UNKNOWN_UNIT');
+  assert.equal(parseGuess('-5 °C', { dimension: 'temperature' }).ok, true);
+  assert.equal(parseGuess('0 m', { dimension: 'length' }).error, 'BAD_GUESS');
+});
@@ -0,0 +1,54 @@
+// backend/test/helpers/server.js
+// Boots the backend as a child process (in-memory stores) for socket tests and connects socket.io clients.
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { io } from 'socket.io-client';
+
+const ROOT = fileURLToPath(new URL('../..', import.meta.url));
+
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves with { url, log(), stop() } once the server listens; the port it ends up on is read from its log
+export async function startServer(env = {}) {
+  const proc = spawn(process.execPath, ['src/index.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(4700 + Math.floor(Math.random() * 2000)),
+      ROOM_STORE: 'memory',
+      NODE_ENV: 'test',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let log = '';
+  proc.stdout.on('data', d => { log += d; });
+  proc.stderr.on('data', d => { log += d; });
+  const exited = new Promise(resolve => proc.once('exit', resolve));
+  const stop = async () => { if (proc.exitCode === null) { proc.kill(); await exited; } };
+  for (let i = 0; i < 100; i++) {
+    const m = log.match(/Server running on http:\/\/0\.0\.0\.0:(\d+)/);
+    if (m) return { url: `http://127.0.0.1:${m[1]}`, log: () => log, stop };
+    if (proc.exitCode !== null) break;
+    await sleep(100);
+  }
+  await stop();
+  throw new Error(`server did not start:\n${log}`);
+}
+
+export function connect(url) {
+  return io(`${url}/game`, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+// emit with an ack; rejects when the server does not answer in time
+export function request(socket, event, payload) {
+  return socket.timeout(5000).emitWithAck(event, payload);
+}
+
+// next occurrence of `event` on the socket
+export function next(socket, event, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`no ${event} within ${timeout}ms`)), timeout);
+    socket.once(event, (payload) => { clearTimeout(timer); resolve(payload); });
+  });
+}
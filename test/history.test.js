@@ -0,0 +1,113 @@
+// backend/test/history.test.js
+// Game archive: legacy id mapping, CSV rows, store queries and a finished game over sockets.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createGameStore, withPublicIds, gameToRows, gamesToCsv, GAME_CSV_FIELDS } from '../src/gameStore.js';
+import { publicIdFor } from '../src/profileStore.js';
+import { startServer, connect, request, next, sleep } from './helpers/server.js';
+
+const legacyGame = (fields = {}) => ({
+  id: 'G1', roomCode: 'QUIZ', endedAt: 1000, settings: { teamMode: 'solo' },
+  rounds: [{ round: 1, category: 'Gewicht', target: 10, submissions: [{ teamId: 'P1_1', rank: 1 }, { teamId: 'P2_2', rank: 2 }], symbol: { teamId: 'P1_1', symbol: '⚖️' } }],
+  standings: [{ teamId: 'P1_1', symbols: 1 }, { teamId: 'P2_2', symbols: 0 }],
+  symbols: { P1_1: [{ category: 'Gewicht', symbol: '⚖️' }] },
+  ...fields,
+});
+
+test('legacy solo archives are mapped to publicIds everywhere', () => {
+  const g = withPublicIds(legacyGame());
+  assert.equal(g.publicIds, true);
+  assert.deepEqual(g.rounds[0].submissions.map(s => s.teamId), [publicIdFor('P1_1'), publicIdFor('P2_2')]);
+  assert.equal(g.rounds[0].symbol.teamId, publicIdFor('P1_1'));
+  assert.deepEqual(g.standings.map(s => s.teamId), [publicIdFor('P1_1'), publicIdFor('P2_2')]);
+  assert.deepEqual(Object.keys(g.symbols), [publicIdFor('P1_1')]);
+  assert.ok(!JSON.stringify(g).includes('P1_1'));
+  // mapped once only
+  assert.equal(withPublicIds(g), g);
+});
+
+test('team games and new records keep their ids', () => {
+  const team = withPublicIds(legacyGame({ settings: { teamMode: 'team' } }));
+  assert.equal(team.standings[0].teamId, 'P1_1');
+  const fresh = legacyGame({ publicIds: true });
+  assert.equal(withPublicIds(fresh), fresh);
+});
+
+test('CSV export has one row per submission and marks the symbol winner', () => {
+  const rows = gameToRows(withPublicIds(legacyGame()));
+  assert.equal(rows.length, 2);
+  assert.deepEqual(rows.map(r => r.symbol), ['⚖️', '']);
+  const csv = gamesToCsv([legacyGame({ publicIds: true })]);
+  assert.equal(csv.split('\n')[0], GAME_CSV_FIELDS.join(','));
+  assert.equal(csv.trim().split('\n').length, 3);
+});
+
+test('stores list newest first and filter by room', () => {
+  const store = createGameStore('memory');
+  store.saveGame(legacyGame({ id: 'A', roomCode: 'ONE', endedAt: 1 }));
+  store.saveGame(legacyGame({ id: 'B', roomCode: 'TWO', endedAt: 2 }));
+  store.saveGame(legacyGame({ id: 'C', roomCode: 'ONE', endedAt: 3 }));
+  assert.deepEqual(store.listGames().map(g => g.id), ['C', 'B', 'A']);
+  assert.deepEqual(store.listGames({ roomCode: 'one' }).map(g => g.id), ['C', 'A']);
+  assert.deepEqual(store.listGames({ limit: 1 }).map(g => g.id), ['C']);
+});
+
+test('the JSON lines store maps legacy records on load', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'games-'));
+  const saved = process.env.GAME_STORE_FILE;
+  try {
+    process.env.GAME_STORE_FILE = path.join(dir, 'games.jsonl');
+    fs.writeFileSync(process.env.GAME_STORE_FILE, JSON.stringify(legacyGame()) + '\n{"torn');
+    const store = createGameStore('json');
+    assert.equal(store.getGame('G1').standings[0].teamId, publicIdFor('P1_1'));
+    store.saveGame(legacyGame({ id: 'G2', publicIds: true, endedAt: 2000 }));
+    assert.deepEqual(createGameStore('json').listGames().map(g => g.id), ['G2', 'G1']);
+  } finally {
+    if (saved === undefined) delete process.env.GAME_STORE_FILE; else process.env.GAME_STORE_FILE = saved;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a finished solo game is archived and served without playerIds', async () => {
+  const server = await startServer({ GAME_STORE: 'memory' });
+  const sockets = [];
+  try {
+    const players = [];
+    for (const name of ['Ann', 'Ben']) {
+      const socket = connect(server.url);
+      sockets.push(socket);
+      const hand = next(socket, 'PLAYER_HAND');
+      hand.catch(() => {});
+      players.push({ socket, hand, join: await request(socket, 'TEAM_JOIN', { roomCode: 'Arc', name }) });
+    }
+    const [ann, ben] = players;
+    assert.deepEqual(await request(ann.socket, 'UPDATE_SETTINGS', { roomCode: 'ARC', settings: { rounds: 1, winCondition: 'points' } }), { ok: true });
+    for (const p of players) p.socket.emit('PLAYER_READY', { roomCode: 'ARC' });
+    await sleep(100);
+    assert.equal((await request(ann.socket, 'ADMIN_START', { roomCode: 'ARC' })).ok, true);
+    const end = next(ben.socket, 'GAME_END');
+    for (const p of players) {
+      const { hand } = await p.hand;
+      assert.equal((await request(p.socket, 'SUBMIT', { roomCode: 'ARC', cardId: hand[0].id })).ok, true);
+    }
+    const { gameId, standings } = await end;
+    assert.deepEqual(standings.map(s => s.teamId).sort(), [ann.join.publicId, ben.join.publicId].sort());
+
+    const { game } = await (await fetch(`${server.url}/games/${gameId}`)).json();
+    const history = await (await fetch(`${server.url}/rooms/ARC/history?full=1`)).json();
+    for (const body of [JSON.stringify(game), JSON.stringify(history)]) {
+      assert.ok(!body.includes(ann.join.playerId) && !body.includes(ben.join.playerId));
+    }
+    assert.deepEqual(game.rounds[0].submissions.map(s => s.teamId).sort(), [ann.join.publicId, ben.join.publicId].sort());
+
+    const csv = await fetch(`${server.url}/rooms/Arc/history?format=csv`);
+    assert.equal(csv.headers.get('content-disposition'), 'attachment; filename="history-Arc.csv"');
+    assert.ok(!(await csv.text()).includes(ann.join.playerId));
+  } finally {
+    for (const s of sockets) s.close();
+    await server.stop();
+  }
+});
@@ -0,0 +1,82 @@
+// backend/test/i18n.test.js
+// Room languages: message catalogs with German fallback, translated deck columns and the room setting.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { t, normalizeLanguage, LANGUAGES, DEFAULT_LANGUAGE } from '../src/i18n.js';
+import { translationColumn, localizeCard, deckLanguages } from '../src/cards.js';
+import { publicCategory } from '../src/categories.js';
+import { startServer, connect, request, next, sleep } from './helpers/server.js';
+
+test('messages fill placeholders and fall back to German, then to the key', () => {
+  assert.equal(t('en', 'start.notEnoughReady', { min: 2 }), 'At least 2 players must be ready.');
+  assert.equal(t('fr', 'combo.addOnly'), t(DEFAULT_LANGUAGE, 'combo.addOnly'));
+  assert.equal(t('en', 'no.such.key'), 'no.such.key');
+  // placeholders without a value stay visible
+  assert.equal(t('en', 'joker.limitPer', { limit: 2 }), 'Joker limit reached (2 per {per})');
+  assert.deepEqual([...LANGUAGES].sort(), ['de', 'en']);
+});
+
+test('language codes are normalized', () => {
+  assert.equal(normalizeLanguage('EN'), 'en');
+  assert.equal(normalizeLanguage(' en-GB '), 'en');
+  assert.equal(normalizeLanguage('pt_BR'), 'pt');
+  assert.equal(normalizeLanguage('english'), null);
+  assert.equal(normalizeLanguage(null), null);
+});
+
+test('translated deck columns localize cards and categories', () => {
+  assert.deepEqual(translationColumn('Prompt_en'), { field: 'prompt', lang: 'en', header: 'Prompt_en' });
+  assert.equal(translationColumn('FunFact_fr').field, 'FunFact');
+  assert.equal(translationColumn('Zielwert_en'), null);
+  assert.equal(translationColumn('Prompt'), null);
+
+  const card = { id: 'S-1', prompt: 'Schnecke', kurzname: 'Schnecke', FunFact: 'langsam', i18n: { en: { prompt: 'Snail' } } };
+  const en = localizeCard(card, 'en');
+  assert.deepEqual([en.prompt, en.kurzname, en.FunFact], ['Snail', '', 'langsam']);
+  assert.equal(localizeCard(card, 'fr'), card);
+  assert.deepEqual(deckLanguages({ speed: [card, { i18n: { fr: { prompt: 'Escargot' } } }], weight: [] }), ['en', 'fr']);
+
+  assert.equal(publicCategory('speed', 'en').label, 'Speed');
+  assert.equal(publicCategory('speed', 'fr').label, 'Geschwindigkeit');
+  assert.equal(publicCategory('magic', 'en').label, 'magic');
+});
+
+test('rooms accept deck languages, deal translated cards and answer in their language', async () => {
+  const server = await startServer({ ADMIN_TOKEN: 'lang-secret' });
+  const sockets = [];
+  try {
+    for (const name of ['Ann', 'Ben']) {
+      const socket = connect(server.url);
+      sockets.push(socket);
+      await request(socket, 'TEAM_JOIN', { roomCode: 'LANG', name });
+    }
+    const [host] = sockets;
+    const update = (settings) => request(host, 'UPDATE_SETTINGS', { roomCode: 'LANG', settings });
+    const unknown = await update({ language: 'fr' });
+    assert.equal(unknown.error, 'INVALID_LANGUAGE');
+    assert.match(unknown.message, /fr/);
+    assert.equal((await update({ language: 'EN' })).ok, true);
+    assert.equal((await request(host, 'ADMIN_START', { roomCode: 'LANG' })).message, t('en', 'start.notEnoughReady', { min: 2 }));
+
+    // a deck with French prompts makes 'fr' a room language; messages fall back to German
+    const cards = Array.from({ length: 12 }, (_, i) => ({ Kategorie: 'Geschwindigkeit', ID: `S-${i}`, Prompt: `Schnecke ${i}`, Prompt_fr: `Escargot ${i}`, display_unit: 'km/h', Zielwert: String(i + 1) }));
+    const upload = await fetch(`${server.url}/admin/room/LANG/deck`, {
+      method: 'POST', headers: { 'content-type': 'application/json', authorization: 'Bearer lang-secret' }, body: JSON.stringify({ cards }),
+    });
+    assert.equal((await upload.json()).ok, true);
+    assert.equal((await update({ language: 'fr' })).ok, true);
+    for (const s of sockets) s.emit('PLAYER_READY', { roomCode: 'LANG' });
+    await sleep(100);
+    const round = next(host, 'ROUND_START');
+    const dealt = next(host, 'PLAYER_HAND');
+    assert.equal((await request(host, 'ADMIN_START', { roomCode: 'LANG' })).ok, true);
+    const { hand } = await dealt;
+    assert.ok(hand.every(c => c.prompt.startsWith('Escargot')), hand.map(c => c.prompt).join());
+    assert.equal((await round).categoryInfo.label, 'Geschwindigkeit');
+    const combo = await request(host, 'SUBMIT', { roomCode: 'LANG', cardId: hand[0].id, secondCardId: hand[1].id });
+    assert.equal(combo.message, t('de', 'combo.disabled'));
+  } finally {
+    for (const s of sockets) s.close();
+    await server.stop();
+  }
+});
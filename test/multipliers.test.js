@@ -0,0 +1,71 @@
+// backend/test/multipliers.test.js
+// Multiplier sets: presets and custom sets, the built lists, and how rooms apply them.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeMultiplierSet, buildMultipliers, localizeMultipliers, isJoker, jokerKind, MULTIPLIER_PRESETS } from '../src/multipliers.js';
+import { startServer, connect, request, next, sleep } from './helpers/server.js';
+
+test('presets and custom sets are validated', () => {
+  assert.deepEqual(normalizeMultiplierSet('extended').value, { ...MULTIPLIER_PRESETS.extended, preset: 'extended' });
+  assert.equal(normalizeMultiplierSet(null).value.preset, 'classic');
+  const custom = normalizeMultiplierSet({ standard: [2, 2, 0.1], jokers: ['peek'], jokerLimit: 1, jokerRefill: 'round' });
+  assert.deepEqual(custom.value, { standard: [2, 0.1], jokers: ['peek'], jokerLimit: 1, jokerRefill: 'round', preset: 'custom' });
+  for (const bad of ['huge', [2], { standard: [] }, { standard: [-1] }, { jokers: ['steal'] }, { jokerLimit: 1.5 }, { jokerRefill: 'week' }]) {
+    assert.equal(normalizeMultiplierSet(bad).ok, false, JSON.stringify(bad));
+  }
+});
+
+test('built lists keep the stable ids and label jokers in the room language', () => {
+  const list = buildMultipliers(normalizeMultiplierSet('extended').value, 'en');
+  const byId = Object.fromEntries(list.map(m => [m.id, m]));
+  assert.equal(byId.m05.label, '×0.5');
+  assert.equal(byId.d10.label, '÷10');
+  assert.equal(byId.d10.factor, 1 / 10);
+  assert.equal(byId.j50_mul.type, 'joker');
+  assert.equal(byId.j100_div.label, '÷100');
+  assert.equal(byId.j_combine.label, '➕ Combo');
+  assert.equal(jokerKind(byId.j_peek), 'peek');
+  assert.equal(jokerKind(byId.m2), null);
+  assert.equal(isJoker(byId.j_double), true);
+  assert.ok(list.filter(isJoker).every(m => m.used === false));
+
+  localizeMultipliers(list, 'de');
+  assert.equal(byId.j_combine.label, '➕ Kombi');
+  assert.equal(byId.j50_mul.label, '×50');
+});
+
+test('rooms deal the chosen set, enforce the joker limit and lock the set mid-game', async () => {
+  const server = await startServer();
+  const sockets = [];
+  try {
+    for (const name of ['Ann', 'Ben']) {
+      const socket = connect(server.url);
+      sockets.push(socket);
+      await request(socket, 'TEAM_JOIN', { roomCode: 'MULT', name });
+      socket.emit('PLAYER_READY', { roomCode: 'MULT' });
+    }
+    const [host] = sockets;
+    const update = (settings) => request(host, 'UPDATE_SETTINGS', { roomCode: 'MULT', settings });
+    // nothing of a rejected update is applied
+    assert.equal((await update({ multiplierSet: 'extended', categories: { magic: true } })).error, 'INVALID_CATEGORIES');
+    const watcher = connect(server.url);
+    sockets.push(watcher);
+    assert.equal((await request(watcher, 'TEAM_JOIN', { roomCode: 'MULT', name: 'Cem' })).settings.multiplierSet.preset, 'classic');
+
+    assert.equal((await update({ multiplierSet: { preset: 'extended', jokerLimit: 1 }, jokersEnabled: true })).ok, true);
+    await sleep(100);
+    const dealt = next(host, 'PLAYER_HAND');
+    assert.equal((await request(host, 'ADMIN_START', { roomCode: 'MULT' })).ok, true);
+    const { hand, multipliers } = await dealt;
+    assert.ok(multipliers.some(m => m.id === 'j_double'));
+    assert.ok(!multipliers.some(m => m.id === 'j1000_mul'));
+
+    const limited = await request(host, 'SUBMIT', { roomCode: 'MULT', cardId: hand[0].id, multiplierId: 'j50_mul', jokerId: 'j_double' });
+    assert.equal(limited.error, 'JOKER_LIMIT');
+    assert.equal((await request(host, 'SUBMIT', { roomCode: 'MULT', cardId: hand[0].id, multiplierId: 'j50_mul' })).ok, true);
+    assert.equal((await update({ multiplierSet: 'classic' })).error, 'MULTIPLIERS_LOCKED');
+  } finally {
+    for (const s of sockets) s.close();
+    await server.stop();
+  }
+});
@@ -0,0 +1,90 @@
+// backend/test/persistence.test.js
+// Room snapshots: the JSON store and a running game surviving a server restart.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createRoomStore } from '../src/roomStore.js';
+import { startServer, connect, request, next, sleep } from './helpers/server.js';
+
+function withTempDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rooms-'));
+  return Promise.resolve(fn(dir)).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+test('the JSON store writes snapshots atomically and reloads them', () => withTempDir((dir) => {
+  const saved = process.env.ROOM_STORE_FILE;
+  try {
+    process.env.ROOM_STORE_FILE = path.join(dir, 'rooms.json');
+    const store = createRoomStore('json');
+    store.saveRoom('ONE', { code: 'ONE', state: 'playing' });
+    store.saveRoom('TWO', { code: 'TWO', state: 'lobby' });
+    store.removeRoom('TWO');
+    store.saveSessions({ P1_1: { roomCode: 'ONE', teamId: 'P1_1' } });
+    store.flush();
+    assert.deepEqual(fs.readdirSync(dir), ['rooms.json']);
+
+    const { rooms, sessions } = createRoomStore('json').load();
+    assert.deepEqual(Object.keys(rooms), ['ONE']);
+    assert.equal(rooms.ONE.state, 'playing');
+    assert.equal(sessions.P1_1.roomCode, 'ONE');
+  } finally {
+    if (saved === undefined) delete process.env.ROOM_STORE_FILE; else process.env.ROOM_STORE_FILE = saved;
+  }
+}));
+
+test('stale snapshots and unreadable files are ignored on load', () => withTempDir((dir) => {
+  const saved = process.env.ROOM_STORE_FILE;
+  try {
+    process.env.ROOM_STORE_FILE = path.join(dir, 'rooms.json');
+    fs.writeFileSync(process.env.ROOM_STORE_FILE, JSON.stringify({ rooms: { OLD: { code: 'OLD', savedAt: 1 }, NEW: { code: 'NEW', savedAt: Date.now() } }, sessions: {} }));
+    assert.deepEqual(Object.keys(createRoomStore('json').load().rooms), ['NEW']);
+    fs.writeFileSync(process.env.ROOM_STORE_FILE, '{ not json');
+    assert.deepEqual(createRoomStore('json').load(), { rooms: {}, sessions: {} });
+    assert.equal(createRoomStore('memory').kind, 'memory');
+  } finally {
+    if (saved === undefined) delete process.env.ROOM_STORE_FILE; else process.env.ROOM_STORE_FILE = saved;
+  }
+}));
+
+test('a running game and its players survive a restart', () => withTempDir(async (dir) => {
+  const env = { ROOM_STORE: 'json', DATA_DIR: dir };
+  let server = await startServer(env);
+  const sockets = [];
+  let join, hand;
+  try {
+    const host = connect(server.url);
+    const guest = connect(server.url);
+    sockets.push(host, guest);
+    const dealt = next(host, 'PLAYER_HAND');
+    join = await request(host, 'TEAM_JOIN', { roomCode: 'KEEP', name: 'Ann' });
+    await request(guest, 'TEAM_JOIN', { roomCode: 'KEEP', name: 'Ben' });
+    host.emit('PLAYER_READY', { roomCode: 'KEEP' });
+    guest.emit('PLAYER_READY', { roomCode: 'KEEP' });
+    await sleep(100);
+    assert.equal((await request(host, 'ADMIN_START', { roomCode: 'KEEP' })).ok, true);
+    hand = (await dealt).hand.map(c => c.id);
+  } finally {
+    for (const s of sockets.splice(0)) s.close();
+    await server.stop();
+  }
+  assert.ok(fs.existsSync(path.join(dir, 'rooms.json')));
+
+  server = await startServer(env);
+  try {
+    const again = connect(server.url);
+    sockets.push(again);
+    const reconnected = next(again, 'RECONNECT_SUCCESS');
+    const rejoin = await request(again, 'TEAM_JOIN', { roomCode: 'KEEP', name: 'Ann', playerId: join.playerId });
+    assert.equal(rejoin.ok, true);
+    assert.equal(rejoin.roomState, 'playing');
+    // the restored host gets its rights back on its own session
+    assert.equal(rejoin.isAdmin, true);
+    const state = await reconnected;
+    assert.deepEqual(state.playerData.hand.map(c => c.id), hand);
+  } finally {
+    for (const s of sockets) s.close();
+    await server.stop();
+  }
+}));
@@ -0,0 +1,57 @@
+// backend/test/profiles.test.js
+// Player profiles and leaderboards: totals, public views and board filters.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProfileStore, publicProfile, buildLeaderboard, publicIdFor } from '../src/profileStore.js';
+
+const game = (fields = {}) => ({
+  gameId: 'G', roomCode: 'QUIZ', endedAt: Date.UTC(2026, 0, 15), won: false, rank: 2, points: 0, rounds: 5,
+  roundWins: 1, answered: 4, logErrorSum: 2, jokersUsed: 0, symbols: {}, ...fields,
+});
+
+function storeWithGames() {
+  const store = createProfileStore('memory');
+  store.recordGame([
+    { playerId: 'P1_1', name: 'Ann', avatar: '🦊', game: game({ gameId: 'G1', won: true, rank: 1, points: 30, symbols: { Gewicht: 2 } }) },
+    { playerId: 'P2_2', name: 'Ben', game: game({ gameId: 'G1', points: 50, answered: 4, logErrorSum: 0.4 }) },
+  ]);
+  store.recordGame([
+    { playerId: 'P2_2', name: 'Ben', game: game({ gameId: 'G2', roomCode: 'OTHER', endedAt: Date.UTC(2026, 1, 3), won: true, rank: 1, points: 10 }) },
+  ]);
+  return store;
+}
+
+test('profiles aggregate every recorded game under a publicId', () => {
+  const store = storeWithGames();
+  const ben = store.get('P2_2');
+  assert.equal(ben.publicId, publicIdFor('P2_2'));
+  assert.equal(store.findByPublicId(publicIdFor('P2_2')), ben);
+  assert.deepEqual([ben.totals.games, ben.totals.wins, ben.totals.points], [2, 1, 60]);
+  assert.equal(store.get('P1_1').avatar, '🦊');
+});
+
+test('the public profile never carries the playerId', () => {
+  const view = publicProfile(storeWithGames().get('P2_2'), { recent: 1 });
+  assert.ok(!JSON.stringify(view).includes('P2_2'));
+  assert.equal(view.stats.winRate, 0.5);
+  assert.equal(view.stats.avgLogError, 2.4 / 8);
+  assert.deepEqual(view.recentGames.map(g => g.gameId), ['G2']);
+});
+
+test('leaderboards sort, filter by month and room and only show publicIds', () => {
+  const all = storeWithGames().all();
+  // one win each: the win rate breaks the tie
+  const byWins = buildLeaderboard(all);
+  assert.deepEqual(byWins.players.map(p => [p.rank, p.name]), [[1, 'Ann'], [2, 'Ben']]);
+  assert.ok(!JSON.stringify(byWins).includes('P1_1'));
+  assert.deepEqual(buildLeaderboard(all, { sort: 'symbols' }).players.map(p => p.name), ['Ann', 'Ben']);
+  assert.deepEqual(buildLeaderboard(all, { sort: 'accuracy' }).players.map(p => p.name), ['Ben', 'Ann']);
+
+  const january = buildLeaderboard(all, { period: 'month', month: '2026-01', sort: 'points' });
+  assert.equal(january.month, '2026-01');
+  assert.deepEqual(january.players.map(p => [p.name, p.points]), [['Ben', 50], ['Ann', 30]]);
+  const room = buildLeaderboard(all, { roomCode: 'other' });
+  assert.deepEqual(room.players.map(p => [p.name, p.games]), [['Ben', 1]]);
+  assert.equal(buildLeaderboard(all, { sort: 'bogus', limit: 1 }).sort, 'wins');
+  assert.equal(buildLeaderboard(all, { limit: 1 }).players.length, 1);
+});
@@ -0,0 +1,50 @@
+// backend/test/scheduler.test.js
+// Card scheduler: unused cards first, recycling an exhausted pool, snapshots.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { shuffle, createSchedule, serializeSchedule, resetSchedule, drawCards, poolStatus } from '../src/scheduler.js';
+
+const pool = Array.from({ length: 10 }, (_, i) => ({ id: `c${i}` }));
+const ids = (cards) => cards.map(c => c.id);
+
+test('shuffle returns a permutation and leaves the input alone', () => {
+  const input = [1, 2, 3, 4, 5];
+  const out = shuffle(input);
+  assert.deepEqual(input, [1, 2, 3, 4, 5]);
+  assert.deepEqual([...out].sort(), input);
+});
+
+test('no card repeats until the pool is used up', () => {
+  const schedule = createSchedule();
+  const seen = [];
+  for (let i = 0; i < 5; i++) seen.push(...ids(drawCards(schedule, pool, 2)));
+  assert.equal(new Set(seen).size, 10);
+  assert.deepEqual(poolStatus(schedule, pool), { total: 10, unused: 0 });
+});
+
+test('an exhausted pool starts over without repeating the cards just drawn', () => {
+  const schedule = createSchedule();
+  drawCards(schedule, pool, 8);
+  const left = pool.filter(c => !schedule.used.has(c.id)).map(c => c.id);
+  const drawn = ids(drawCards(schedule, pool, 4));
+  assert.equal(new Set(drawn).size, 4);
+  // the two unused cards come first, the rest is recycled
+  assert.deepEqual(drawn.slice(0, 2).sort(), left.sort());
+  assert.equal(poolStatus(schedule, pool).unused, 6);
+});
+
+test('excluded cards are never drawn', () => {
+  const schedule = createSchedule();
+  for (let i = 0; i < 6; i++) assert.ok(!ids(drawCards(schedule, pool, 3, { exclude: ['c0'] })).includes('c0'));
+});
+
+test('schedules survive a snapshot and can be reset', () => {
+  const schedule = createSchedule();
+  const first = ids(drawCards(schedule, pool, 6));
+  const restored = createSchedule(JSON.parse(JSON.stringify(serializeSchedule(schedule))));
+  const rest = ids(drawCards(restored, pool, 4));
+  assert.deepEqual([...first, ...rest].sort(), ids(pool).sort());
+  resetSchedule(restored);
+  assert.equal(poolStatus(restored, pool).unused, 10);
+  assert.deepEqual(serializeSchedule(createSchedule()), { used: [] });
+});
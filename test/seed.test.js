@@ -0,0 +1,59 @@
+// backend/test/seed.test.js
+// Seeded games: the PRNG and two rooms with the same seed playing the same first round.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashSeed, createRng, randomSeed } from '../src/rng.js';
+import { startServer, connect, request, next, sleep } from './helpers/server.js';
+
+test('the same seed yields the same sequence', () => {
+  assert.equal(hashSeed('cup-final'), hashSeed('cup-final'));
+  assert.notEqual(hashSeed('cup-final'), hashSeed('cup-final2'));
+  assert.equal(hashSeed(42), hashSeed('42'));
+  const a = createRng({ state: hashSeed('x') });
+  const b = createRng({ state: hashSeed('x') });
+  const seq = Array.from({ length: 5 }, a);
+  assert.deepEqual(Array.from({ length: 5 }, b), seq);
+  assert.ok(seq.every(n => n >= 0 && n < 1));
+  assert.match(randomSeed(), /^[0-9a-f]{10}$/);
+});
+
+test('the generator resumes from its persisted state', () => {
+  const holder = { state: hashSeed('resume') };
+  const rng = createRng(holder);
+  rng(); rng();
+  const saved = JSON.parse(JSON.stringify(holder));
+  const expected = [rng(), rng()];
+  const resumed = createRng(saved);
+  assert.deepEqual([resumed(), resumed()], expected);
+});
+
+test('rooms with the same seed play the same first round', async () => {
+  const server = await startServer();
+  const sockets = [];
+  try {
+    const play = async (code, seed) => {
+      const players = [];
+      for (const name of ['Ann', 'Ben']) {
+        const socket = connect(server.url);
+        sockets.push(socket);
+        await request(socket, 'TEAM_JOIN', { roomCode: code, name });
+        players.push(socket);
+      }
+      assert.equal((await request(players[0], 'UPDATE_SETTINGS', { roomCode: code, settings: { seed } })).ok, true);
+      for (const s of players) s.emit('PLAYER_READY', { roomCode: code });
+      await sleep(100);
+      const round = next(players[0], 'ROUND_START');
+      const hands = players.map(s => next(s, 'PLAYER_HAND'));
+      assert.equal((await request(players[0], 'ADMIN_START', { roomCode: code })).ok, true);
+      const { category, k, refPrompt } = await round;
+      return { category, k, refPrompt, hands: (await Promise.all(hands)).map(h => h.hand.map(c => c.id)) };
+    };
+    const first = await play('SEED1', 'cup-final');
+    const second = await play('SEED2', 'cup-final');
+    assert.deepEqual(second, first);
+    assert.equal((await request(sockets[0], 'UPDATE_SETTINGS', { roomCode: 'SEED1', settings: { seed: { x: 1 } } })).error, 'INVALID_SEED');
+  } finally {
+    for (const s of sockets) s.close();
+    await server.stop();
+  }
+});
@@ -0,0 +1,87 @@
+// backend/test/teams.test.js
+// Team mode over sockets: captain-only submits, majority vote lock, team size for late joiners.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, connect, request, next, sleep } from './helpers/server.js';
+
+let server;
+before(async () => { server = await startServer({ GAME_STORE: 'memory' }); });
+after(async () => { await server.stop(); });
+
+// players join `room` one by one; the first (host) switches to team mode
+async function joinAll(room, names, settings) {
+  const players = [];
+  for (const name of names) {
+    const socket = connect(server.url);
+    const hand = next(socket, 'PLAYER_HAND');
+    hand.catch(() => {});
+    const join = await request(socket, 'TEAM_JOIN', { roomCode: room, name });
+    assert.equal(join.ok, true);
+    players.push({ socket, join, hand });
+    if (players.length === 1) assert.deepEqual(await request(socket, 'UPDATE_SETTINGS', { roomCode: room, settings }), { ok: true });
+  }
+  return players;
+}
+
+async function start(room, players, teams) {
+  for (const [i, p] of players.entries()) {
+    const selected = await request(p.socket, 'TEAM_SELECT', { roomCode: room, teamName: teams[i] });
+    assert.equal(selected.ok, true);
+    p.groupId = selected.groupId;
+    p.socket.emit('PLAYER_READY', { roomCode: room });
+  }
+  await sleep(100);
+  assert.equal((await request(players[0].socket, 'ADMIN_START', { roomCode: room })).ok, true);
+  for (const p of players) p.hand = await p.hand;
+}
+
+test('a proposal locks once a strict majority of the team voted for it', async () => {
+  const players = await joinAll('LOCK', ['Ann', 'Ben', 'Cem', 'Dia'], { teamMode: 'team', teamSize: 3, rounds: 2 });
+  try {
+    await start('LOCK', players, ['Red', 'Red', 'Red', 'Blue']);
+    const [ann, ben, cem] = players;
+
+    // only the captain (first member) submits directly
+    assert.equal((await request(ben.socket, 'SUBMIT', { roomCode: 'LOCK', cardId: ben.hand.hand[0].id })).error, 'NOT_CAPTAIN');
+
+    const proposals = next(cem.socket, 'TEAM_PROPOSALS');
+    assert.equal((await request(ben.socket, 'TEAM_PROPOSE', { roomCode: 'LOCK', cardId: ben.hand.hand[0].id })).ok, true);
+    const first = await proposals;
+    assert.equal(first.members, 3);
+    assert.deepEqual(first.proposals.map(p => [p.publicId, p.votes]), [[ben.join.publicId, 1]]);
+    assert.ok(!JSON.stringify(first).includes(ben.join.playerId));
+
+    // votes go by publicId; the raw playerId is not accepted
+    assert.equal((await request(cem.socket, 'TEAM_VOTE', { roomCode: 'LOCK', proposerPublicId: ben.join.playerId })).error, 'UNKNOWN_PROPOSAL');
+    const locked = next(ann.socket, 'TEAM_LOCKED');
+    assert.equal((await request(cem.socket, 'TEAM_VOTE', { roomCode: 'LOCK', proposerPublicId: ben.join.publicId })).ok, true);
+    const lock = await locked;
+    assert.equal(lock.proposerPublicId, ben.join.publicId);
+    assert.equal(lock.proposal.cardId, ben.hand.hand[0].id);
+    assert.equal((await request(ann.socket, 'TEAM_PROPOSE', { roomCode: 'LOCK', cardId: ann.hand.hand[0].id })).error, 'ALREADY_SUBMITTED');
+  } finally {
+    for (const p of players) p.socket.close();
+  }
+});
+
+test('a late joiner skips full teams and plays as a new team of one when all are full', async () => {
+  const players = await joinAll('LATE', ['Ann', 'Ben'], { teamMode: 'team', teamSize: 2, rounds: 2 });
+  const late = [];
+  try {
+    await start('LATE', players, ['Red', 'Red']);
+    for (const name of ['Red', 'Eve']) {
+      const socket = connect(server.url);
+      const hand = next(socket, 'PLAYER_HAND');
+      const join = await request(socket, 'TEAM_JOIN', { roomCode: 'LATE', name });
+      late.push({ socket, join, hand: await hand });
+    }
+    assert.ok(late[0].join.groupId);
+    assert.notEqual(late[0].join.groupId, players[0].groupId);
+    // the second late joiner fills the new team instead of opening another one
+    assert.equal(late[1].join.groupId, late[0].join.groupId);
+    assert.ok(late[0].hand.hand.length > 0);
+    assert.deepEqual(late[1].hand.hand.map(c => c.id), late[0].hand.hand.map(c => c.id));
+  } finally {
+    for (const p of [...players, ...late]) p.socket.close();
+  }
+});
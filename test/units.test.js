@@ -0,0 +1,75 @@
+// backend/test/units.test.js
+// Unit registry round trips and the display formatting of every card in the bundled deck.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DIMENSIONS, lookupUnit, convertToSI, convertFromSI } from '../src/units.js';
+import { loadDeck, formatFromSI, dimensionForCategory } from '../src/cards.js';
+
+const close = (a, b, rel = 1e-9) => Math.abs(a - b) <= rel * Math.max(1, Math.abs(a), Math.abs(b));
+
+test('every unit and alias resolves to its own symbol and dimension', () => {
+  for (const [dimension, d] of Object.entries(DIMENSIONS)) {
+    for (const [symbol, u] of Object.entries(d.units)) {
+      for (const spelling of [symbol, ...(u.aliases || [])]) {
+        const found = lookupUnit(spelling);
+        assert.ok(found, `${spelling} is not registered`);
+        assert.equal(found.symbol, symbol, `${spelling} resolves to ${found.symbol}, declared under ${symbol}`);
+        assert.equal(found.dimension, dimension, `${spelling} resolves to ${found.dimension}`);
+      }
+    }
+  }
+});
+
+test('convertToSI and convertFromSI round-trip every unit', () => {
+  for (const [dimension, d] of Object.entries(DIMENSIONS)) {
+    assert.ok(d.units[d.base], `${dimension}: base unit ${d.base} is not a unit`);
+    assert.equal(convertToSI(1, d.base), 1, `${dimension}: base unit must have factor 1`);
+    for (const symbol of Object.keys(d.units)) {
+      for (const v of [-40, 0, 0.5, 1, 37, 1234.5, 2e9]) {
+        const si = convertToSI(v, symbol);
+        assert.ok(Number.isFinite(si), `${v} ${symbol} -> ${si}`);
+        assert.ok(close(convertFromSI(si, symbol), v), `${v} ${symbol} -> ${si} -> ${convertFromSI(si, symbol)}`);
+      }
+    }
+  }
+});
+
+test('scale steps only use units of their dimension', () => {
+  for (const [dimension, d] of Object.entries(DIMENSIONS)) {
+    for (const [symbol] of d.scale) assert.ok(d.units[symbol], `${dimension}: scale step ${symbol} is not a unit`);
+  }
+});
+
+test('known conversions', () => {
+  assert.ok(close(convertToSI(100, '°C'), 373.15));
+  assert.ok(close(convertToSI(32, '°F'), 273.15));
+  assert.ok(close(convertToSI(36, 'km/h'), 10));
+  assert.ok(close(convertToSI(1, 'mi'), 1609.344));
+  // 'ms' is milliseconds; speeds in meters per second are written 'm/s'
+  assert.ok(close(convertToSI(250, 'ms'), 0.25));
+  assert.equal(lookupUnit('ms').dimension, 'time');
+  assert.ok(Number.isNaN(convertToSI(1, 'parsec')));
+});
+
+test('formatFromSI shows every card of the bundled deck in a unit of its category', () => {
+  const { items, info } = loadDeck();
+  assert.notEqual(info.name, 'demo', 'the bundled deck did not load');
+  let cards = 0;
+  for (const [category, list] of Object.entries(items)) {
+    const dimension = dimensionForCategory(category);
+    for (const card of list) {
+      cards++;
+      const label = `${card.id} (${category})`;
+      const fmt = formatFromSI(card, card.trueValue);
+      const unit = lookupUnit(fmt.unit);
+      assert.ok(unit, `${label}: unknown display unit "${fmt.unit}"`);
+      if (dimension) assert.equal(unit.dimension, dimension, `${label}: ${fmt.unit} is not ${dimension}`);
+      if (lookupUnit(card.display_unit)) assert.equal(fmt.unit, lookupUnit(card.display_unit).symbol, `${label}: display unit ignored`);
+      // shown values are rounded (one decimal below 10, whole numbers above)
+      const back = convertToSI(Number(fmt.value), fmt.unit);
+      const step = Number(fmt.value) < 10 ? 0.05 : 0.5;
+      assert.ok(Math.abs(convertFromSI(card.trueValue, fmt.unit) - Number(fmt.value)) <= step + 1e-9, `${label}: ${card.trueValue} SI shown as ${fmt.value} ${fmt.unit} (${back} SI)`);
+    }
+  }
+  assert.equal(cards, info.loaded);
+});
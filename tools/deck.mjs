@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+// backend/tools/deck.mjs
+// Deck maintenance CLI on the server's own CSV parsing (see src/deckTools.js). Without a file argument
+// the deck the server would load is used.
+//
+//   npm run deck -- validate [file] [--strict] [--json] [--tolerance 0.02]
+//   npm run deck -- normalize [file] [--write | --out <file>]
+//   npm run deck -- split-by-category [file] [--out-dir data/valid_by_category]
+//   npm run deck -- diff <old> <new> [--json]
+//
+// Options for every command: --categories <file> (default DECK_CATEGORIES_FILE, then the deck manifest's).
+// Exit codes: 0 ok, 1 validation errors (with --strict also warnings), 2 usage or I/O errors.
+import fs from 'fs';
+import path from 'path';
+import url from 'url';
+import { parseDeckText, resolveDeckPath, translationColumn } from '../src/cards.js';
+import { loadCategoryDefs, setCategories } from '../src/categories.js';
+import { loadManifest } from '../src/deckManifest.js';
+import { readDeck, writeDeck } from '../src/deckStore.js';
+import { validateDeck, normalizeDeckPrompts, splitByCategory, diffDecks } from '../src/deckTools.js';
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+
+const USAGE = `usage: deck <command> [options]
+  validate [file] [--strict] [--json] [--tolerance 0.02]
+  normalize [file] [--write | --out <file>]
+  split-by-category [file] [--out-dir <dir>]
+  diff <old> <new> [--json]
+options: --categories <file>`;
+
+function parseArgs(argv) {
+  const args = { _: [], flags: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) { args._.push(a); continue; }
+    const [k, v] = a.slice(2).split('=');
+    if (v !== undefined) args.flags[k] = v;
+    else if (['out', 'out-dir', 'tolerance', 'categories'].includes(k)) args.flags[k] = argv[++i];
+    else args.flags[k] = true;
+  }
+  return args;
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(2);
+}
+
+function loadRecords(file) {
+  if (!fs.existsSync(file)) fail(`deck file not found: ${file}`);
+  const parsed = parseDeckText(fs.readFileSync(file, 'utf8'));
+  for (const e of parsed.errors.slice(0, 5)) console.warn(`[parse] line ${(e.row ?? 0) + 2}: ${e.message}`);
+  return parsed;
+}
+
+function cmdValidate(file, flags) {
+  const { records } = loadRecords(file);
+  const tolerance = flags.tolerance !== undefined ? Number(flags.tolerance) : undefined;
+  if (tolerance !== undefined && !(tolerance >= 0)) fail('--tolerance must be a number >= 0');
+  const { issues, counts } = validateDeck(records, { tolerance });
+  if (flags.json) {
+    console.log(JSON.stringify({ file, counts, issues }, null, 2));
+  } else {
+    for (const x of issues) console.log(`${x.level === 'error' ? 'ERROR  ' : 'warning'} line ${x.line}${x.id ? ` [${x.id}]` : ''} ${x.code}: ${x.message}`);
+    console.log(`${path.basename(file)}: ${counts.rows} rows, ${counts.valid} valid, ${counts.disabled} disabled, ${counts.errors} errors, ${counts.warnings} warnings`);
+  }
+  return counts.errors || (flags.strict && counts.warnings) ? 1 : 0;
+}
+
+function cmdNormalize(file, flags) {
+  const deck = readDeck(file);
+  const { records, changes } = normalizeDeckPrompts(deck.records, deck.fields);
+  for (const c of changes) console.log(`line ${c.line}${c.id ? ` [${c.id}]` : ''}${translationColumn(c.field) ? ` ${c.field}` : ''}: "${c.before}" -> "${c.after}"`);
+  const target = flags.out || (flags.write ? file : null);
+  if (target && changes.length) writeDeck(target, { ...deck, records });
+  if (!changes.length) console.log('all prompts already normalized');
+  else console.log(`${changes.length} prompts ${target ? `written to ${target}` : 'would change (use --write or --out <file>)'}`);
+  return 0;
+}
+
+function cmdSplit(file, flags) {
+  const deck = readDeck(file);
+  const outDir = flags['out-dir'] || path.join(__dirname, '..', 'data', 'valid_by_category');
+  fs.mkdirSync(outDir, { recursive: true });
+  for (const [label, records] of Object.entries(splitByCategory(deck.records))) {
+    const target = path.join(outDir, `${label}.csv`);
+    writeDeck(target, { records, fields: deck.fields, delimiter: ',' });
+    console.log(`${target}: ${records.length} cards`);
+  }
+  return 0;
+}
+
+function cmdDiff(oldFile, newFile, flags) {
+  if (!oldFile || !newFile) fail(USAGE);
+  const diff = diffDecks(loadRecords(oldFile).records, loadRecords(newFile).records);
+  if (flags.json) {
+    console.log(JSON.stringify(diff, null, 2));
+    return 0;
+  }
+  if (diff.columns.added.length) console.log(`columns added: ${diff.columns.added.join(', ')}`);
+  if (diff.columns.removed.length) console.log(`columns removed: ${diff.columns.removed.join(', ')}`);
+  for (const c of diff.added) console.log(`+ ${c.id} ${c.prompt}`);
+  for (const c of diff.removed) console.log(`- ${c.id} ${c.prompt}`);
+  for (const c of diff.changed) {
+    console.log(`~ ${c.id}`);
+    for (const [k, v] of Object.entries(c.fields)) console.log(`    ${k}: "${v.before}" -> "${v.after}"`);
+  }
+  console.log(`${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`);
+  return 0;
+}
+
+const { _: [command, ...files], flags } = parseArgs(process.argv.slice(2));
+if (!command || flags.help) fail(USAGE);
+const cats = loadCategoryDefs(flags.categories || process.env.DECK_CATEGORIES_FILE || loadManifest().categories || undefined);
+setCategories(cats.categories);
+
+const file = files[0] || resolveDeckPath();
+const commands = {
+  validate: () => cmdValidate(file, flags),
+  normalize: () => cmdNormalize(file, flags),
+  'split-by-category': () => cmdSplit(file, flags),
+  diff: () => cmdDiff(files[0], files[1], flags),
+};
+if (!commands[command]) fail(`unknown command "${command}"\n${USAGE}`);
+process.exitCode = commands[command]();